@@ -0,0 +1,327 @@
+/**
+ * Billing analytics for the TrackVentories admin dashboard
+ *
+ * Stats are computed over every page of Stripe data (not just the first 100
+ * objects). Recurring revenue is normalized to a monthly amount across price
+ * intervals and quantities, so a yearly plan counts 1/12 of its price per
+ * month and a 3-seat plan counts three times.
+ *
+ * Time series are computed from the local billing mirror and webhook log
+ * rather than Stripe, so repeated calls do not re-walk Stripe history. The
+ * mirror keeps no price history, so MRR per bucket is estimated from each
+ * subscription's current items.
+ *
+ * Amounts are never added across currencies. Every money figure is kept per
+ * currency (byCurrency / ...ByCurrency); the top-level figures are those of
+ * the requested currency (STATS_CURRENCY, default usd).
+ */
+
+const { ApiError } = require('./stripe-errors');
+const { toMajorUnits, addToTotals } = require('./money');
+
+const DEFAULT_STATS_CURRENCY = (process.env.STATS_CURRENCY || 'usd').toLowerCase();
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Average month length, so daily and weekly prices normalize consistently
+const DAYS_PER_MONTH = 365.25 / 12;
+
+const INTERVALS_PER_MONTH = {
+  day: DAYS_PER_MONTH,
+  week: DAYS_PER_MONTH / 7,
+  month: 1,
+  year: 1 / 12
+};
+
+// Subscription statuses that still count toward recurring revenue
+const REVENUE_STATUSES = ['active', 'past_due'];
+
+const PERIOD_DAYS = {
+  '7days': 7,
+  '30days': 30,
+  '90days': 90
+};
+
+/**
+ * Resolve a preset period or an explicit from/to into unix-second bounds
+ */
+function resolveRange({ period = '30days', from, to }) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (from !== undefined) {
+    return { period: 'custom', from, to: to ?? now };
+  }
+  return { period, from: now - (PERIOD_DAYS[period] || 30) * SECONDS_PER_DAY, to: to ?? now };
+}
+
+/**
+ * Monthly recurring amount (minor units) of one subscription item.
+ * Metered and tiered prices have no fixed unit amount and count as 0.
+ */
+function monthlyItemAmount(item) {
+  const price = item.price;
+  if (!price || !price.recurring || price.recurring.usage_type === 'metered') return 0;
+
+  const unitAmount = price.unit_amount ?? (price.unit_amount_decimal ? parseFloat(price.unit_amount_decimal) : null);
+  if (unitAmount === null) return 0;
+
+  const perMonth = INTERVALS_PER_MONTH[price.recurring.interval] / (price.recurring.interval_count || 1);
+  return unitAmount * (item.quantity ?? 1) * perMonth;
+}
+
+function monthlySubscriptionAmount(subscription) {
+  return subscription.items.data.reduce((sum, item) => sum + monthlyItemAmount(item), 0);
+}
+
+/**
+ * Collect every object of a Stripe list call across all pages
+ */
+async function listAll(list) {
+  const results = [];
+  for await (const object of list) {
+    results.push(object);
+  }
+  return results;
+}
+
+/**
+ * Whether a subscription was running at the given moment
+ */
+function wasActiveAt(subscription, timestamp) {
+  return subscription.created <= timestamp &&
+    (!subscription.ended_at || subscription.ended_at > timestamp) &&
+    subscription.status !== 'incomplete' &&
+    subscription.status !== 'incomplete_expired';
+}
+
+/**
+ * Money figures for one currency, from minor-unit totals
+ */
+function currencyStats(currency, { mrr = 0, churnedMrr = 0, grossRevenue = 0, refunded = 0, paidChargeCount = 0 }) {
+  return {
+    mrr: toMajorUnits(Math.round(mrr), currency),
+    arr: toMajorUnits(Math.round(mrr * 12), currency),
+    totalRevenue: toMajorUnits(grossRevenue, currency),
+    refundedAmount: toMajorUnits(refunded, currency),
+    netRevenue: toMajorUnits(grossRevenue - refunded, currency),
+    paidChargeCount: paidChargeCount,
+    averageOrderValue: paidChargeCount > 0 ? toMajorUnits(Math.round(grossRevenue / paidChargeCount), currency) : 0,
+    churnedMrr: toMajorUnits(Math.round(churnedMrr), currency)
+  };
+}
+
+/**
+ * Compute dashboard stats for the range [from, to] in unix seconds
+ */
+async function computeDashboardStats(stripe, { from, to, currency = DEFAULT_STATS_CURRENCY }) {
+  const [customers, subscriptions, charges] = await Promise.all([
+    listAll(stripe.customers.list({ created: { gte: from, lte: to }, limit: 100 })),
+    listAll(stripe.subscriptions.list({ status: 'all', created: { lte: to }, limit: 100 })),
+    listAll(stripe.charges.list({ created: { gte: from, lte: to }, limit: 100 }))
+  ]);
+
+  const now = Math.floor(Date.now() / 1000);
+
+  // Recurring revenue is a point-in-time figure, taken from current state
+  const revenueSubscriptions = subscriptions.filter(sub => REVENUE_STATUSES.includes(sub.status));
+  const mrr = revenueSubscriptions.reduce((totals, sub) =>
+    addToTotals(totals, sub.currency, monthlySubscriptionAmount(sub)), {});
+
+  const activeAtStart = subscriptions.filter(sub => wasActiveAt(sub, from)).length;
+  const newSubscriptions = subscriptions.filter(sub => sub.created >= from && sub.created <= to);
+  const churnedSubscriptions = subscriptions.filter(sub => sub.ended_at && sub.ended_at >= from && sub.ended_at <= to);
+  const churnedMrr = churnedSubscriptions.reduce((totals, sub) =>
+    addToTotals(totals, sub.currency, monthlySubscriptionAmount(sub)), {});
+
+  // A trial converted if the subscription was still running when the trial ended
+  const endedTrials = subscriptions.filter(sub =>
+    sub.trial_end && sub.trial_end >= from && sub.trial_end <= Math.min(to, now));
+  const convertedTrials = endedTrials.filter(sub =>
+    (!sub.ended_at || sub.ended_at > sub.trial_end) && sub.status !== 'incomplete_expired');
+
+  const paidCharges = charges.filter(charge => charge.paid && charge.status === 'succeeded');
+  const grossRevenue = paidCharges.reduce((totals, charge) => addToTotals(totals, charge.currency, charge.amount), {});
+  const refunded = paidCharges.reduce((totals, charge) => addToTotals(totals, charge.currency, charge.amount_refunded || 0), {});
+  const paidChargeCount = paidCharges.reduce((totals, charge) => addToTotals(totals, charge.currency, 1), {});
+
+  const currencies = new Set([currency, ...Object.keys(mrr), ...Object.keys(churnedMrr), ...Object.keys(grossRevenue)]);
+  const byCurrency = {};
+  currencies.forEach(code => {
+    byCurrency[code] = currencyStats(code, {
+      mrr: mrr[code],
+      churnedMrr: churnedMrr[code],
+      grossRevenue: grossRevenue[code],
+      refunded: refunded[code],
+      paidChargeCount: paidChargeCount[code]
+    });
+  });
+
+  return {
+    totalCustomers: customers.length,
+    activeSubscriptions: subscriptions.filter(sub => sub.status === 'active').length,
+    trialingSubscriptions: subscriptions.filter(sub => sub.status === 'trialing').length,
+    currency: currency,
+    ...byCurrency[currency],
+    byCurrency: byCurrency,
+    newSubscriptions: newSubscriptions.length,
+    churnedSubscriptions: churnedSubscriptions.length,
+    churnRate: activeAtStart > 0 ? churnedSubscriptions.length / activeAtStart : 0,
+    trialsEnded: endedTrials.length,
+    trialConversions: convertedTrials.length,
+    trialConversionRate: endedTrials.length > 0 ? convertedTrials.length / endedTrials.length : 0
+  };
+}
+
+const MAX_BUCKETS = 400;
+
+const DEFAULT_BUCKET_COUNT = {
+  day: 30,
+  week: 12,
+  month: 12
+};
+
+/**
+ * Start (unix seconds, UTC) of the bucket containing timestamp. Weeks start
+ * on Monday.
+ */
+function bucketStart(timestamp, granularity) {
+  const date = new Date(timestamp * 1000);
+  let start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+  if (granularity === 'week') {
+    start -= ((date.getUTCDay() + 6) % 7) * SECONDS_PER_DAY * 1000;
+  } else if (granularity === 'month') {
+    start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+  return start / 1000;
+}
+
+function nextBucketStart(start, granularity) {
+  if (granularity === 'month') {
+    const date = new Date(start * 1000);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / 1000;
+  }
+  return start + (granularity === 'week' ? 7 : 1) * SECONDS_PER_DAY;
+}
+
+/**
+ * Bucket boundaries covering [from, to]. Defaults to the last 30 days,
+ * 12 weeks or 12 months.
+ */
+function buildBuckets({ granularity = 'day', from, to }) {
+  const end = to ?? Math.floor(Date.now() / 1000);
+  let start = from;
+
+  if (start === undefined) {
+    start = bucketStart(end, granularity);
+    for (let i = 1; i < DEFAULT_BUCKET_COUNT[granularity]; i++) {
+      start = bucketStart(start - 1, granularity);
+    }
+  }
+
+  const buckets = [];
+  for (let cursor = bucketStart(start, granularity); cursor <= end; cursor = nextBucketStart(cursor, granularity)) {
+    if (buckets.length >= MAX_BUCKETS) {
+      throw new ApiError(400, 'validation_failed', `Range spans more than ${MAX_BUCKETS} ${granularity} buckets`);
+    }
+    buckets.push({ start: cursor, end: nextBucketStart(cursor, granularity) });
+  }
+  return buckets;
+}
+
+// Index of the bucket containing timestamp, or -1 (buckets are sorted)
+function findBucket(buckets, timestamp) {
+  let low = 0;
+  let high = buckets.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (timestamp < buckets[mid].start) high = mid - 1;
+    else if (timestamp >= buckets[mid].end) low = mid + 1;
+    else return mid;
+  }
+  return -1;
+}
+
+/**
+ * Time series of MRR, new customers, churned subscriptions, failed payments
+ * and revenue by price, from the billing mirror and webhook event log
+ */
+function computeTimeseries({ billingDb, webhookLog }, { currency = DEFAULT_STATS_CURRENCY, ...options }) {
+  const buckets = buildBuckets(options).map(bucket => ({
+    ...bucket,
+    mrr: 0,
+    mrrByCurrency: {},
+    newCustomers: 0,
+    churnedSubscriptions: 0,
+    failedPayments: 0,
+    revenue: 0,
+    revenueByCurrency: {},
+    revenueByPrice: {}
+  }));
+  if (buckets.length === 0) return buckets;
+
+  const rangeStart = buckets[0].start;
+  const rangeEnd = buckets[buckets.length - 1].end;
+
+  const count = (timestamps, key) => {
+    timestamps.forEach(timestamp => {
+      const index = findBucket(buckets, timestamp);
+      if (index !== -1) buckets[index][key]++;
+    });
+  };
+
+  const subscriptions = billingDb.getAllSubscriptions();
+
+  buckets.forEach(bucket => {
+    // MRR as of the end of the bucket (or now, for the current bucket)
+    const at = Math.min(bucket.end - 1, Math.floor(Date.now() / 1000));
+    subscriptions
+      .filter(sub => wasActiveAt(sub, at) && !(sub.trial_end && sub.trial_end > at))
+      .forEach(sub => addToTotals(bucket.mrrByCurrency, sub.currency, monthlySubscriptionAmount(sub)));
+  });
+
+  count(billingDb.getCustomerCreatedTimes(rangeStart, rangeEnd), 'newCustomers');
+  count(subscriptions.filter(sub => sub.ended_at).map(sub => sub.ended_at), 'churnedSubscriptions');
+  count(webhookLog.eventTimes('invoice.payment_failed', rangeStart, rangeEnd), 'failedPayments');
+
+  billingDb.getInvoicesPaidBetween(rangeStart, rangeEnd).forEach(invoice => {
+    const bucket = buckets[findBucket(buckets, invoice.status_transitions.paid_at)];
+    if (!bucket) return;
+
+    addToTotals(bucket.revenueByCurrency, invoice.currency, invoice.amount_paid);
+    invoice.lines.data.forEach(line => {
+      // "other" lines (no price) are keyed per currency so they never mix
+      const key = line.price?.id || `other_${invoice.currency}`;
+      const entry = bucket.revenueByPrice[key] || (bucket.revenueByPrice[key] = { currency: invoice.currency, amount: 0 });
+      entry.amount += line.amount;
+    });
+  });
+
+  // Amounts are accumulated in minor units and reported in major units
+  const toMajor = totals => {
+    Object.keys(totals).forEach(code => {
+      totals[code] = toMajorUnits(Math.round(totals[code]), code);
+    });
+    return totals;
+  };
+  buckets.forEach(bucket => {
+    toMajor(bucket.mrrByCurrency);
+    toMajor(bucket.revenueByCurrency);
+    bucket.mrr = bucket.mrrByCurrency[currency] || 0;
+    bucket.revenue = bucket.revenueByCurrency[currency] || 0;
+    Object.values(bucket.revenueByPrice).forEach(entry => {
+      entry.amount = toMajorUnits(entry.amount, entry.currency);
+    });
+  });
+
+  return buckets;
+}
+
+module.exports = {
+  resolveRange,
+  computeTimeseries,
+  monthlyItemAmount,
+  monthlySubscriptionAmount,
+  listAll,
+  computeDashboardStats
+};
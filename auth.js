@@ -0,0 +1,282 @@
+/**
+ * Authentication and customer-ownership middleware for TrackVentories
+ *
+ * Every /api/stripe route (except the Stripe webhook, which is verified by
+ * signature) requires a bearer JWT issued by the TrackVentories app. The token
+ * is verified either with a shared secret (HS256) or against a JWKS endpoint
+ * (RS256), and the caller is mapped to their own Stripe customer. The token's
+ * role claim is checked against the route permission map in permissions.js.
+ *
+ * Environment variables:
+ * AUTH_JWT_SECRET=shared_hs256_secret         (or AUTH_JWKS_URI)
+ * AUTH_JWKS_URI=https://auth.example.com/.well-known/jwks.json
+ * AUTH_JWT_ISSUER=https://auth.example.com/    (optional)
+ * AUTH_JWT_AUDIENCE=trackventories-backend     (optional)
+ * AUTH_CUSTOMER_CLAIM=stripe_customer_id       (optional, default shown)
+ */
+
+const jwt = require('jsonwebtoken');
+const jwksRsa = require('jwks-rsa');
+const { ROLES, permissionForRoute, roleHasPermission, roleHasAllCustomers } = require('./permissions');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'auth' });
+
+const CUSTOMER_CLAIM = process.env.AUTH_CUSTOMER_CLAIM || 'stripe_customer_id';
+
+// userId -> Stripe customer ID, for tokens that do not carry the customer claim
+const customerCache = new Map();
+
+let jwksClient = null;
+if (process.env.AUTH_JWKS_URI) {
+  jwksClient = jwksRsa({
+    jwksUri: process.env.AUTH_JWKS_URI,
+    cache: true,
+    rateLimit: true
+  });
+}
+
+function deny(res, status, code, message) {
+  return res.status(status).json({
+    success: false,
+    error: message,
+    code
+  });
+}
+
+/**
+ * Verify a raw JWT with the configured secret or JWKS endpoint
+ */
+function verifyToken(token) {
+  const options = {
+    algorithms: jwksClient ? ['RS256'] : ['HS256']
+  };
+  if (process.env.AUTH_JWT_ISSUER) options.issuer = process.env.AUTH_JWT_ISSUER;
+  if (process.env.AUTH_JWT_AUDIENCE) options.audience = process.env.AUTH_JWT_AUDIENCE;
+
+  const key = jwksClient
+    ? (header, callback) => {
+        jwksClient.getSigningKey(header.kid, (err, signingKey) => {
+          callback(err, signingKey && signingKey.getPublicKey());
+        });
+      }
+    : process.env.AUTH_JWT_SECRET;
+
+  return new Promise((resolve, reject) => {
+    if (!key) {
+      return reject(new Error('Authentication is not configured'));
+    }
+    jwt.verify(token, key, options, (err, payload) => {
+      if (err) return reject(err);
+      resolve(payload);
+    });
+  });
+}
+
+/**
+ * Build the auth middleware set bound to a Stripe client
+ */
+function createAuth(stripe) {
+
+  /**
+   * Find the Stripe customer that belongs to a user, either from the token
+   * claim or by the userId metadata set in create-customer
+   */
+  async function resolveCustomerId(payload) {
+    if (payload[CUSTOMER_CLAIM]) {
+      return payload[CUSTOMER_CLAIM];
+    }
+
+    const userId = String(payload.sub);
+    if (customerCache.has(userId)) {
+      return customerCache.get(userId);
+    }
+
+    const escapedUserId = userId.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    const result = await stripe.customers.search({
+      query: `metadata['userId']:'${escapedUserId}'`,
+      limit: 1
+    });
+    const customerId = result.data.length > 0 ? result.data[0].id : null;
+
+    if (customerId) {
+      customerCache.set(userId, customerId);
+    }
+    return customerId;
+  }
+
+  /**
+   * Require a valid bearer token and attach req.auth = { userId, role, customerId }
+   */
+  async function authenticate(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return deny(res, 401, 'unauthenticated', 'Authentication required');
+    }
+
+    let payload;
+    try {
+      payload = await verifyToken(token);
+    } catch (error) {
+      log.warn('Token verification failed', { reason: error.message });
+      return deny(res, 401, 'unauthenticated', 'Invalid or expired token');
+    }
+
+    if (!payload.sub) {
+      return deny(res, 401, 'unauthenticated', 'Invalid or expired token');
+    }
+
+    const role = payload.role || 'customer';
+    if (!ROLES[role]) {
+      return deny(res, 403, 'forbidden', 'Insufficient permissions');
+    }
+
+    try {
+      req.auth = {
+        userId: String(payload.sub),
+        role,
+        // Staff roles act on any customer and usually have none of their own
+        customerId: roleHasAllCustomers(role)
+          ? payload[CUSTOMER_CLAIM] || null
+          : await resolveCustomerId(payload)
+      };
+      next();
+    } catch (error) {
+      log.error('Error resolving customer for user', { userId: String(payload.sub), error });
+      return deny(res, 500, 'internal_error', 'Unable to resolve customer for user');
+    }
+  }
+
+  function canAccessAllCustomers(req) {
+    return req.auth && roleHasAllCustomers(req.auth.role);
+  }
+
+  /**
+   * Allow the request only if the caller's role has the permission
+   * configured for the route. Unconfigured routes are denied.
+   */
+  function authorize(req, res, next) {
+    const permission = permissionForRoute(req.method, req.baseUrl + req.path);
+
+    if (!roleHasPermission(req.auth.role, permission)) {
+      return deny(res, 403, 'forbidden', 'Insufficient permissions');
+    }
+    next();
+  }
+
+  /**
+   * Require the customer ID selected by getCustomerId(req) to be the caller's
+   */
+  function ownsCustomer(getCustomerId) {
+    return (req, res, next) => {
+      if (canAccessAllCustomers(req)) return next();
+
+      const customerId = getCustomerId(req);
+      if (customerId && customerId !== req.auth.customerId) {
+        return deny(res, 403, 'forbidden', 'Access denied');
+      }
+      next();
+    };
+  }
+
+  /**
+   * Load a Stripe object by ID and require its customer to be the caller's.
+   * The loaded object is stored on req.resources[name] for the handler.
+   */
+  function ownsResource(name, label, getId, retrieve, { allowUnattached = false } = {}) {
+    return async (req, res, next) => {
+      const id = getId(req);
+      if (!id) return next();
+
+      let resource;
+      try {
+        resource = await retrieve(id);
+      } catch (error) {
+        if (error.code === 'resource_missing') {
+          return deny(res, 404, 'resource_missing', `${label} not found`);
+        }
+        return next(error);
+      }
+
+      req.resources = req.resources || {};
+      req.resources[name] = resource;
+
+      if (canAccessAllCustomers(req)) return next();
+
+      const owner = typeof resource.customer === 'object' && resource.customer !== null
+        ? resource.customer.id
+        : resource.customer;
+
+      if (!owner && allowUnattached) return next();
+
+      if (!owner || owner !== req.auth.customerId) {
+        return deny(res, 403, 'forbidden', 'Access denied');
+      }
+      next();
+    };
+  }
+
+  function ownsSubscription(getId) {
+    return ownsResource('subscription', 'Subscription', getId, (id) => stripe.subscriptions.retrieve(id));
+  }
+
+  /**
+   * Subscription items carry no customer, so ownership comes from their
+   * subscription (stored as item.subscription)
+   */
+  function ownsSubscriptionItem(getId) {
+    return ownsResource('subscriptionItem', 'Subscription item', getId, async (id) => {
+      const item = await stripe.subscriptionItems.retrieve(id);
+      const subscription = await stripe.subscriptions.retrieve(item.subscription);
+      return { ...item, customer: subscription.customer, subscription };
+    });
+  }
+
+  function ownsInvoice(getId) {
+    return ownsResource('invoice', 'Invoice', getId, (id) => stripe.invoices.retrieve(id));
+  }
+
+  function ownsPaymentMethod(getId, options) {
+    return ownsResource('paymentMethod', 'Payment method', getId, (id) => stripe.paymentMethods.retrieve(id), options);
+  }
+
+  function ownsSetupIntent(getId) {
+    return ownsResource('setupIntent', 'Setup intent', getId, (id) => stripe.setupIntents.retrieve(id));
+  }
+
+  /**
+   * Remember the customer created for a user so the next request resolves
+   * it without waiting for Stripe's search index
+   */
+  function linkCustomer(userId, customerId) {
+    forgetCustomer(customerId);
+    customerCache.set(String(userId), customerId);
+  }
+
+  /**
+   * Drop cached links to a customer that was deleted or moved to another
+   * user, so its previous owner is resolved again
+   */
+  function forgetCustomer(customerId) {
+    for (const [userId, cachedCustomerId] of customerCache) {
+      if (cachedCustomerId === customerId) customerCache.delete(userId);
+    }
+  }
+
+  return {
+    authenticate,
+    authorize,
+    ownsCustomer,
+    ownsSubscription,
+    ownsSubscriptionItem,
+    ownsInvoice,
+    ownsPaymentMethod,
+    ownsSetupIntent,
+    linkCustomer,
+    forgetCustomer
+  };
+}
+
+module.exports = { createAuth };
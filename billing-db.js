@@ -0,0 +1,460 @@
+/**
+ * Local billing mirror for TrackVentories
+ *
+ * An embedded SQLite copy of customers, subscriptions, invoices and payment
+ * method summaries, kept in sync by Stripe webhooks. Read endpoints can serve
+ * from it instead of calling Stripe live.
+ *
+ * Each row records the Stripe event time it was written from (synced_at), so
+ * a webhook delivered out of order never overwrites newer data.
+ *
+ * Objects are stored as Stripe sent them, except that expanded related
+ * objects carrying billing details (customers, payment methods, payment
+ * intents, charges) are reduced to their IDs. An expanded default payment
+ * method is kept as a payment method summary instead. Customers keep only
+ * the fields analytics and exports read (CUSTOMER_FIELDS); their address,
+ * phone, shipping details and the like stay in Stripe.
+ *
+ * syncFromStripe() catches up on whatever the webhooks missed (an outage, a
+ * misconfigured endpoint). The first run copies every customer, subscription
+ * and invoice; later runs apply the Stripe events created since the previous
+ * one, so changes to objects already copied (a subscription canceled, an
+ * invoice paid) arrive too. Stripe only keeps events for 30 days, so a
+ * mirror that hasn't synced for that long is copied in full again.
+ *
+ * Environment variables:
+ * BILLING_DB_PATH=./data/billing.db   (optional, default shown)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DB_PATH = process.env.BILLING_DB_PATH || path.join(__dirname, 'data', 'billing.db');
+
+if (DB_PATH !== ':memory:') {
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+}
+
+const db = new Database(DB_PATH);
+db.pragma('journal_mode = WAL');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS customers (
+    id TEXT PRIMARY KEY,
+    email TEXT,
+    name TEXT,
+    delinquent INTEGER NOT NULL DEFAULT 0,
+    deleted INTEGER NOT NULL DEFAULT 0,
+    created INTEGER,
+    data TEXT NOT NULL,
+    synced_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS subscriptions (
+    id TEXT PRIMARY KEY,
+    customer_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    current_period_end INTEGER,
+    cancel_at_period_end INTEGER NOT NULL DEFAULT 0,
+    created INTEGER,
+    data TEXT NOT NULL,
+    synced_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS subscriptions_customer ON subscriptions (customer_id, created);
+
+  CREATE TABLE IF NOT EXISTS invoices (
+    id TEXT PRIMARY KEY,
+    customer_id TEXT NOT NULL,
+    subscription_id TEXT,
+    status TEXT,
+    total INTEGER,
+    currency TEXT,
+    created INTEGER,
+    data TEXT NOT NULL,
+    synced_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS invoices_customer ON invoices (customer_id, created);
+
+  CREATE TABLE IF NOT EXISTS payment_methods (
+    id TEXT PRIMARY KEY,
+    customer_id TEXT,
+    type TEXT NOT NULL,
+    brand TEXT,
+    last4 TEXT,
+    exp_month INTEGER,
+    exp_year INTEGER,
+    created INTEGER,
+    synced_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS payment_methods_customer ON payment_methods (customer_id);
+
+  CREATE TABLE IF NOT EXISTS sync_state (
+    resource TEXT PRIMARY KEY,
+    last_created INTEGER NOT NULL,
+    synced_at INTEGER NOT NULL
+  );
+`);
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Stripe objects reference related objects either by ID or expanded
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value || null;
+}
+
+// Per resource, the fields whose expanded objects carry personal data
+const EXPANDED_PII_FIELDS = {
+  customer: ['default_source', 'invoice_settings.default_payment_method'],
+  subscription: ['customer', 'default_payment_method', 'default_source', 'latest_invoice', 'pending_setup_intent'],
+  invoice: ['customer', 'subscription', 'payment_intent', 'charge', 'default_payment_method', 'default_source']
+};
+
+// Customer fields kept in the mirror
+const CUSTOMER_FIELDS = [
+  'id', 'object', 'deleted', 'livemode', 'created', 'email', 'name',
+  'currency', 'balance', 'delinquent', 'default_source', 'metadata'
+];
+
+/**
+ * A customer reduced to CUSTOMER_FIELDS, plus its default payment method
+ */
+function customerData(customer) {
+  const data = {};
+  for (const field of CUSTOMER_FIELDS) {
+    if (customer[field] !== undefined) data[field] = customer[field];
+  }
+  if (customer.invoice_settings) {
+    data.invoice_settings = { default_payment_method: customer.invoice_settings.default_payment_method ?? null };
+  }
+  return data;
+}
+
+/**
+ * JSON for a Stripe object with the given expanded fields reduced to IDs
+ */
+function serialize(object, fields) {
+  const copy = JSON.parse(JSON.stringify(object));
+
+  for (const field of fields) {
+    const keys = field.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((value, key) => value && value[key], copy);
+    if (parent && parent[last] && typeof parent[last] === 'object') {
+      parent[last] = parent[last].id;
+    }
+  }
+  return JSON.stringify(copy);
+}
+
+const statements = {
+  upsertCustomer: db.prepare(`
+    INSERT INTO customers (id, email, name, delinquent, deleted, created, data, synced_at)
+    VALUES (@id, @email, @name, @delinquent, @deleted, @created, @data, @synced_at)
+    ON CONFLICT (id) DO UPDATE SET
+      email = excluded.email, name = excluded.name, delinquent = excluded.delinquent,
+      deleted = excluded.deleted, created = excluded.created, data = excluded.data,
+      synced_at = excluded.synced_at
+    WHERE excluded.synced_at >= customers.synced_at
+  `),
+  upsertSubscription: db.prepare(`
+    INSERT INTO subscriptions (id, customer_id, status, current_period_end, cancel_at_period_end, created, data, synced_at)
+    VALUES (@id, @customer_id, @status, @current_period_end, @cancel_at_period_end, @created, @data, @synced_at)
+    ON CONFLICT (id) DO UPDATE SET
+      customer_id = excluded.customer_id, status = excluded.status,
+      current_period_end = excluded.current_period_end,
+      cancel_at_period_end = excluded.cancel_at_period_end, created = excluded.created,
+      data = excluded.data, synced_at = excluded.synced_at
+    WHERE excluded.synced_at >= subscriptions.synced_at
+  `),
+  upsertInvoice: db.prepare(`
+    INSERT INTO invoices (id, customer_id, subscription_id, status, total, currency, created, data, synced_at)
+    VALUES (@id, @customer_id, @subscription_id, @status, @total, @currency, @created, @data, @synced_at)
+    ON CONFLICT (id) DO UPDATE SET
+      customer_id = excluded.customer_id, subscription_id = excluded.subscription_id,
+      status = excluded.status, total = excluded.total, currency = excluded.currency,
+      created = excluded.created, data = excluded.data, synced_at = excluded.synced_at
+    WHERE excluded.synced_at >= invoices.synced_at
+  `),
+  upsertPaymentMethod: db.prepare(`
+    INSERT INTO payment_methods (id, customer_id, type, brand, last4, exp_month, exp_year, created, synced_at)
+    VALUES (@id, @customer_id, @type, @brand, @last4, @exp_month, @exp_year, @created, @synced_at)
+    ON CONFLICT (id) DO UPDATE SET
+      customer_id = excluded.customer_id, type = excluded.type, brand = excluded.brand,
+      last4 = excluded.last4, exp_month = excluded.exp_month, exp_year = excluded.exp_year,
+      created = excluded.created, synced_at = excluded.synced_at
+    WHERE excluded.synced_at >= payment_methods.synced_at
+  `),
+  getCustomer: db.prepare('SELECT data, deleted FROM customers WHERE id = ?'),
+  subscriptionsByCustomer: db.prepare(`
+    SELECT data FROM subscriptions WHERE customer_id = ? ORDER BY created DESC LIMIT ?
+  `),
+  invoicesByCustomer: db.prepare(`
+    SELECT data FROM invoices WHERE customer_id = ? ORDER BY created DESC LIMIT ?
+  `),
+  invoicesByCustomerAndStatus: db.prepare(`
+    SELECT data FROM invoices WHERE customer_id = ? AND status = ? ORDER BY created DESC LIMIT ?
+  `),
+  getPaymentMethod: db.prepare('SELECT * FROM payment_methods WHERE id = ?'),
+  allSubscriptions: db.prepare('SELECT data FROM subscriptions'),
+  customerCreatedBetween: db.prepare(`
+    SELECT created FROM customers WHERE deleted = 0 AND created >= ? AND created < ?
+  `),
+  invoicesPaidBetween: db.prepare(`
+    SELECT data FROM invoices
+    WHERE status = 'paid' AND json_extract(data, '$.status_transitions.paid_at') >= ?
+      AND json_extract(data, '$.status_transitions.paid_at') < ?
+  `),
+  getSyncState: db.prepare('SELECT * FROM sync_state WHERE resource = ?'),
+  setSyncState: db.prepare(`
+    INSERT INTO sync_state (resource, last_created, synced_at) VALUES (?, ?, ?)
+    ON CONFLICT (resource) DO UPDATE SET last_created = excluded.last_created, synced_at = excluded.synced_at
+  `),
+  hasCustomerData: db.prepare(`
+    SELECT 1 FROM customers WHERE id = @id
+    UNION SELECT 1 FROM subscriptions WHERE customer_id = @id
+    UNION SELECT 1 FROM invoices WHERE customer_id = @id
+    LIMIT 1
+  `)
+};
+
+// Customers stored whole before they were reduced to CUSTOMER_FIELDS (a full
+// Stripe customer always has an address key, even if null)
+db.transaction(() => {
+  const rewrite = db.prepare('UPDATE customers SET data = ? WHERE id = ?');
+  for (const row of db.prepare("SELECT id, data FROM customers WHERE json_type(data, '$.address') IS NOT NULL").all()) {
+    rewrite.run(JSON.stringify(customerData(JSON.parse(row.data))), row.id);
+  }
+})();
+
+/**
+ * Save a Stripe customer (or a deleted-customer stub)
+ */
+function upsertCustomer(customer, syncedAt = now()) {
+  statements.upsertCustomer.run({
+    id: customer.id,
+    email: customer.email || null,
+    name: customer.name || null,
+    delinquent: customer.delinquent ? 1 : 0,
+    deleted: customer.deleted ? 1 : 0,
+    created: customer.created || null,
+    data: serialize(customerData(customer), EXPANDED_PII_FIELDS.customer),
+    synced_at: syncedAt
+  });
+}
+
+function upsertSubscription(subscription, syncedAt = now()) {
+  // Keeps the card brand and last4 shown for mirrored subscriptions
+  if (subscription.default_payment_method && typeof subscription.default_payment_method === 'object') {
+    upsertPaymentMethod(subscription.default_payment_method, syncedAt);
+  }
+
+  statements.upsertSubscription.run({
+    id: subscription.id,
+    customer_id: idOf(subscription.customer),
+    status: subscription.status,
+    current_period_end: subscription.current_period_end || null,
+    cancel_at_period_end: subscription.cancel_at_period_end ? 1 : 0,
+    created: subscription.created || null,
+    data: serialize(subscription, EXPANDED_PII_FIELDS.subscription),
+    synced_at: syncedAt
+  });
+}
+
+function upsertInvoice(invoice, syncedAt = now()) {
+  statements.upsertInvoice.run({
+    id: invoice.id,
+    customer_id: idOf(invoice.customer),
+    subscription_id: idOf(invoice.subscription),
+    status: invoice.status || null,
+    total: invoice.total,
+    currency: invoice.currency || null,
+    created: invoice.created || null,
+    data: serialize(invoice, EXPANDED_PII_FIELDS.invoice),
+    synced_at: syncedAt
+  });
+}
+
+/**
+ * Save a payment method summary. Only non-sensitive display fields are kept;
+ * a detached payment method is stored with no customer.
+ */
+function upsertPaymentMethod(paymentMethod, syncedAt = now()) {
+  statements.upsertPaymentMethod.run({
+    id: paymentMethod.id,
+    customer_id: idOf(paymentMethod.customer),
+    type: paymentMethod.type,
+    brand: paymentMethod.card?.brand || null,
+    last4: paymentMethod[paymentMethod.type]?.last4 || null,
+    exp_month: paymentMethod.card?.exp_month || null,
+    exp_year: paymentMethod.card?.exp_year || null,
+    created: paymentMethod.created || null,
+    synced_at: syncedAt
+  });
+}
+
+function getCustomer(customerId) {
+  const row = statements.getCustomer.get(customerId);
+  return row && !row.deleted ? JSON.parse(row.data) : null;
+}
+
+function getSubscriptionsByCustomer(customerId, limit = 100) {
+  return statements.subscriptionsByCustomer
+    .all(customerId, limit)
+    .map(row => JSON.parse(row.data));
+}
+
+function getInvoicesByCustomer(customerId, { status = 'all', limit = 10 } = {}) {
+  const rows = status === 'all'
+    ? statements.invoicesByCustomer.all(customerId, limit)
+    : statements.invoicesByCustomerAndStatus.all(customerId, status, limit);
+  return rows.map(row => JSON.parse(row.data));
+}
+
+function getPaymentMethod(paymentMethodId) {
+  return statements.getPaymentMethod.get(paymentMethodId) || null;
+}
+
+/**
+ * Whether the mirror has ever synced anything for a customer
+ */
+function hasCustomerData(customerId) {
+  return !!statements.hasCustomerData.get({ id: customerId });
+}
+
+function getAllSubscriptions() {
+  return statements.allSubscriptions.all().map(row => JSON.parse(row.data));
+}
+
+/**
+ * Creation times of customers created in [from, to)
+ */
+function getCustomerCreatedTimes(from, to) {
+  return statements.customerCreatedBetween.all(from, to).map(row => row.created);
+}
+
+/**
+ * Invoices paid in [from, to)
+ */
+function getInvoicesPaidBetween(from, to) {
+  return statements.invoicesPaidBetween.all(from, to).map(row => JSON.parse(row.data));
+}
+
+/**
+ * When the mirror was last brought up to date by syncFromStripe, or null if
+ * never synced
+ */
+function getLastSyncedAt() {
+  const state = statements.getSyncState.get('events');
+  return state ? state.synced_at : null;
+}
+
+// Stripe keeps events for 30 days; a day less leaves room for clock skew
+const EVENT_RETENTION_SECONDS = 29 * 24 * 60 * 60;
+
+const SYNC_RESOURCES = {
+  customers: {
+    list: (stripe, params) => stripe.customers.list(params),
+    upsert: upsertCustomer,
+    events: ['customer.created', 'customer.updated', 'customer.deleted']
+  },
+  subscriptions: {
+    list: (stripe, params) => stripe.subscriptions.list({ ...params, status: 'all' }),
+    upsert: upsertSubscription,
+    events: [
+      'customer.subscription.created', 'customer.subscription.updated', 'customer.subscription.deleted',
+      'customer.subscription.paused', 'customer.subscription.resumed'
+    ]
+  },
+  invoices: {
+    list: (stripe, params) => stripe.invoices.list(params),
+    upsert: upsertInvoice,
+    events: [
+      'invoice.created', 'invoice.finalized', 'invoice.updated', 'invoice.paid',
+      'invoice.payment_failed', 'invoice.voided', 'invoice.marked_uncollectible'
+    ]
+  }
+};
+
+/**
+ * Copy every customer, subscription and invoice
+ */
+async function copyAll(stripe) {
+  const counts = {};
+  for (const [resource, { list, upsert }] of Object.entries(SYNC_RESOURCES)) {
+    counts[resource] = 0;
+    for await (const object of list(stripe, { limit: 100 })) {
+      upsert(object);
+      counts[resource]++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Apply the events created since `since`. Each object is written with its
+ * event's time, so the order events arrive in doesn't matter. Returns the
+ * counts and the newest event time seen.
+ */
+async function applyEvents(stripe, since) {
+  const counts = {};
+  const resources = {};
+  for (const [resource, { events }] of Object.entries(SYNC_RESOURCES)) {
+    counts[resource] = 0;
+    for (const type of events) resources[type] = resource;
+  }
+
+  let newest = since;
+  // gte, as more events may have been created in the cursor's second
+  const params = { created: { gte: since }, types: Object.keys(resources), limit: 100 };
+  for await (const event of stripe.events.list(params)) {
+    const resource = resources[event.type];
+    const object = event.type === 'customer.deleted' ? { ...event.data.object, deleted: true } : event.data.object;
+    SYNC_RESOURCES[resource].upsert(object, event.created);
+    counts[resource]++;
+    newest = Math.max(newest, event.created);
+  }
+  return { counts, newest };
+}
+
+/**
+ * Bring the mirror up to date with Stripe. Applies the events since the last
+ * run, or copies everything on the first run, when the last run is older
+ * than Stripe keeps events, or with full: true. Returns { mode, synced }
+ * with the number of objects written per resource.
+ */
+async function syncFromStripe(stripe, { full = false } = {}) {
+  const startedAt = now();
+  const state = statements.getSyncState.get('events');
+
+  if (full || !state || state.last_created < startedAt - EVENT_RETENTION_SECONDS) {
+    const synced = await copyAll(stripe);
+    // Changes made while copying are picked up from events next time
+    statements.setSyncState.run('events', startedAt, now());
+    return { mode: 'full', synced };
+  }
+
+  const { counts, newest } = await applyEvents(stripe, state.last_created);
+  statements.setSyncState.run('events', newest, now());
+  return { mode: 'events', synced: counts };
+}
+
+module.exports = {
+  db,
+  upsertCustomer,
+  upsertSubscription,
+  upsertInvoice,
+  upsertPaymentMethod,
+  getCustomer,
+  getSubscriptionsByCustomer,
+  getInvoicesByCustomer,
+  getPaymentMethod,
+  hasCustomerData,
+  getAllSubscriptions,
+  getCustomerCreatedTimes,
+  getInvoicesPaidBetween,
+  getLastSyncedAt,
+  syncFromStripe
+};
@@ -0,0 +1,190 @@
+/**
+ * CSV and NDJSON exports of customers, subscriptions and invoices
+ *
+ * Exports walk every page of the Stripe list (optionally filtered by creation
+ * date and status) and stream rows to the response as they arrive, so large
+ * exports are complete and never buffered in memory.
+ *
+ * Each resource has a fixed column order. A `columns` selection picks a
+ * subset but never reorders, so files always line up with the same
+ * spreadsheet layout.
+ */
+
+const { ApiError } = require('./stripe-errors');
+const { monthlySubscriptionAmount } = require('./analytics');
+const { toMajorUnits } = require('./money');
+
+function isoDate(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : null;
+}
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value || null;
+}
+
+const RESOURCES = {
+  customers: {
+    list: (stripe, params) => stripe.customers.list(params),
+    statuses: [],
+    columns: [
+      ['id', c => c.id],
+      ['email', c => c.email],
+      ['name', c => c.name],
+      ['created', c => isoDate(c.created)],
+      ['currency', c => c.currency],
+      ['balance', c => toMajorUnits(c.balance, c.currency)],
+      ['delinquent', c => c.delinquent],
+      ['default_payment_method', c => idOf(c.invoice_settings?.default_payment_method)],
+      ['metadata', c => JSON.stringify(c.metadata || {})]
+    ]
+  },
+  subscriptions: {
+    list: (stripe, params) => stripe.subscriptions.list({ status: 'all', ...params }),
+    statuses: ['all', 'active', 'past_due', 'unpaid', 'canceled', 'incomplete', 'incomplete_expired', 'trialing', 'paused'],
+    columns: [
+      ['id', s => s.id],
+      ['customer', s => idOf(s.customer)],
+      ['status', s => s.status],
+      ['created', s => isoDate(s.created)],
+      ['current_period_start', s => isoDate(s.current_period_start)],
+      ['current_period_end', s => isoDate(s.current_period_end)],
+      ['cancel_at_period_end', s => s.cancel_at_period_end],
+      ['canceled_at', s => isoDate(s.canceled_at)],
+      ['ended_at', s => isoDate(s.ended_at)],
+      ['trial_start', s => isoDate(s.trial_start)],
+      ['trial_end', s => isoDate(s.trial_end)],
+      ['price_ids', s => s.items.data.map(item => item.price.id).join(';')],
+      ['quantity', s => s.items.data.reduce((sum, item) => sum + (item.quantity || 0), 0)],
+      ['currency', s => s.currency],
+      ['mrr', s => toMajorUnits(Math.round(monthlySubscriptionAmount(s)), s.currency)]
+    ]
+  },
+  invoices: {
+    list: (stripe, params) => stripe.invoices.list(params),
+    statuses: ['draft', 'open', 'paid', 'uncollectible', 'void'],
+    columns: [
+      ['id', i => i.id],
+      ['number', i => i.number],
+      ['customer', i => idOf(i.customer)],
+      ['subscription', i => idOf(i.subscription)],
+      ['status', i => i.status],
+      ['currency', i => i.currency],
+      ['subtotal', i => toMajorUnits(i.subtotal, i.currency)],
+      ['tax', i => toMajorUnits(i.tax, i.currency)],
+      ['total', i => toMajorUnits(i.total, i.currency)],
+      ['amount_paid', i => toMajorUnits(i.amount_paid, i.currency)],
+      ['amount_due', i => toMajorUnits(i.amount_due, i.currency)],
+      ['created', i => isoDate(i.created)],
+      ['due_date', i => isoDate(i.due_date)],
+      ['paid_at', i => isoDate(i.status_transitions?.paid_at)],
+      ['hosted_invoice_url', i => i.hosted_invoice_url]
+    ]
+  }
+};
+
+/**
+ * Quote a CSV cell. Text starting with a formula character is prefixed with
+ * an apostrophe so spreadsheets do not evaluate it.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Pick columns for a resource from a comma-separated selection, keeping the
+ * resource's own column order
+ */
+function resolveColumns(resource, selection) {
+  const all = RESOURCES[resource].columns;
+  if (!selection) return all;
+
+  const requested = selection.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = requested.filter(name => !all.some(([column]) => column === name));
+  if (unknown.length > 0) {
+    throw new ApiError(400, 'validation_failed', `Unknown columns: ${unknown.join(', ')}`, [{
+      location: 'query',
+      field: 'columns',
+      message: `must be a subset of: ${all.map(([column]) => column).join(', ')}`
+    }]);
+  }
+  return all.filter(([column]) => requested.includes(column));
+}
+
+// Wait for the socket to drain when the response buffer is full (or for
+// the client to go away)
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+}
+
+/**
+ * Stream an export to an Express response. Filters and columns are checked
+ * before any output so a bad request still gets a JSON error.
+ */
+async function streamExport(stripe, res, { resource, format = 'csv', from, to, status, columns }) {
+  const config = RESOURCES[resource];
+  const selected = resolveColumns(resource, columns);
+
+  if (status && status !== 'all' && !config.statuses.includes(status)) {
+    throw new ApiError(400, 'validation_failed', `Status filter for ${resource} must be one of: ${config.statuses.join(', ') || 'none'}`);
+  }
+
+  const params = { limit: 100 };
+  if (from !== undefined || to !== undefined) {
+    params.created = {};
+    if (from !== undefined) params.created.gte = from;
+    if (to !== undefined) params.created.lte = to;
+  }
+  if (status && status !== 'all') {
+    params.status = status;
+  }
+
+  // Fetch the first page before writing anything, so a Stripe failure can
+  // still be reported as a normal JSON error
+  const iterator = config.list(stripe, params)[Symbol.asyncIterator]();
+  let next = await iterator.next();
+
+  const filename = `${resource}-${new Date().toISOString().slice(0, 10)}.${format === 'csv' ? 'csv' : 'ndjson'}`;
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  if (format === 'csv') {
+    await write(res, `${selected.map(([column]) => csvCell(column)).join(',')}\r\n`);
+  }
+
+  let rows = 0;
+  for (; !next.done && !res.destroyed; next = await iterator.next()) {
+    const values = selected.map(([, get]) => get(next.value));
+
+    if (format === 'csv') {
+      await write(res, `${values.map(csvCell).join(',')}\r\n`);
+    } else {
+      const record = {};
+      selected.forEach(([column], index) => {
+        record[column] = values[index] ?? null;
+      });
+      await write(res, `${JSON.stringify(record)}\n`);
+    }
+    rows++;
+  }
+
+  res.end();
+  return rows;
+}
+
+module.exports = {
+  EXPORT_RESOURCES: Object.keys(RESOURCES),
+  streamExport
+};
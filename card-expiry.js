@@ -0,0 +1,317 @@
+/**
+ * Expiring card detection and update reminders
+ *
+ * A scan walks every customer's default payment method and flags cards that
+ * expire within CARD_EXPIRY_WINDOW_DAYS. Each flagged card is recorded and
+ * the customer is reminded once per card and expiry date, so a renewal
+ * isn't lost to a card we could have asked about weeks earlier.
+ *
+ * Cards also come in from webhooks: customer.source.expiring (Stripe's own
+ * notice for legacy card sources) flags one, and
+ * payment_method.automatically_updated (the card network sent a new expiry)
+ * resolves it when the new date is outside the window. A scan resolves
+ * cards that are no longer a customer's default, or were renewed.
+ *
+ * The scan runs in-process every CARD_EXPIRY_INTERVAL_MS, in the background
+ * when an admin asks for one (only one scan runs at a time), or from the
+ * command line:
+ *
+ *   node card-expiry.js [windowDays]
+ *
+ * Environment variables:
+ * CARD_EXPIRY_WINDOW_DAYS=30            (optional, default shown)
+ * CARD_EXPIRY_INTERVAL_MS=86400000      (optional, default shown)
+ */
+
+const { formatPaymentMethod } = require('./payment-methods');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'card-expiry' });
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const WINDOW_DAYS = parseInt(process.env.CARD_EXPIRY_WINDOW_DAYS || '30', 10);
+const INTERVAL_MS = parseInt(process.env.CARD_EXPIRY_INTERVAL_MS || '86400000', 10);
+
+const CARD_EXPIRY_STATUSES = ['open', 'renewed', 'replaced', 'automatically_updated'];
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value;
+}
+
+/**
+ * Cards are valid through the last day of their expiry month, so this is
+ * the first second of the following month (UTC)
+ */
+function expiresAt(expMonth, expYear) {
+  return Date.UTC(expYear, expMonth, 1) / 1000;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toLocaleDateString('en-US', { dateStyle: 'long', timeZone: 'UTC' });
+}
+
+/**
+ * Build expiring card tracking on a better-sqlite3 database. Reminders go
+ * through the notifier (see notifications.js).
+ */
+function createCardExpiry(db, stripe, { notifier }) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS expiring_cards (
+      payment_method_id TEXT NOT NULL,
+      exp_month INTEGER NOT NULL,
+      exp_year INTEGER NOT NULL,
+      customer_id TEXT NOT NULL,
+      brand TEXT,
+      last4 TEXT,
+      expires_at INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      status TEXT NOT NULL,
+      detected_at INTEGER NOT NULL,
+      reminded_at INTEGER,
+      resolved_at INTEGER,
+      PRIMARY KEY (payment_method_id, exp_month, exp_year)
+    );
+    CREATE INDEX IF NOT EXISTS expiring_cards_status ON expiring_cards (status, expires_at);
+    CREATE INDEX IF NOT EXISTS expiring_cards_customer ON expiring_cards (customer_id);
+  `);
+
+  const statements = {
+    // Recorded once per card and expiry date; later scans and events keep the first detection
+    flag: db.prepare(`
+      INSERT OR IGNORE INTO expiring_cards
+        (payment_method_id, exp_month, exp_year, customer_id, brand, last4, expires_at, source, status, detected_at)
+      VALUES
+        (@payment_method_id, @exp_month, @exp_year, @customer_id, @brand, @last4, @expires_at, @source, 'open', @detected_at)
+    `),
+    get: db.prepare('SELECT * FROM expiring_cards WHERE payment_method_id = ? AND exp_month = ? AND exp_year = ?'),
+    reminded: db.prepare(`
+      UPDATE expiring_cards SET reminded_at = @reminded_at
+      WHERE payment_method_id = @payment_method_id AND exp_month = @exp_month AND exp_year = @exp_year
+    `),
+    resolve: db.prepare(`
+      UPDATE expiring_cards SET status = @status, resolved_at = @resolved_at
+      WHERE payment_method_id = @payment_method_id AND status = 'open'
+    `),
+    openForCustomer: db.prepare("SELECT * FROM expiring_cards WHERE customer_id = ? AND status = 'open'")
+  };
+
+  function isExpiringSoon(card, windowDays) {
+    return expiresAt(card.expMonth, card.expYear) <= now() + windowDays * SECONDS_PER_DAY;
+  }
+
+  /**
+   * Record an expiring card and remind its customer. The reminder is sent
+   * once per card and expiry, however many scans or events see it.
+   */
+  async function flag(card, customerId, source) {
+    statements.flag.run({
+      payment_method_id: card.id,
+      exp_month: card.expMonth,
+      exp_year: card.expYear,
+      customer_id: customerId,
+      brand: card.brand || null,
+      last4: card.last4 || null,
+      expires_at: expiresAt(card.expMonth, card.expYear),
+      source,
+      detected_at: now()
+    });
+
+    const row = statements.get.get(card.id, card.expMonth, card.expYear);
+    if (row.reminded_at || row.status !== 'open') return format(row);
+
+    const result = await notifier.notify({ id: `card-expiring:${card.id}:${card.expYear}-${card.expMonth}` }, 'card_expiring', {
+      customerId,
+      variables: {
+        card: {
+          brand: card.brand,
+          last4: card.last4,
+          expiry: `${String(card.expMonth).padStart(2, '0')}/${card.expYear}`,
+          expiresOn: formatDate(row.expires_at - 1)
+        }
+      }
+    });
+
+    if (result === 'sent') {
+      statements.reminded.run({
+        payment_method_id: card.id,
+        exp_month: card.expMonth,
+        exp_year: card.expYear,
+        reminded_at: now()
+      });
+    }
+    return format(statements.get.get(card.id, card.expMonth, card.expYear));
+  }
+
+  function resolve(paymentMethodId, status) {
+    return statements.resolve.run({ payment_method_id: paymentMethodId, status, resolved_at: now() }).changes > 0;
+  }
+
+  /**
+   * Check one customer's default payment method: flag it if it's a card
+   * expiring within the window, and resolve open records for cards that
+   * are no longer the default or no longer expiring soon
+   */
+  async function checkCustomer(customer, { windowDays = WINDOW_DAYS } = {}) {
+    const defaultPaymentMethod = customer.invoice_settings?.default_payment_method;
+    const defaultSourceId = idOf(customer.default_source);
+    const card = defaultPaymentMethod && typeof defaultPaymentMethod === 'object' && defaultPaymentMethod.type === 'card'
+      ? formatPaymentMethod(defaultPaymentMethod, defaultPaymentMethod.id)
+      : null;
+
+    for (const row of statements.openForCustomer.all(customer.id)) {
+      // Legacy card sources are flagged by customer.source.expiring instead
+      if (row.payment_method_id === defaultSourceId) continue;
+
+      if (!card || row.payment_method_id !== card.id) {
+        resolve(row.payment_method_id, 'replaced');
+      } else if (row.exp_month !== card.expMonth || row.exp_year !== card.expYear) {
+        resolve(row.payment_method_id, 'renewed');
+      }
+    }
+
+    if (card && isExpiringSoon(card, windowDays)) {
+      return flag(card, customer.id, 'scan');
+    }
+    return null;
+  }
+
+  /**
+   * Scan every customer. One customer failing does not stop the others.
+   * Resolves to { scanned, flagged, failed }.
+   */
+  async function scan({ windowDays = WINDOW_DAYS } = {}) {
+    const results = { scanned: 0, flagged: 0, failed: 0 };
+
+    for await (const customer of stripe.customers.list({ limit: 100, expand: ['data.invoice_settings.default_payment_method'] })) {
+      results.scanned += 1;
+      try {
+        if (await checkCustomer(customer, { windowDays })) results.flagged += 1;
+      } catch (error) {
+        log.error('Expiring card check failed', { customerId: customer.id, error });
+        results.failed += 1;
+      }
+    }
+
+    log.info('Expiring card scan finished', { ...results, windowDays });
+    return results;
+  }
+
+  /**
+   * customer.source.expiring: Stripe's notice that a legacy card source
+   * expires at the end of next month
+   */
+  function handleSourceExpiring(source) {
+    if (source.object !== 'card') return null;
+    return flag({
+      id: source.id,
+      brand: source.brand,
+      last4: source.last4,
+      expMonth: source.exp_month,
+      expYear: source.exp_year
+    }, idOf(source.customer), 'customer.source.expiring');
+  }
+
+  /**
+   * payment_method.automatically_updated: the card network sent new card
+   * details, which usually means a later expiry
+   */
+  function handleAutomaticallyUpdated(paymentMethod, { windowDays = WINDOW_DAYS } = {}) {
+    if (paymentMethod.type !== 'card') return false;
+    const card = formatPaymentMethod(paymentMethod);
+    if (isExpiringSoon(card, windowDays)) return false;
+    return resolve(paymentMethod.id, 'automatically_updated');
+  }
+
+  let scanning = false;
+
+  /**
+   * Start a scan in the background unless one is already running (from
+   * the loop or an earlier call). Returns whether it started.
+   */
+  function startScan(options) {
+    if (scanning) return false;
+    scanning = true;
+    scan(options)
+      .catch(error => log.error('Expiring card scan failed', { error }))
+      .finally(() => {
+        scanning = false;
+      });
+    return true;
+  }
+
+  function startLoop() {
+    const timer = setInterval(() => startScan(), INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+
+  function format(row) {
+    return {
+      paymentMethodId: row.payment_method_id,
+      customerId: row.customer_id,
+      brand: row.brand,
+      last4: row.last4,
+      expMonth: row.exp_month,
+      expYear: row.exp_year,
+      expiresAt: row.expires_at,
+      daysUntilExpiry: Math.max(0, Math.ceil((row.expires_at - now()) / SECONDS_PER_DAY)),
+      source: row.source,
+      status: row.status,
+      detectedAt: row.detected_at,
+      remindedAt: row.reminded_at,
+      resolvedAt: row.resolved_at
+    };
+  }
+
+  /**
+   * List flagged cards, soonest expiry first. Defaults to open ones.
+   */
+  function list({ status = 'open', customerId, expiringBefore, limit = 100 } = {}) {
+    const conditions = ['status = @status'];
+    if (customerId) conditions.push('customer_id = @customerId');
+    if (expiringBefore) conditions.push('expires_at <= @expiringBefore');
+
+    return db.prepare(`
+      SELECT * FROM expiring_cards WHERE ${conditions.join(' AND ')}
+      ORDER BY expires_at, detected_at LIMIT @limit
+    `).all({ status, customerId, expiringBefore, limit }).map(format);
+  }
+
+  return {
+    scan,
+    startScan,
+    checkCustomer,
+    handleSourceExpiring,
+    handleAutomaticallyUpdated,
+    startLoop,
+    list
+  };
+}
+
+module.exports = {
+  CARD_EXPIRY_STATUSES,
+  createCardExpiry
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  const billingDb = require('./billing-db');
+  const { createNotifier } = require('./notifications');
+
+  const windowDays = process.argv[2] ? parseInt(process.argv[2], 10) : WINDOW_DAYS;
+  const cardExpiry = createCardExpiry(billingDb.db, stripe, { notifier: createNotifier(billingDb.db, stripe) });
+
+  cardExpiry.scan({ windowDays })
+    .then(results => {
+      process.exitCode = results.failed > 0 ? 1 : 0;
+    })
+    .catch(error => {
+      log.error('Expiring card scan failed', { error });
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,162 @@
+/**
+ * Dispute tracking for chargebacks
+ *
+ * Disputes are mirrored from charge.dispute.* webhooks so admins can see
+ * what is open and how long is left to submit evidence. The disputed
+ * charge is looked up once to attach its customer, payment intent and
+ * invoice.
+ *
+ * Statuses (from Stripe):
+ *   warning_needs_response, warning_under_review, warning_closed,
+ *   needs_response, under_review, won, lost
+ */
+
+const { formatMoney } = require('./money');
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+const DISPUTE_STATUSES = [
+  'warning_needs_response',
+  'warning_under_review',
+  'warning_closed',
+  'needs_response',
+  'under_review',
+  'won',
+  'lost'
+];
+
+// Statuses where evidence can still be submitted
+const OPEN_STATUSES = ['warning_needs_response', 'needs_response'];
+
+const CLOSED_STATUSES = ['warning_closed', 'won', 'lost'];
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value;
+}
+
+/**
+ * Build dispute tracking on a better-sqlite3 database
+ */
+function createDisputes(db, stripe) {
+  const openStatuses = OPEN_STATUSES.map(status => `'${status}'`).join(', ');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS disputes (
+      id TEXT PRIMARY KEY,
+      charge_id TEXT NOT NULL,
+      payment_intent_id TEXT,
+      invoice_id TEXT,
+      customer_id TEXT,
+      amount INTEGER NOT NULL,
+      currency TEXT NOT NULL,
+      reason TEXT,
+      status TEXT NOT NULL,
+      evidence_due_by INTEGER,
+      created INTEGER NOT NULL,
+      closed_at INTEGER,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS disputes_status ON disputes (status, evidence_due_by);
+    CREATE INDEX IF NOT EXISTS disputes_customer ON disputes (customer_id, created);
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT * FROM disputes WHERE id = ?'),
+    upsert: db.prepare(`
+      INSERT INTO disputes
+        (id, charge_id, payment_intent_id, invoice_id, customer_id, amount, currency, reason, status, evidence_due_by, created, closed_at, updated_at)
+      VALUES
+        (@id, @charge_id, @payment_intent_id, @invoice_id, @customer_id, @amount, @currency, @reason, @status, @evidence_due_by, @created, @closed_at, @updated_at)
+      ON CONFLICT (id) DO UPDATE SET
+        amount = excluded.amount,
+        reason = excluded.reason,
+        status = excluded.status,
+        evidence_due_by = excluded.evidence_due_by,
+        closed_at = COALESCE(disputes.closed_at, excluded.closed_at),
+        updated_at = excluded.updated_at
+      WHERE excluded.updated_at >= disputes.updated_at
+    `)
+  };
+
+  /**
+   * Store a dispute from a charge.dispute.* event. `at` is the event's
+   * created time, so a late older event can't overwrite a newer status.
+   */
+  async function handleDisputeEvent(dispute, at) {
+    const existing = statements.get.get(dispute.id);
+    let charge = null;
+    if (!existing) {
+      charge = typeof dispute.charge === 'object' ? dispute.charge : await stripe.charges.retrieve(dispute.charge);
+    }
+
+    statements.upsert.run({
+      id: dispute.id,
+      charge_id: idOf(dispute.charge),
+      payment_intent_id: idOf(dispute.payment_intent) || (charge && idOf(charge.payment_intent)) || null,
+      invoice_id: charge ? idOf(charge.invoice) || null : existing.invoice_id,
+      customer_id: charge ? idOf(charge.customer) || null : existing.customer_id,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      reason: dispute.reason,
+      status: dispute.status,
+      evidence_due_by: dispute.evidence_details ? dispute.evidence_details.due_by : null,
+      created: dispute.created,
+      closed_at: CLOSED_STATUSES.includes(dispute.status) ? at : null,
+      updated_at: at
+    });
+
+    return format(statements.get.get(dispute.id));
+  }
+
+  function format(row) {
+    const open = OPEN_STATUSES.includes(row.status);
+    return {
+      id: row.id,
+      chargeId: row.charge_id,
+      paymentIntentId: row.payment_intent_id,
+      invoiceId: row.invoice_id,
+      customerId: row.customer_id,
+      amount: row.amount,
+      currency: row.currency,
+      reason: row.reason,
+      status: row.status,
+      needsResponse: open,
+      evidenceDueBy: row.evidence_due_by,
+      daysUntilDue: open && row.evidence_due_by
+        ? Math.max(0, Math.floor((row.evidence_due_by - now()) / SECONDS_PER_DAY))
+        : null,
+      created: row.created,
+      closedAt: row.closed_at,
+      formatted: { amount: formatMoney(row.amount, row.currency) }
+    };
+  }
+
+  /**
+   * List disputes, soonest evidence deadline first. Defaults to disputes
+   * still waiting for evidence.
+   */
+  function list({ status, customerId, dueBefore, limit = 100 } = {}) {
+    const conditions = [status ? 'status = @status' : `status IN (${openStatuses})`];
+    if (customerId) conditions.push('customer_id = @customerId');
+    if (dueBefore) conditions.push('evidence_due_by <= @dueBefore');
+
+    return db.prepare(`
+      SELECT * FROM disputes WHERE ${conditions.join(' AND ')}
+      ORDER BY evidence_due_by IS NULL, evidence_due_by, created LIMIT @limit
+    `).all({ status, customerId, dueBefore, limit }).map(format);
+  }
+
+  return {
+    handleDisputeEvent,
+    list
+  };
+}
+
+module.exports = {
+  createDisputes,
+  DISPUTE_STATUSES
+};
@@ -0,0 +1,498 @@
+/**
+ * Dunning workflow for subscriptions with failed payments
+ *
+ * A failed subscription invoice puts the subscription into dunning. From
+ * there it moves through a per-plan policy:
+ *
+ *   grace -> final_notice -> suspended | downgraded | canceled
+ *   \________\_______________\___________\____> recovered (invoice paid)
+ *
+ * During the grace period the customer gets reminder emails on the policy's
+ * schedule; the last reminder moves the subscription to "final_notice". When
+ * the grace period ends without payment, the policy's action is applied.
+ * Setting a new default payment method retries the open invoice straight
+ * away (see retryForCustomer); a suspended subscription whose invoice is
+ * then paid is resumed, and a downgraded one gets its plan back.
+ *
+ * A plan picks its policy with `dunning_policy` metadata on the Stripe price
+ * or product (price wins). The "downgrade" action moves the subscription's
+ * first item to the price in `dunning_downgrade_price` metadata, or
+ * DUNNING_DOWNGRADE_PRICE_ID, keeping its quantity (seats), and removes the
+ * other items (add-ons). The items it replaced are kept in the dunning row
+ * (downgraded_items) and put back if the invoice is paid after all.
+ *
+ * Environment variables:
+ * DUNNING_DEFAULT_POLICY=standard     (optional, default shown)
+ * DUNNING_DOWNGRADE_PRICE_ID=price_x  (optional, see above)
+ * DUNNING_INTERVAL_MS=900000          (optional, default shown)
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'dunning' });
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const INTERVAL_MS = parseInt(process.env.DUNNING_INTERVAL_MS || '900000', 10);
+
+const POLICIES = {
+  standard: { graceDays: 14, reminderDays: [3, 7, 12], action: 'suspend' },
+  lenient: { graceDays: 21, reminderDays: [3, 7, 14, 19], action: 'downgrade' },
+  strict: { graceDays: 7, reminderDays: [2, 5], action: 'cancel' }
+};
+
+const DEFAULT_POLICY = POLICIES[process.env.DUNNING_DEFAULT_POLICY] ? process.env.DUNNING_DEFAULT_POLICY : 'standard';
+
+const ACTIVE_STAGES = ['grace', 'final_notice'];
+
+// Stages a paid invoice can still bring back to "recovered"
+const RECOVERABLE_STAGES = [...ACTIVE_STAGES, 'suspended', 'downgraded'];
+
+// Invoices that belong to a subscription's billing cycle (not one-off invoices)
+const DUNNING_BILLING_REASONS = ['subscription_cycle', 'subscription_update', 'subscription_create', 'subscription_threshold'];
+
+const ACTION_STAGES = {
+  suspend: 'suspended',
+  downgrade: 'downgraded',
+  cancel: 'canceled'
+};
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toLocaleDateString('en-US', { dateStyle: 'long', timeZone: 'UTC' });
+}
+
+/**
+ * Build the dunning workflow on a better-sqlite3 database. Reminder and
+ * outcome emails go through the notifier (see notifications.js), and
+ * onStageChange(customerId) is called whenever a subscription leaves dunning.
+ */
+function createDunning(db, stripe, { notifier, onStageChange = async () => {} }) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS dunning (
+      subscription_id TEXT PRIMARY KEY,
+      customer_id TEXT NOT NULL,
+      invoice_id TEXT NOT NULL,
+      policy TEXT NOT NULL,
+      action TEXT NOT NULL,
+      downgrade_price_id TEXT,
+      stage TEXT NOT NULL,
+      entered_at INTEGER NOT NULL,
+      grace_ends_at INTEGER NOT NULL,
+      reminders_sent INTEGER NOT NULL DEFAULT 0,
+      next_reminder_at INTEGER,
+      retry_count INTEGER NOT NULL DEFAULT 0,
+      last_retry_at INTEGER,
+      last_error TEXT,
+      resolved_at INTEGER,
+      last_event_at INTEGER NOT NULL,
+      downgraded_items TEXT
+    );
+    CREATE INDEX IF NOT EXISTS dunning_stage ON dunning (stage, grace_ends_at);
+    CREATE INDEX IF NOT EXISTS dunning_customer ON dunning (customer_id);
+  `);
+
+  // Added after the table was first released
+  if (!db.pragma('table_info(dunning)').some(column => column.name === 'downgraded_items')) {
+    db.exec('ALTER TABLE dunning ADD COLUMN downgraded_items TEXT');
+  }
+
+  const activeStages = ACTIVE_STAGES.map(stage => `'${stage}'`).join(', ');
+  const recoverableStages = RECOVERABLE_STAGES.map(stage => `'${stage}'`).join(', ');
+
+  const statements = {
+    get: db.prepare('SELECT * FROM dunning WHERE subscription_id = ?'),
+    // A new cycle starts only if the subscription is not already in dunning,
+    // so repeated failures never extend the grace period
+    enter: db.prepare(`
+      INSERT INTO dunning (
+        subscription_id, customer_id, invoice_id, policy, action, downgrade_price_id,
+        stage, entered_at, grace_ends_at, reminders_sent, next_reminder_at,
+        retry_count, last_retry_at, last_error, resolved_at, last_event_at
+      ) VALUES (
+        @subscription_id, @customer_id, @invoice_id, @policy, @action, @downgrade_price_id,
+        'grace', @entered_at, @grace_ends_at, 0, @next_reminder_at,
+        0, NULL, NULL, NULL, @last_event_at
+      )
+      ON CONFLICT (subscription_id) DO UPDATE SET
+        customer_id = excluded.customer_id,
+        invoice_id = excluded.invoice_id,
+        policy = excluded.policy,
+        action = excluded.action,
+        downgrade_price_id = excluded.downgrade_price_id,
+        stage = 'grace',
+        entered_at = excluded.entered_at,
+        grace_ends_at = excluded.grace_ends_at,
+        reminders_sent = 0,
+        next_reminder_at = excluded.next_reminder_at,
+        retry_count = 0,
+        last_retry_at = NULL,
+        last_error = NULL,
+        resolved_at = NULL,
+        last_event_at = excluded.last_event_at,
+        downgraded_items = NULL
+      WHERE dunning.stage NOT IN (${activeStages}) AND excluded.last_event_at >= dunning.last_event_at
+    `),
+    resolve: db.prepare(`
+      UPDATE dunning SET stage = @stage, resolved_at = @resolved_at, next_reminder_at = NULL, last_event_at = MAX(last_event_at, @event_at)
+      WHERE subscription_id = @subscription_id AND stage IN (${activeStages}) AND @event_at >= last_event_at
+    `),
+    recover: db.prepare(`
+      UPDATE dunning SET stage = 'recovered', resolved_at = @resolved_at, next_reminder_at = NULL, last_event_at = MAX(last_event_at, @event_at)
+      WHERE subscription_id = @subscription_id AND stage IN (${recoverableStages}) AND @event_at >= last_event_at
+    `),
+    reminded: db.prepare(`
+      UPDATE dunning SET stage = @stage, reminders_sent = reminders_sent + 1, next_reminder_at = @next_reminder_at
+      WHERE subscription_id = @subscription_id
+    `),
+    retried: db.prepare(`
+      UPDATE dunning SET retry_count = retry_count + 1, last_retry_at = @last_retry_at, last_error = @last_error
+      WHERE subscription_id = @subscription_id
+    `),
+    failedAction: db.prepare('UPDATE dunning SET last_error = ? WHERE subscription_id = ?'),
+    // Kept from the first attempt, so a retried downgrade doesn't record the downgraded items
+    downgrading: db.prepare('UPDATE dunning SET downgraded_items = COALESCE(downgraded_items, ?) WHERE subscription_id = ?'),
+    recoverableForCustomer: db.prepare(`SELECT * FROM dunning WHERE customer_id = ? AND stage IN (${recoverableStages})`),
+    dueReminders: db.prepare(`
+      SELECT * FROM dunning
+      WHERE stage IN (${activeStages}) AND next_reminder_at IS NOT NULL AND next_reminder_at <= @now AND grace_ends_at > @now
+    `),
+    dueActions: db.prepare(`SELECT * FROM dunning WHERE stage IN (${activeStages}) AND grace_ends_at <= ?`)
+  };
+
+  /**
+   * Policy for the price an invoice bills: metadata on the price, then the
+   * product, then the default
+   */
+  async function policyForPrice(price) {
+    let name = price?.metadata?.dunning_policy;
+    let downgradePriceId = price?.metadata?.dunning_downgrade_price;
+
+    if (price && (!name || !downgradePriceId)) {
+      const product = typeof price.product === 'string'
+        ? await stripe.products.retrieve(price.product)
+        : price.product;
+      name = name || product?.metadata?.dunning_policy;
+      downgradePriceId = downgradePriceId || product?.metadata?.dunning_downgrade_price;
+    }
+
+    if (name && !POLICIES[name]) {
+      log.warn('Unknown dunning policy, using the default', { policy: name, priceId: price.id, defaultPolicy: DEFAULT_POLICY });
+      name = null;
+    }
+    name = name || DEFAULT_POLICY;
+
+    const policy = POLICIES[name];
+    downgradePriceId = downgradePriceId || process.env.DUNNING_DOWNGRADE_PRICE_ID || null;
+
+    if (policy.action === 'downgrade' && !downgradePriceId) {
+      log.warn('Dunning policy has no downgrade price, suspending instead', { policy: name, priceId: price?.id });
+      return { name, ...policy, action: 'suspend', downgradePriceId: null };
+    }
+    return { name, ...policy, downgradePriceId };
+  }
+
+  function nextReminderAt(row, remindersSent, policy = POLICIES[row.policy]) {
+    const day = policy.reminderDays[remindersSent];
+    return day === undefined ? null : row.entered_at + day * SECONDS_PER_DAY;
+  }
+
+  /**
+   * Put a subscription into dunning for a failed invoice (invoice.payment_failed)
+   */
+  async function handlePaymentFailed(invoice, event) {
+    const subscriptionId = idOf(invoice.subscription);
+    if (!subscriptionId || !DUNNING_BILLING_REASONS.includes(invoice.billing_reason)) return;
+
+    const existing = statements.get.get(subscriptionId);
+    if (existing && ACTIVE_STAGES.includes(existing.stage)) return;
+
+    const policy = await policyForPrice(invoice.lines.data.find(line => line.price)?.price);
+    const enteredAt = event.created;
+
+    const entered = statements.enter.run({
+      subscription_id: subscriptionId,
+      customer_id: idOf(invoice.customer),
+      invoice_id: invoice.id,
+      policy: policy.name,
+      action: policy.action,
+      downgrade_price_id: policy.downgradePriceId,
+      entered_at: enteredAt,
+      grace_ends_at: enteredAt + policy.graceDays * SECONDS_PER_DAY,
+      next_reminder_at: nextReminderAt({ entered_at: enteredAt }, 0, policy),
+      last_event_at: event.created
+    });
+
+    if (entered.changes > 0) {
+      log.info('Subscription entered dunning', { subscriptionId, policy: policy.name, graceDays: policy.graceDays });
+    }
+  }
+
+  /**
+   * Put back the items a downgrade replaced, reusing items that still exist
+   */
+  async function restoreItems(row) {
+    const subscription = await stripe.subscriptions.retrieve(row.subscription_id);
+    const current = subscription.items.data.map(item => item.id);
+
+    await stripe.subscriptions.update(row.subscription_id, {
+      items: JSON.parse(row.downgraded_items).map(item => ({
+        ...(current.includes(item.id) ? { id: item.id } : {}),
+        price: item.price,
+        ...(item.quantity !== undefined ? { quantity: item.quantity } : {})
+      })),
+      proration_behavior: 'none'
+    }, { idempotencyKey: `dunning-${row.subscription_id}-${row.entered_at}-restore` });
+  }
+
+  /**
+   * Mark a subscription recovered, resuming collection if it was suspended
+   * and restoring its items if it was downgraded
+   */
+  async function recover(row, eventAt) {
+    const recovered = statements.recover.run({ subscription_id: row.subscription_id, resolved_at: now(), event_at: eventAt });
+    if (recovered.changes === 0) return false;
+
+    if (row.stage === 'suspended') {
+      await stripe.subscriptions.update(row.subscription_id, { pause_collection: '' });
+    } else if (row.stage === 'downgraded' && row.downgraded_items) {
+      await restoreItems(row);
+    }
+    log.info('Subscription recovered from dunning', { subscriptionId: row.subscription_id });
+    await onStageChange(row.customer_id);
+    return true;
+  }
+
+  /**
+   * Close dunning for a subscription whose invoice was paid (invoice.payment_succeeded)
+   */
+  async function handleInvoicePaid(invoice, event) {
+    const subscriptionId = idOf(invoice.subscription);
+    if (!subscriptionId) return;
+
+    const row = statements.get.get(subscriptionId);
+    if (!row || row.invoice_id !== invoice.id) return;
+
+    await recover(row, event.created);
+  }
+
+  /**
+   * Close dunning for a subscription that was canceled (customer.subscription.deleted)
+   */
+  function handleSubscriptionDeleted(subscription, event) {
+    statements.resolve.run({ subscription_id: subscription.id, stage: 'canceled', resolved_at: now(), event_at: event.created });
+  }
+
+  /**
+   * Retry every unpaid dunning invoice of a customer (including suspended
+   * subscriptions) with their new default payment method. The payment method
+   * also becomes each subscription's default so the next renewal uses it.
+   * Failures are reported per invoice, not thrown: by the time this runs the
+   * customer's default payment method has already changed.
+   */
+  async function retryForCustomer(customerId, paymentMethodId) {
+    const results = [];
+
+    for (const row of statements.recoverableForCustomer.all(customerId)) {
+      const result = { subscriptionId: row.subscription_id, invoiceId: row.invoice_id };
+
+      try {
+        await stripe.subscriptions.update(row.subscription_id, { default_payment_method: paymentMethodId });
+        const invoice = await stripe.invoices.pay(row.invoice_id, { payment_method: paymentMethodId });
+        result.status = invoice.status;
+        statements.retried.run({ subscription_id: row.subscription_id, last_retry_at: now(), last_error: null });
+
+        if (invoice.status === 'paid') {
+          await recover(row, row.last_event_at);
+          result.status = 'recovered';
+        }
+      } catch (error) {
+        // Card declines are expected here; anything else is a real failure
+        const declined = error.type === 'StripeCardError' || error.code === 'invoice_payment_intent_requires_action';
+        if (!declined) {
+          log.error('Dunning retry failed', { subscriptionId: row.subscription_id, invoiceId: row.invoice_id, error });
+        }
+        statements.retried.run({ subscription_id: row.subscription_id, last_retry_at: now(), last_error: error.message });
+        result.status = declined ? 'failed' : 'error';
+        result.error = error.message;
+        result.declineCode = declined ? error.decline_code || error.code || null : null;
+      }
+
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * Name of the plan a downgrade moves to, from its price's product
+   */
+  async function downgradePlanName(row) {
+    const price = await stripe.prices.retrieve(row.downgrade_price_id, { expand: ['product'] });
+    return price.product.name || price.nickname;
+  }
+
+  async function sendReminder(row) {
+    const invoice = await stripe.invoices.retrieve(row.invoice_id);
+    const isLast = nextReminderAt(row, row.reminders_sent + 1) === null;
+    const consequence = row.action === 'downgrade'
+      ? `downgraded to the ${await downgradePlanName(row)} plan`
+      : { suspend: 'suspended', cancel: 'canceled' }[row.action];
+
+    await notifier.notifyInvoice({ id: `dunning:${row.subscription_id}:${row.entered_at}:reminder-${row.reminders_sent + 1}` }, 'dunning_reminder', invoice, {
+      dunning: {
+        graceEnds: formatDate(row.grace_ends_at),
+        consequence
+      }
+    });
+
+    statements.reminded.run({
+      subscription_id: row.subscription_id,
+      stage: isLast ? 'final_notice' : row.stage,
+      next_reminder_at: nextReminderAt(row, row.reminders_sent + 1)
+    });
+  }
+
+  /**
+   * Apply the policy action once the grace period is over
+   */
+  async function applyAction(row) {
+    const requestOptions = { idempotencyKey: `dunning-${row.subscription_id}-${row.entered_at}-${row.action}` };
+
+    if (row.action === 'cancel') {
+      await stripe.subscriptions.cancel(row.subscription_id, {}, requestOptions);
+    } else if (row.action === 'downgrade') {
+      const subscription = await stripe.subscriptions.retrieve(row.subscription_id);
+      // A retry of this step after a later failure finds the invoice already marked
+      const unpaid = await stripe.invoices.retrieve(row.invoice_id);
+      if (unpaid.status !== 'uncollectible') {
+        await stripe.invoices.markUncollectible(row.invoice_id);
+      }
+      statements.downgrading.run(JSON.stringify(subscription.items.data.map(item => ({
+        id: item.id,
+        price: item.price.id,
+        quantity: item.quantity
+      }))), row.subscription_id);
+      await stripe.subscriptions.update(row.subscription_id, {
+        items: subscription.items.data.map((item, index) => (index === 0
+          ? { id: item.id, price: row.downgrade_price_id, ...(item.quantity !== undefined ? { quantity: item.quantity } : {}) }
+          : { id: item.id, deleted: true })),
+        proration_behavior: 'none'
+      }, requestOptions);
+    } else {
+      // Stop collection attempts; entitlements treat "suspended" as no access
+      await stripe.subscriptions.update(row.subscription_id, {
+        pause_collection: { behavior: 'mark_uncollectible' }
+      }, requestOptions);
+    }
+
+    const stage = ACTION_STAGES[row.action];
+    statements.resolve.run({ subscription_id: row.subscription_id, stage, resolved_at: now(), event_at: row.last_event_at });
+    log.info('Dunning grace period ended', { subscriptionId: row.subscription_id, stage });
+    await onStageChange(row.customer_id);
+
+    if (row.action !== 'cancel') {
+      const invoice = await stripe.invoices.retrieve(row.invoice_id);
+      const variables = row.action === 'downgrade' ? { dunning: { downgradePlan: await downgradePlanName(row) } } : {};
+      await notifier.notifyInvoice({ id: `dunning:${row.subscription_id}:${row.entered_at}:${stage}` }, `dunning_${stage}`, invoice, variables);
+    }
+  }
+
+  /**
+   * Send due reminders and apply due actions. One subscription failing does
+   * not stop the others; it is retried on the next run.
+   */
+  async function runDue() {
+    const current = now();
+    const work = [
+      ...statements.dueReminders.all({ now: current }).map(row => [row, sendReminder]),
+      ...statements.dueActions.all(current).map(row => [row, applyAction])
+    ];
+
+    for (const [row, step] of work) {
+      try {
+        await step(row);
+      } catch (error) {
+        log.error('Dunning step failed', { subscriptionId: row.subscription_id, error });
+        statements.failedAction.run(error.message, row.subscription_id);
+      }
+    }
+  }
+
+  function startLoop() {
+    let running = false;
+    const timer = setInterval(() => {
+      if (running) return;
+      running = true;
+      runDue()
+        .catch(error => log.error('Dunning loop failed', { error }))
+        .finally(() => {
+          running = false;
+        });
+    }, INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+
+  function format(row) {
+    return {
+      subscriptionId: row.subscription_id,
+      customerId: row.customer_id,
+      invoiceId: row.invoice_id,
+      policy: row.policy,
+      action: row.action,
+      stage: row.stage,
+      enteredAt: row.entered_at,
+      graceEndsAt: row.grace_ends_at,
+      remindersSent: row.reminders_sent,
+      nextReminderAt: row.next_reminder_at,
+      retryCount: row.retry_count,
+      lastRetryAt: row.last_retry_at,
+      lastError: row.last_error,
+      resolvedAt: row.resolved_at,
+      downgradedItems: row.downgraded_items ? JSON.parse(row.downgraded_items) : null
+    };
+  }
+
+  /**
+   * List dunning records, soonest grace end first. Defaults to subscriptions
+   * currently in dunning.
+   */
+  function list({ stage, customerId, limit = 100 } = {}) {
+    const conditions = [stage ? 'stage = @stage' : `stage IN (${activeStages})`];
+    if (customerId) conditions.push('customer_id = @customerId');
+
+    return db.prepare(`
+      SELECT * FROM dunning WHERE ${conditions.join(' AND ')}
+      ORDER BY grace_ends_at LIMIT @limit
+    `).all({ stage, customerId, limit }).map(format);
+  }
+
+  function get(subscriptionId) {
+    const row = statements.get.get(subscriptionId);
+    return row ? format(row) : null;
+  }
+
+  return {
+    handlePaymentFailed,
+    handleInvoicePaid,
+    handleSubscriptionDeleted,
+    retryForCustomer,
+    runDue,
+    startLoop,
+    list,
+    get
+  };
+}
+
+module.exports = {
+  DUNNING_POLICIES: POLICIES,
+  DUNNING_STAGES: [...ACTIVE_STAGES, 'recovered', ...Object.values(ACTION_STAGES)],
+  createDunning
+};
@@ -0,0 +1,229 @@
+/**
+ * Plan entitlements for TrackVentories feature gating
+ *
+ * Resolves what a customer may do in the inventory app from their Stripe
+ * subscriptions. Limits come from entitlements.json (or ENTITLEMENTS_CONFIG):
+ *
+ *   free      limits for customers without a subscription that grants access
+ *   plans     limits per plan name
+ *   products  product ID -> plan name
+ *   prices    price ID -> plan name
+ *
+ * A subscription item's plan is the `plan` metadata on its price or product,
+ * else the prices/products mapping, else the price's lookup_key. Individual
+ * limits can be overridden with metadata on the price or product (price wins):
+ * max_skus, max_locations, max_users, barcode_scanning, api_access. Numeric
+ * limits of null (or "unlimited" in metadata) mean no limit.
+ *
+ * Status rules:
+ *   active, trialing             full plan access
+ *   active + cancel_at_period_end   full access until the period ends
+ *   past_due                     full access while in dunning, none once suspended
+ *   anything else                no access from that subscription
+ *
+ * Several subscriptions or items combine to the most generous value of each
+ * feature. Results are cached per customer and recomputed when subscription
+ * webhooks arrive.
+ *
+ * Environment variables:
+ * ENTITLEMENTS_CONFIG=./entitlements.json   (optional, default shown)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'entitlements' });
+
+const CONFIG_PATH = process.env.ENTITLEMENTS_CONFIG || path.join(__dirname, 'entitlements.json');
+const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+
+const FEATURES = {
+  maxSkus: { type: 'limit', metadataKey: 'max_skus' },
+  maxLocations: { type: 'limit', metadataKey: 'max_locations' },
+  maxUsers: { type: 'limit', metadataKey: 'max_users' },
+  barcodeScanning: { type: 'flag', metadataKey: 'barcode_scanning' },
+  apiAccess: { type: 'flag', metadataKey: 'api_access' }
+};
+
+const ACCESS_STATUSES = ['active', 'trialing', 'past_due'];
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function parseMetadataValue(feature, value) {
+  if (FEATURES[feature].type === 'flag') {
+    return value === 'true';
+  }
+  if (value === 'unlimited') return null;
+
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * Limits for one subscription item: plan limits overlaid with product and
+ * then price metadata
+ */
+function itemFeatures(price) {
+  const product = price.product && typeof price.product === 'object' ? price.product : { id: price.product };
+  const metadata = { ...(product.metadata || {}), ...(price.metadata || {}) };
+
+  const planName = metadata.plan || config.prices[price.id] || config.products[product.id] || price.lookup_key;
+  const plan = config.plans[planName];
+
+  if (!plan) {
+    log.warn('No entitlements plan for price, using free limits', { priceId: price.id, productId: product.id });
+  }
+
+  const features = { ...config.free, ...(plan || {}) };
+  for (const [feature, { metadataKey }] of Object.entries(FEATURES)) {
+    if (metadata[metadataKey] !== undefined) {
+      const value = parseMetadataValue(feature, metadata[metadataKey]);
+      if (value !== undefined) features[feature] = value;
+    }
+  }
+
+  return { plan: plan ? planName : null, features };
+}
+
+/**
+ * Most generous of two feature sets (null limits are unlimited)
+ */
+function combine(a, b) {
+  const result = {};
+  for (const [feature, { type }] of Object.entries(FEATURES)) {
+    if (type === 'flag') {
+      result[feature] = !!(a[feature] || b[feature]);
+    } else {
+      result[feature] = a[feature] === null || b[feature] === null ? null : Math.max(a[feature], b[feature]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Build the entitlements resolver on a better-sqlite3 database. Dunning is
+ * consulted so suspended subscriptions grant nothing.
+ */
+function createEntitlements(db, stripe, { dunning }) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS entitlements (
+      customer_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      computed_at INTEGER NOT NULL,
+      expires_at INTEGER
+    );
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT * FROM entitlements WHERE customer_id = ?'),
+    upsert: db.prepare(`
+      INSERT INTO entitlements (customer_id, data, computed_at, expires_at)
+      VALUES (@customer_id, @data, @computed_at, @expires_at)
+      ON CONFLICT (customer_id) DO UPDATE SET
+        data = excluded.data,
+        computed_at = excluded.computed_at,
+        expires_at = excluded.expires_at
+    `)
+  };
+
+  /**
+   * Access a subscription grants right now, or null if it grants none
+   */
+  function subscriptionAccess(subscription, at) {
+    if (!ACCESS_STATUSES.includes(subscription.status)) return null;
+
+    const dunningRecord = dunning.get(subscription.id);
+    if (dunningRecord && dunningRecord.stage === 'suspended') return null;
+
+    const accessEndsAt = subscription.cancel_at_period_end ? subscription.current_period_end : null;
+    if (accessEndsAt && accessEndsAt <= at) return null;
+
+    return {
+      subscriptionId: subscription.id,
+      status: subscription.status,
+      trialEndsAt: subscription.status === 'trialing' ? subscription.trial_end : null,
+      accessEndsAt: accessEndsAt,
+      pastDue: subscription.status === 'past_due'
+    };
+  }
+
+  /**
+   * Recompute a customer's entitlements from Stripe and cache them
+   */
+  async function refresh(customerId) {
+    const at = now();
+    const subscriptions = [];
+    for await (const subscription of stripe.subscriptions.list({
+      customer: customerId,
+      status: 'all',
+      expand: ['data.items.data.price.product'],
+      limit: 100
+    })) {
+      subscriptions.push(subscription);
+    }
+
+    let features = { ...config.free };
+    const plans = new Set();
+    const sources = [];
+
+    subscriptions.forEach(subscription => {
+      const access = subscriptionAccess(subscription, at);
+      if (!access) return;
+
+      subscription.items.data.forEach(item => {
+        const resolved = itemFeatures(item.price);
+        features = combine(features, resolved.features);
+        if (resolved.plan) plans.add(resolved.plan);
+        sources.push({ ...access, priceId: item.price.id, plan: resolved.plan });
+      });
+    });
+
+    // Cached results go stale when a canceling subscription's period ends,
+    // even if the deletion webhook is late
+    const endTimes = sources.map(source => source.accessEndsAt).filter(Boolean);
+    const expiresAt = endTimes.length > 0 ? Math.min(...endTimes) : null;
+
+    const result = {
+      customerId: customerId,
+      plans: [...plans],
+      features: features,
+      trialing: sources.length > 0 && sources.every(source => source.trialEndsAt),
+      trialEndsAt: sources.reduce((latest, source) => Math.max(latest, source.trialEndsAt || 0), 0) || null,
+      pastDue: sources.some(source => source.pastDue),
+      accessEndsAt: sources.length > 0 && sources.every(source => source.accessEndsAt)
+        ? Math.max(...sources.map(source => source.accessEndsAt))
+        : null,
+      sources: sources,
+      computedAt: at
+    };
+
+    statements.upsert.run({
+      customer_id: customerId,
+      data: JSON.stringify(result),
+      computed_at: at,
+      expires_at: expiresAt
+    });
+    return result;
+  }
+
+  /**
+   * Cached entitlements for a customer, recomputed if missing, stale or forced
+   */
+  async function get(customerId, { refresh: force = false } = {}) {
+    const row = statements.get.get(customerId);
+    if (!force && row && (!row.expires_at || row.expires_at > now())) {
+      return JSON.parse(row.data);
+    }
+    return refresh(customerId);
+  }
+
+  return {
+    get,
+    refresh
+  };
+}
+
+module.exports = { createEntitlements };
@@ -0,0 +1,158 @@
+/**
+ * Idempotency-Key support for mutating TrackVentories endpoints
+ *
+ * A client may send an `Idempotency-Key` header on supported POST routes.
+ * The first final response for a key is stored and returned verbatim on any
+ * retry, the key is forwarded to Stripe so Stripe also deduplicates, and
+ * reusing a key with a different request body is rejected with 422. Transient
+ * failures (409 conflicts, 429 rate limits and 5xx errors) are not stored, so
+ * a retry with the same key runs the request again.
+ *
+ * Keys are scoped to the authenticated user and route, and expire after
+ * IDEMPOTENCY_TTL_HOURS (default 24).
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'idempotency' });
+
+const TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10) * 60 * 60;
+const MAX_KEY_LENGTH = 255;
+const TRANSIENT_STATUSES = new Set([409, 429]);
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// JSON with sorted object keys, so {a,b} and {b,a} hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Whether a response is worth replaying, or the client should be able to retry
+function isFinal(status) {
+  return status < 500 && !TRANSIENT_STATUSES.has(status);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Stripe request options for a call made while handling req. Each Stripe call
+ * in a handler passes its own operation name so they get distinct keys.
+ */
+function stripeRequestOptions(req, operation) {
+  if (!req.idempotency) return {};
+  return { idempotencyKey: `${req.idempotency.scopedKey}:${operation}` };
+}
+
+/**
+ * Build the idempotency middleware on a better-sqlite3 database
+ */
+function createIdempotency(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      scoped_key TEXT PRIMARY KEY,
+      request_hash TEXT NOT NULL,
+      status TEXT NOT NULL,
+      response_status INTEGER,
+      response_body TEXT,
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idempotency_keys_created ON idempotency_keys (created_at);
+  `);
+
+  const statements = {
+    purgeExpired: db.prepare('DELETE FROM idempotency_keys WHERE created_at < ?'),
+    get: db.prepare('SELECT * FROM idempotency_keys WHERE scoped_key = ?'),
+    start: db.prepare(`
+      INSERT OR IGNORE INTO idempotency_keys (scoped_key, request_hash, status, created_at)
+      VALUES (?, ?, 'in_progress', ?)
+    `),
+    complete: db.prepare(`
+      UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ?
+      WHERE scoped_key = ?
+    `),
+    release: db.prepare('DELETE FROM idempotency_keys WHERE scoped_key = ?')
+  };
+
+  function conflict(res, status, code, message) {
+    return res.status(status).json({
+      success: false,
+      error: message,
+      code
+    });
+  }
+
+  /**
+   * Middleware for routes that honor the Idempotency-Key header
+   */
+  function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return conflict(res, 400, 'invalid_request', `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const scopedKey = sha256(`${req.auth.userId}\n${req.method} ${req.baseUrl}${req.path}\n${key}`);
+    const requestHash = sha256(stableStringify(req.body || {}));
+
+    statements.purgeExpired.run(now() - TTL_SECONDS);
+
+    const inserted = statements.start.run(scopedKey, requestHash, now());
+    if (inserted.changes === 0) {
+      const existing = statements.get.get(scopedKey);
+
+      if (existing.request_hash !== requestHash) {
+        return conflict(res, 422, 'idempotency_key_reused', 'Idempotency-Key was already used with a different request body');
+      }
+      if (existing.status !== 'completed') {
+        return conflict(res, 409, 'idempotency_conflict', 'A request with this Idempotency-Key is still being processed');
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(JSON.parse(existing.response_body));
+    }
+
+    req.idempotency = { key, scopedKey };
+
+    // Capture the handler's response. Transient failures release the key so
+    // the client can retry; anything else is replayed as-is.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      try {
+        if (isFinal(res.statusCode)) {
+          statements.complete.run(res.statusCode, JSON.stringify(body), scopedKey);
+        } else {
+          statements.release.run(scopedKey);
+        }
+      } catch (error) {
+        log.error('Error storing idempotent response', { error });
+      }
+      return originalJson(body);
+    };
+
+    // A response sent without res.json must not leave the key locked
+    res.on('finish', () => {
+      const row = statements.get.get(scopedKey);
+      if (row && row.status === 'in_progress') {
+        statements.release.run(scopedKey);
+      }
+    });
+
+    next();
+  }
+
+  return { idempotent };
+}
+
+module.exports = { createIdempotency, stripeRequestOptions };
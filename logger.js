@@ -0,0 +1,189 @@
+/**
+ * Structured JSON logging with request IDs and redaction
+ *
+ * Every log entry is one line of JSON: time, level, msg, the module that
+ * wrote it and any fields. Entries written while an HTTP request is being
+ * handled also get its requestId, tracked with AsyncLocalStorage so modules
+ * don't have to pass it around.
+ *
+ * Each request gets an ID: the caller's X-Request-Id header when it is a
+ * plain token, otherwise a new UUID. It is returned in X-Request-Id, written
+ * on the access log entry with status and latency, added as request_id
+ * metadata to Stripe objects the request creates (see requestMetadata), and
+ * written with Stripe's own request ID for every Stripe API call.
+ *
+ * Before an entry is written, email addresses, client secrets and API keys
+ * are masked wherever they appear, as are whole fields named like emails,
+ * secrets, tokens, passwords or card fingerprints. Errors are reduced to
+ * their type, code, message and stack, never the raw Stripe payload.
+ *
+ * Environment variables:
+ * LOG_LEVEL=info     (debug, info, warn or error)
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const SENSITIVE_KEYS = /email|secret|token|password|authorization|fingerprint/i;
+
+const SENSITIVE_VALUES = [
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[email]'],
+  [/\b[A-Za-z0-9]+_[A-Za-z0-9]+_secret_[A-Za-z0-9]+/g, '[client_secret]'],
+  [/\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]+/g, '[api_key]'],
+  [/\bwhsec_[A-Za-z0-9]+/g, '[webhook_secret]']
+];
+
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    type: error.type,
+    code: error.code,
+    message: error.message,
+    statusCode: error.statusCode,
+    stripeRequestId: error.requestId,
+    stack: error.stack
+  };
+}
+
+/**
+ * Copy of a value with sensitive fields and substrings masked
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return SENSITIVE_VALUES.reduce((masked, [pattern, replacement]) => masked.replace(pattern, replacement), value);
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (value instanceof Error) return redact(serializeError(value), depth + 1);
+  if (Array.isArray(value)) return value.map(entry => redact(entry, depth + 1));
+
+  const output = {};
+  for (const [key, entry] of Object.entries(value)) {
+    output[key] = SENSITIVE_KEYS.test(key) && entry ? '[redacted]' : redact(entry, depth + 1);
+  }
+  return output;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const context = requestContext.getStore();
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context ? { requestId: context.requestId } : {}),
+    ...bindings,
+    ...fields
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Logger whose entries all carry `bindings`, e.g. createLogger({ module: 'dunning' }).
+ * Each method takes a message and optional fields; pass errors as a field
+ * (`{ error }`).
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more })
+  };
+}
+
+const accessLog = createLogger({ module: 'http' });
+
+/**
+ * Middleware giving each request an ID (X-Request-Id in and out) and
+ * writing an access log entry once the response is sent
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    accessLog[level]('Request completed', {
+      requestId,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+      userId: req.auth?.userId,
+      role: req.auth?.role,
+      origin: req.get('Origin')
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+}
+
+/**
+ * Middleware restoring the request's log context. Body parsers resume
+ * the request from socket events, which loses AsyncLocalStorage context,
+ * so this goes after them.
+ */
+function bindRequestContext(req, res, next) {
+  if (!req.id) return next();
+  requestContext.run({ requestId: req.id }, next);
+}
+
+/**
+ * Stripe metadata for an object created while handling req, tagged with
+ * its request ID. Calls sent with an Idempotency-Key are left untagged:
+ * a retry has a new request ID, and Stripe rejects a key reused with
+ * different parameters. Those calls are traced through the Stripe API
+ * log entries instead (see logStripeRequests).
+ */
+function requestMetadata(req, metadata = {}) {
+  if (req.idempotency || !req.id) return metadata;
+  return { ...metadata, request_id: req.id };
+}
+
+/**
+ * Write a log entry for every Stripe API response, with Stripe's request
+ * ID so a call can be found in the Stripe dashboard
+ */
+function logStripeRequests(stripe) {
+  const stripeLog = createLogger({ module: 'stripe' });
+
+  stripe.on('response', (response) => {
+    const level = response.status >= 500 ? 'error' : response.status >= 400 ? 'warn' : 'info';
+    stripeLog[level]('Stripe API call', {
+      method: response.method,
+      path: response.path,
+      status: response.status,
+      durationMs: response.elapsed,
+      stripeRequestId: response.request_id,
+      idempotencyKey: response.idempotency_key || undefined
+    });
+  });
+}
+
+module.exports = {
+  logger: createLogger(),
+  createLogger,
+  redact,
+  requestLogger,
+  bindRequestContext,
+  requestMetadata,
+  logStripeRequests
+};
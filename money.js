@@ -0,0 +1,153 @@
+/**
+ * Currency-aware amounts
+ *
+ * Stripe amounts are integers in the currency's minor unit, and not every
+ * currency has cents:
+ *
+ *   zero-decimal   JPY, KRW, VND, ...   ¥500 is 500
+ *   two-decimal    USD, EUR, GBP, ...   $5.00 is 500
+ *   three-decimal  BHD, JOD, KWD, ...   5.000 KWD is 5000, and Stripe requires
+ *                                       the last digit to be 0 when charging
+ *
+ * A few currencies can only be charged in multiples of their minor unit
+ * (CHARGE_MULTIPLES). ISK and UGX are whole-unit currencies that Stripe keeps
+ * in a two-decimal representation, so 5 ISK is 500 and 5.50 ISK is rejected.
+ * HUF and TWD accept fractional charges but only pay out whole units, so
+ * they are charged in whole units too to keep balances payable.
+ *
+ * Everything that turns a minor-unit amount into a number or string for
+ * people (API responses, exports, emails, stats) goes through here, as does
+ * turning a decimal amount from a client into minor units.
+ *
+ * See https://stripe.com/docs/currencies#zero-decimal
+ */
+
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga',
+  'pyg', 'rwf', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'
+];
+
+const THREE_DECIMAL_CURRENCIES = ['bhd', 'jod', 'kwd', 'omr', 'tnd'];
+
+// Minor-unit amounts Stripe charges must be a multiple of, where not 1
+const CHARGE_MULTIPLES = {
+  bhd: 10,
+  jod: 10,
+  kwd: 10,
+  omr: 10,
+  tnd: 10,
+  huf: 100,
+  isk: 100,
+  twd: 100,
+  ugx: 100
+};
+
+const DISPLAY_LOCALE = process.env.DISPLAY_LOCALE || 'en-US';
+
+/**
+ * Number of decimal places Stripe uses for a currency
+ */
+function currencyDecimals(currency) {
+  const code = (currency || '').toLowerCase();
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+  return 2;
+}
+
+/**
+ * Smallest chargeable step of a currency in minor units, e.g. 10 for KWD
+ */
+function chargeMultiple(currency) {
+  return CHARGE_MULTIPLES[(currency || '').toLowerCase()] || 1;
+}
+
+/**
+ * Number of decimal places a charge in a currency can have, e.g. 2 for KWD
+ * and 0 for ISK
+ */
+function chargeDecimals(currency) {
+  return currencyDecimals(currency) - Math.log10(chargeMultiple(currency));
+}
+
+/**
+ * Whether Stripe can charge a minor-unit amount in a currency (e.g. 5.120 KWD
+ * but not 5.123, and 5 ISK but not 5.50)
+ */
+function isChargeable(minorUnits, currency) {
+  return Number.isInteger(minorUnits) && minorUnits % chargeMultiple(currency) === 0;
+}
+
+/**
+ * Convert a decimal amount (e.g. 19.99) to Stripe minor units. Returns null
+ * if it is more precise than Stripe can charge in that currency.
+ */
+function toMinorUnits(amount, currency) {
+  const decimals = currencyDecimals(currency);
+  const minorUnits = Math.round(amount * 10 ** decimals);
+
+  // Tolerate float noise such as 19.99 * 100 = 1998.9999999999998
+  if (Math.abs(minorUnits - amount * 10 ** decimals) > 1e-6) return null;
+  if (!isChargeable(minorUnits, currency)) return null;
+
+  return minorUnits;
+}
+
+/**
+ * Convert Stripe minor units to a decimal amount. Null stays null.
+ */
+function toMajorUnits(minorUnits, currency) {
+  if (typeof minorUnits !== 'number') return null;
+  const decimals = currencyDecimals(currency);
+  return Number((minorUnits / 10 ** decimals).toFixed(decimals));
+}
+
+/**
+ * Display string for a minor-unit amount, e.g. "$19.99" or "¥500"
+ */
+function formatMoney(minorUnits, currency) {
+  if (typeof minorUnits !== 'number' || !currency) return null;
+  const decimals = currencyDecimals(currency);
+
+  return new Intl.NumberFormat(DISPLAY_LOCALE, {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).format(minorUnits / 10 ** decimals);
+}
+
+/**
+ * Display strings for several amount fields of one object sharing a
+ * currency, e.g. formatAmounts(invoice, ['total', 'amountDue'], 'usd')
+ */
+function formatAmounts(object, fields, currency) {
+  const formatted = {};
+  fields.forEach(field => {
+    formatted[field] = formatMoney(object[field], currency);
+  });
+  return formatted;
+}
+
+/**
+ * Add minor-unit amounts into a per-currency total map
+ */
+function addToTotals(totals, currency, minorUnits) {
+  const code = (currency || '').toLowerCase();
+  totals[code] = (totals[code] || 0) + minorUnits;
+  return totals;
+}
+
+module.exports = {
+  ZERO_DECIMAL_CURRENCIES,
+  THREE_DECIMAL_CURRENCIES,
+  CHARGE_MULTIPLES,
+  currencyDecimals,
+  chargeMultiple,
+  chargeDecimals,
+  isChargeable,
+  toMinorUnits,
+  toMajorUnits,
+  formatMoney,
+  formatAmounts,
+  addToTotals
+};
@@ -0,0 +1,185 @@
+/**
+ * Email templates for billing notifications (see notifications.js)
+ *
+ * Each template has a subject, a plain-text body and an HTML body with
+ * {{placeholders}}. Values are HTML-escaped in the HTML body; missing values
+ * render as an empty string.
+ *
+ * Variables available to every template:
+ *   appName, billingUrl, supportEmail
+ *   customer.name, customer.email
+ *   plan.name, plan.amount, plan.interval, plan.metadata.<key>
+ *     (plan.metadata merges the product and price metadata, so per-plan copy
+ *     such as plan.metadata.features can be set in the Stripe dashboard)
+ *
+ * Subscription templates also get subscription.id, subscription.status,
+ * subscription.periodEnd and subscription.trialEnd. Invoice templates get
+ * invoice.number, invoice.amountPaid, invoice.amountDue, invoice.url,
+ * invoice.pdf and invoice.nextAttempt. Reminders also get
+ * dunning.graceEnds and dunning.consequence, and dunning_downgraded gets
+ * dunning.downgradePlan, the name of the plan moved to (see dunning.js for
+ * what a downgrade keeps and how paying the invoice undoes it). Refund
+ * templates get refund.amount, refund.originalAmount, refund.full and
+ * refund.receiptUrl. The card_expiring template gets card.brand, card.last4,
+ * card.expiry (MM/YYYY) and card.expiresOn (see card-expiry.js).
+ */
+
+const TEMPLATES = {
+  subscription_welcome: {
+    subject: 'Welcome to {{appName}} {{plan.name}}',
+    text: `Hi {{customer.name}},
+
+Thanks for subscribing to {{appName}} {{plan.name}} ({{plan.amount}} {{plan.interval}}).
+
+{{plan.metadata.features}}
+
+You can manage your subscription at any time: {{billingUrl}}
+
+Questions? Reply to this email or contact {{supportEmail}}.`,
+    html: `<p>Hi {{customer.name}},</p>
+<p>Thanks for subscribing to <strong>{{appName}} {{plan.name}}</strong> ({{plan.amount}} {{plan.interval}}).</p>
+<p>{{plan.metadata.features}}</p>
+<p>You can <a href="{{billingUrl}}">manage your subscription</a> at any time.</p>`
+  },
+
+  subscription_canceled: {
+    subject: 'Your {{appName}} subscription has been canceled',
+    text: `Hi {{customer.name}},
+
+Your {{appName}} {{plan.name}} subscription has been canceled and you will not be charged again.
+
+If this was a mistake you can subscribe again at {{billingUrl}}.
+
+Questions? Contact {{supportEmail}}.`,
+    html: `<p>Hi {{customer.name}},</p>
+<p>Your <strong>{{appName}} {{plan.name}}</strong> subscription has been canceled and you will not be charged again.</p>
+<p>If this was a mistake you can <a href="{{billingUrl}}">subscribe again</a>.</p>`
+  },
+
+  payment_receipt: {
+    subject: 'Your {{appName}} receipt {{invoice.number}}',
+    text: `Hi {{customer.name}},
+
+We received your payment of {{invoice.amountPaid}} for {{appName}} {{plan.name}}.
+
+View your invoice: {{invoice.url}}
+Download PDF: {{invoice.pdf}}
+
+Thank you for your business.`,
+    html: `<p>Hi {{customer.name}},</p>
+<p>We received your payment of <strong>{{invoice.amountPaid}}</strong> for {{appName}} {{plan.name}}.</p>
+<p><a href="{{invoice.url}}">View your invoice</a> or <a href="{{invoice.pdf}}">download the PDF</a>.</p>
+<p>Thank you for your business.</p>`
+  },
+
+  payment_failed: {
+    subject: 'Action needed: your {{appName}} payment failed',
+    text: `Hi {{customer.name}},
+
+We could not collect your payment of {{invoice.amountDue}} for {{appName}} {{plan.name}}.
+
+Please update your payment method to keep your subscription active: {{billingUrl}}
+You can also pay the invoice directly: {{invoice.url}}
+
+We will try again on {{invoice.nextAttempt}}.`,
+    html: `<p>Hi {{customer.name}},</p>
+<p>We could not collect your payment of <strong>{{invoice.amountDue}}</strong> for {{appName}} {{plan.name}}.</p>
+<p>Please <a href="{{billingUrl}}">update your payment method</a> to keep your subscription active, or <a href="{{invoice.url}}">pay the invoice directly</a>.</p>
+<p>We will try again on {{invoice.nextAttempt}}.</p>`
+  },
+
+  dunning_reminder: {
+    subject: 'Reminder: your {{appName}} payment is overdue',
+    text: `Hi {{customer.name}},
+
+Your payment of {{invoice.amountDue}} for {{appName}} {{plan.name}} is still outstanding.
+
+If it is not paid by {{dunning.graceEnds}}, your subscription will be {{dunning.consequence}}.
+
+Update your payment method: {{billingUrl}}
+Or pay the invoice directly: {{invoice.url}}`,
+    html: `<p>Hi {{customer.name}},</p>
+<p>Your payment of <strong>{{invoice.amountDue}}</strong> for {{appName}} {{plan.name}} is still outstanding.</p>
+<p>If it is not paid by <strong>{{dunning.graceEnds}}</strong>, your subscription will be {{dunning.consequence}}.</p>
+<p><a href="{{billingUrl}}">Update your payment method</a> or <a href="{{invoice.url}}">pay the invoice directly</a>.</p>`
+  },
+
+  dunning_suspended: {
+    subject: 'Your {{appName}} subscription has been suspended',
+    text: `Hi {{customer.name}},
+
+We were unable to collect {{invoice.amountDue}} for {{appName}} {{plan.name}}, so your subscription has been suspended.
+
+Update your payment method to restore access straight away: {{billingUrl}}`,
+    html: `<p>Hi {{customer.name}},</p>
+<p>We were unable to collect <strong>{{invoice.amountDue}}</strong> for {{appName}} {{plan.name}}, so your subscription has been suspended.</p>
+<p><a href="{{billingUrl}}">Update your payment method</a> to restore access straight away.</p>`
+  },
+
+  dunning_downgraded: {
+    subject: 'Your {{appName}} subscription has been downgraded',
+    text: `Hi {{customer.name}},
+
+We were unable to collect {{invoice.amountDue}} for {{appName}} {{plan.name}}, so your subscription has been moved to the {{dunning.downgradePlan}} plan. Your seats are kept, but add-ons have been removed.
+
+Pay the outstanding invoice to get your plan and add-ons back: {{invoice.url}}
+Or upgrade again at any time: {{billingUrl}}`,
+    html: `<p>Hi {{customer.name}},</p>
+<p>We were unable to collect <strong>{{invoice.amountDue}}</strong> for {{appName}} {{plan.name}}, so your subscription has been moved to the {{dunning.downgradePlan}} plan. Your seats are kept, but add-ons have been removed.</p>
+<p><a href="{{invoice.url}}">Pay the outstanding invoice</a> to get your plan and add-ons back, or <a href="{{billingUrl}}">upgrade again</a> at any time.</p>`
+  },
+
+  refund_issued: {
+    subject: 'Your {{appName}} refund of {{refund.amount}}',
+    text: `Hi {{customer.name}},
+
+We have refunded {{refund.amount}} of your {{refund.originalAmount}} payment to {{appName}}.
+
+Refunds usually take 5-10 business days to appear on your statement.
+
+Receipt: {{refund.receiptUrl}}`,
+    html: `<p>Hi {{customer.name}},</p>
+<p>We have refunded <strong>{{refund.amount}}</strong> of your {{refund.originalAmount}} payment to {{appName}}.</p>
+<p>Refunds usually take 5-10 business days to appear on your statement.</p>
+<p><a href="{{refund.receiptUrl}}">View your receipt</a></p>`
+  },
+
+  card_expiring: {
+    subject: 'Your card for {{appName}} expires soon',
+    text: `Hi {{customer.name}},
+
+The {{card.brand}} card ending in {{card.last4}} that pays for your {{appName}} subscription expires on {{card.expiresOn}} ({{card.expiry}}).
+
+To avoid an interruption at your next renewal, please update your payment method: {{billingUrl}}`,
+    html: `<p>Hi {{customer.name}},</p>
+<p>The {{card.brand}} card ending in <strong>{{card.last4}}</strong> that pays for your {{appName}} subscription expires on {{card.expiresOn}} ({{card.expiry}}).</p>
+<p>To avoid an interruption at your next renewal, please <a href="{{billingUrl}}">update your payment method</a>.</p>`
+  },
+
+  trial_ending: {
+    subject: 'Your {{appName}} trial ends on {{subscription.trialEnd}}',
+    text: `Hi {{customer.name}},
+
+Your {{appName}} {{plan.name}} trial ends on {{subscription.trialEnd}}. After that you will be charged {{plan.amount}} {{plan.interval}}.
+
+Please make sure your payment method is up to date: {{billingUrl}}`,
+    html: `<p>Hi {{customer.name}},</p>
+<p>Your <strong>{{appName}} {{plan.name}}</strong> trial ends on {{subscription.trialEnd}}. After that you will be charged {{plan.amount}} {{plan.interval}}.</p>
+<p>Please make sure your <a href="{{billingUrl}}">payment method</a> is up to date.</p>`
+  }
+};
+
+/**
+ * Shared HTML wrapper around each template's body
+ */
+function layout(body) {
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family: -apple-system, Helvetica, Arial, sans-serif; color: #1f2933; line-height: 1.5;">
+${body}
+<p style="color: #7b8794; font-size: 12px;">{{appName}} &middot; Questions? <a href="mailto:{{supportEmail}}">{{supportEmail}}</a></p>
+</body>
+</html>`;
+}
+
+module.exports = { TEMPLATES, layout };
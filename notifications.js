@@ -0,0 +1,346 @@
+/**
+ * Transactional email notifications for billing events
+ *
+ * Messages are rendered from notification-templates.js and delivered through
+ * a pluggable transport:
+ *
+ *   smtp     real delivery through nodemailer
+ *   file     one .eml file per message in NOTIFY_FILE_DIR, for local testing
+ *   console  logs the message (default outside production)
+ *
+ * Every notification is recorded against the Stripe event that caused it, so
+ * a retried or replayed webhook never emails the customer twice. A send that
+ * fails is un-recorded and rethrown, so the webhook retry sends it again.
+ *
+ * Environment variables:
+ * NOTIFY_TRANSPORT=smtp                    (smtp, file or console)
+ * NOTIFY_FROM=TrackVentories <billing@trackventories.com>
+ * NOTIFY_BILLING_URL=https://trackventories.com/billing
+ * NOTIFY_SUPPORT_EMAIL=support@trackventories.com
+ * NOTIFY_FILE_DIR=./data/outbox            (file transport)
+ * SMTP_HOST, SMTP_PORT=587, SMTP_SECURE=false, SMTP_USER, SMTP_PASS (smtp transport)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { TEMPLATES, layout } = require('./notification-templates');
+const { formatMoney } = require('./money');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'notifications' });
+
+const FROM = process.env.NOTIFY_FROM || 'TrackVentories <billing@trackventories.com>';
+
+const BASE_VARIABLES = {
+  appName: 'TrackVentories',
+  billingUrl: process.env.NOTIFY_BILLING_URL || 'https://trackventories.com/billing',
+  supportEmail: process.env.NOTIFY_SUPPORT_EMAIL || 'support@trackventories.com'
+};
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// ============================
+// TRANSPORTS
+// ============================
+
+function createSmtpTransport() {
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await mailer.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+function createFileTransport(dir = process.env.NOTIFY_FILE_DIR || path.join(__dirname, 'data', 'outbox')) {
+  // Render full RFC 822 messages without sending, so files open in a mail client
+  const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    name: 'file',
+    async send(message) {
+      const info = await mailer.sendMail(message);
+      const file = path.join(dir, `${Date.now()}-${message.template}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+      fs.writeFileSync(file, info.message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      log.info('Email (console transport)', { template: message.template, to: message.to, subject: message.subject, text: message.text });
+      return { messageId: null };
+    }
+  };
+}
+
+/**
+ * Build the transport selected by NOTIFY_TRANSPORT
+ */
+function createTransport(name = process.env.NOTIFY_TRANSPORT) {
+  const selected = name || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  switch (selected) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown NOTIFY_TRANSPORT "${selected}" (expected smtp, file or console)`);
+  }
+}
+
+// ============================
+// RENDERING
+// ============================
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(variables, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), variables);
+}
+
+function interpolate(template, variables, escape) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = lookup(variables, key);
+    if (value === undefined || value === null) return '';
+    return escape ? escapeHtml(value) : String(value);
+  });
+}
+
+/**
+ * Render a named template to { subject, text, html }
+ */
+function renderTemplate(name, variables) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown notification template "${name}"`);
+  }
+
+  const all = { ...BASE_VARIABLES, ...variables };
+  return {
+    subject: interpolate(template.subject, all, false),
+    text: interpolate(template.text, all, false),
+    html: interpolate(layout(template.html), all, true)
+  };
+}
+
+function formatDate(timestamp) {
+  if (!timestamp) return null;
+  return new Date(timestamp * 1000).toLocaleDateString('en-US', { dateStyle: 'long', timeZone: 'UTC' });
+}
+
+function formatInterval(recurring) {
+  if (!recurring) return null;
+  return recurring.interval_count > 1
+    ? `every ${recurring.interval_count} ${recurring.interval}s`
+    : `per ${recurring.interval}`;
+}
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value;
+}
+
+// ============================
+// NOTIFIER
+// ============================
+
+/**
+ * Build the notifier on a better-sqlite3 database. Customers' email addresses
+ * and product names are looked up in Stripe at send time.
+ */
+function createNotifier(db, stripe, { transport = createTransport() } = {}) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      event_id TEXT NOT NULL,
+      template TEXT NOT NULL,
+      customer_id TEXT,
+      recipient TEXT,
+      status TEXT NOT NULL,
+      transport TEXT,
+      message_id TEXT,
+      created_at INTEGER NOT NULL,
+      sent_at INTEGER,
+      PRIMARY KEY (event_id, template)
+    );
+    CREATE INDEX IF NOT EXISTS notifications_customer ON notifications (customer_id, created_at);
+  `);
+
+  // A notification left "sending" belonged to a process that died mid-send.
+  // Dropping the claim lets the webhook retry send it (possibly twice) rather
+  // than never.
+  db.prepare("DELETE FROM notifications WHERE status = 'sending'").run();
+
+  const statements = {
+    // Claiming is a single INSERT so two runs of one event cannot both send
+    claim: db.prepare(`
+      INSERT OR IGNORE INTO notifications (event_id, template, customer_id, status, created_at)
+      VALUES (@event_id, @template, @customer_id, 'sending', @created_at)
+    `),
+    complete: db.prepare(`
+      UPDATE notifications
+      SET status = @status, recipient = @recipient, transport = @transport, message_id = @message_id, sent_at = @sent_at
+      WHERE event_id = @event_id AND template = @template
+    `),
+    release: db.prepare('DELETE FROM notifications WHERE event_id = ? AND template = ?')
+  };
+
+  /**
+   * Plan variables for a price: display name, formatted amount and interval,
+   * and merged product/price metadata
+   */
+  async function planVariables(price) {
+    if (!price) return {};
+
+    const product = typeof price.product === 'string'
+      ? await stripe.products.retrieve(price.product)
+      : price.product;
+
+    return {
+      name: product?.name || price.nickname || '',
+      amount: formatMoney(price.unit_amount, price.currency),
+      interval: formatInterval(price.recurring),
+      metadata: { ...(product?.metadata || {}), ...(price.metadata || {}) }
+    };
+  }
+
+  /**
+   * Send a template to a customer once per (event, template).
+   * Returns 'sent', 'skipped' (no email address) or 'duplicate'.
+   */
+  async function notify(event, template, { customerId, price, variables = {} }) {
+    const claimed = statements.claim.run({
+      event_id: event.id,
+      template,
+      customer_id: customerId,
+      created_at: now()
+    });
+    if (claimed.changes === 0) {
+      return 'duplicate';
+    }
+
+    try {
+      const customer = await stripe.customers.retrieve(customerId);
+      const complete = (status, recipient, transportName, messageId) => statements.complete.run({
+        event_id: event.id,
+        template,
+        status,
+        recipient,
+        transport: transportName,
+        message_id: messageId,
+        sent_at: now()
+      });
+
+      if (customer.deleted || !customer.email) {
+        log.warn('Skipping notification, customer has no email address', { template, customerId });
+        complete('skipped', null, null, null);
+        return 'skipped';
+      }
+
+      const message = renderTemplate(template, {
+        ...variables,
+        customer: { name: customer.name || 'there', email: customer.email },
+        plan: await planVariables(price)
+      });
+
+      const { messageId } = await transport.send({ from: FROM, to: customer.email, template, ...message });
+      complete('sent', customer.email, transport.name, messageId);
+      log.info('Notification sent', { template, customerId, eventId: event.id });
+      return 'sent';
+    } catch (error) {
+      statements.release.run(event.id, template);
+      throw error;
+    }
+  }
+
+  function notifySubscription(event, template, subscription) {
+    return notify(event, template, {
+      customerId: idOf(subscription.customer),
+      price: subscription.items.data[0]?.price,
+      variables: {
+        subscription: {
+          id: subscription.id,
+          status: subscription.status,
+          periodEnd: formatDate(subscription.current_period_end),
+          trialEnd: formatDate(subscription.trial_end)
+        }
+      }
+    });
+  }
+
+  function notifyInvoice(event, template, invoice, variables = {}) {
+    return notify(event, template, {
+      customerId: idOf(invoice.customer),
+      price: invoice.lines.data.find(line => line.price)?.price,
+      variables: {
+        ...variables,
+        invoice: {
+          number: invoice.number,
+          amountPaid: formatMoney(invoice.amount_paid, invoice.currency),
+          amountDue: formatMoney(invoice.amount_due, invoice.currency),
+          url: invoice.hosted_invoice_url,
+          pdf: invoice.invoice_pdf,
+          nextAttempt: formatDate(invoice.next_payment_attempt)
+        }
+      }
+    });
+  }
+
+  /**
+   * Tell a customer about a refund on one of their charges. Each
+   * charge.refunded event is a new refund, so partial refunds each send one.
+   */
+  function notifyRefund(event, charge) {
+    const previous = event.data.previous_attributes || {};
+    const refunded = charge.amount_refunded - (previous.amount_refunded || 0);
+
+    return notify(event, 'refund_issued', {
+      customerId: idOf(charge.customer),
+      variables: {
+        refund: {
+          amount: formatMoney(refunded, charge.currency),
+          originalAmount: formatMoney(charge.amount, charge.currency),
+          full: charge.refunded,
+          receiptUrl: charge.receipt_url
+        }
+      }
+    });
+  }
+
+  return {
+    notify,
+    notifySubscription,
+    notifyInvoice,
+    notifyRefund
+  };
+}
+
+module.exports = {
+  createNotifier,
+  createTransport,
+  renderTemplate
+};
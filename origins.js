@@ -0,0 +1,46 @@
+/**
+ * Origins TrackVentories frontends are served from
+ *
+ * Used for CORS and to restrict where Stripe Checkout and the Customer Portal
+ * may send a customer back to, so a session can't be turned into an open
+ * redirect.
+ */
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+const ALLOWED_ORIGINS = [
+  'https://trackventories.com',           // Your main domain
+  'https://www.trackventories.com',       // www version
+  'https://trackventories.netlify.app',   // If using Netlify
+  'https://trackventories.github.io',     // If using GitHub Pages
+  'https://trackventories.vercel.app',    // If using Vercel
+  'https://staging.trackventories.com',   // Staging environment
+  'https://dev.trackventories.com',       // Development environment
+  'https://test.trackventories.com'       // Test environment
+];
+
+function isLocalhost(hostname) {
+  return hostname === 'localhost' || hostname === '127.0.0.1';
+}
+
+/**
+ * Whether a redirect URL points at one of our frontends: an allowed origin or
+ * an https trackventories.com subdomain (and localhost outside production)
+ */
+function isAllowedRedirectUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  if (ALLOWED_ORIGINS.includes(url.origin)) return true;
+  if (url.protocol === 'https:' && url.hostname.endsWith('.trackventories.com')) return true;
+  return !IS_PRODUCTION && isLocalhost(url.hostname) && ['http:', 'https:'].includes(url.protocol);
+}
+
+module.exports = {
+  ALLOWED_ORIGINS,
+  isAllowedRedirectUrl
+};
@@ -0,0 +1,153 @@
+/**
+ * Payment method types beyond cards
+ *
+ * Cards and bank debits (ACH via us_bank_account, SEPA, Bacs and BECS) are
+ * saved with a setup intent. SETUP_PAYMENT_METHOD_TYPES (comma separated,
+ * default "card") sets which ones the frontend may offer; a request can
+ * narrow that list but not widen it.
+ *
+ * US bank accounts that can't be linked instantly through Financial
+ * Connections are verified with microdeposits: the setup intent waits in
+ * requires_action (next_action.type verify_with_microdeposits) until the
+ * customer enters the two deposited amounts or the statement descriptor
+ * code, which is then sent to Stripe.
+ *
+ * Listing shows every type a customer has, each with a summary that never
+ * includes full card or account numbers. Fingerprints, which identify the
+ * same card or account across customers, are left out unless asked for
+ * (staff only).
+ */
+
+const { ApiError } = require('./stripe-errors');
+
+const SETUP_PAYMENT_METHOD_TYPES = ['card', 'us_bank_account', 'sepa_debit', 'bacs_debit', 'au_becs_debit', 'link'];
+
+const US_BANK_VERIFICATION_METHODS = ['automatic', 'instant', 'microdeposits'];
+
+const ENABLED_SETUP_TYPES = (() => {
+  const configured = (process.env.SETUP_PAYMENT_METHOD_TYPES || 'card')
+    .split(',')
+    .map(type => type.trim())
+    .filter(type => SETUP_PAYMENT_METHOD_TYPES.includes(type));
+  return configured.length > 0 ? configured : ['card'];
+})();
+
+// Safe per-type details, keyed by Stripe payment method type
+const SUMMARIES = {
+  card: card => ({
+    brand: card.brand, // 'visa', 'mastercard', etc.
+    last4: card.last4,
+    expMonth: card.exp_month,
+    expYear: card.exp_year,
+    funding: card.funding, // 'credit', 'debit', 'prepaid'
+    country: card.country,
+    checks: {
+      cvcCheck: card.checks?.cvc_check,
+      addressLine1Check: card.checks?.address_line1_check,
+      addressPostalCodeCheck: card.checks?.address_postal_code_check
+    }
+  }),
+  us_bank_account: account => ({
+    bankName: account.bank_name,
+    last4: account.last4,
+    routingNumber: account.routing_number,
+    accountType: account.account_type, // 'checking' or 'savings'
+    accountHolderType: account.account_holder_type
+  }),
+  sepa_debit: account => ({
+    bankCode: account.bank_code,
+    country: account.country,
+    last4: account.last4
+  }),
+  bacs_debit: account => ({
+    sortCode: account.sort_code,
+    last4: account.last4
+  }),
+  au_becs_debit: account => ({
+    bsbNumber: account.bsb_number,
+    last4: account.last4
+  }),
+  link: link => ({
+    email: link.email
+  })
+};
+
+const LISTED_PAYMENT_METHOD_TYPES = [...Object.keys(SUMMARIES), 'customer_balance'];
+
+/**
+ * Format a payment method for the frontend: id, type and the safe details
+ * of that type (card brand and expiry, bank name and last4, ...), plus the
+ * card or account fingerprint with includeFingerprint
+ */
+function formatPaymentMethod(paymentMethod, defaultPaymentMethodId, { includeFingerprint = false } = {}) {
+  const details = paymentMethod[paymentMethod.type];
+  const summarize = SUMMARIES[paymentMethod.type];
+
+  return {
+    id: paymentMethod.id,
+    type: paymentMethod.type,
+    ...(summarize && details ? summarize(details) : {}),
+    ...(includeFingerprint && details?.fingerprint ? { fingerprint: details.fingerprint } : {}),
+    isDefault: paymentMethod.id === defaultPaymentMethodId,
+    created: paymentMethod.created
+  };
+}
+
+/**
+ * Setup intent parameters for the requested types, which must all be
+ * enabled. Defaults to every enabled type.
+ */
+function setupIntentParams(customerId, { paymentMethodTypes = ENABLED_SETUP_TYPES, verificationMethod = 'automatic' } = {}) {
+  const disabled = paymentMethodTypes.find(type => !ENABLED_SETUP_TYPES.includes(type));
+  if (disabled) {
+    throw new ApiError(400, 'payment_method_type_not_enabled', `Payment method type "${disabled}" is not enabled`);
+  }
+
+  const params = {
+    customer: customerId,
+    payment_method_types: paymentMethodTypes,
+    usage: 'off_session'
+  };
+
+  if (paymentMethodTypes.includes('us_bank_account')) {
+    params.payment_method_options = {
+      us_bank_account: {
+        verification_method: verificationMethod,
+        financial_connections: { permissions: ['payment_method'] }
+      }
+    };
+  }
+
+  return params;
+}
+
+/**
+ * Details the frontend needs when a setup intent is waiting on the
+ * customer, such as microdeposit verification. Null otherwise.
+ */
+function setupIntentNextAction(setupIntent) {
+  const nextAction = setupIntent.next_action;
+  if (!nextAction) return null;
+
+  if (nextAction.type === 'verify_with_microdeposits') {
+    const microdeposits = nextAction.verify_with_microdeposits;
+    return {
+      type: nextAction.type,
+      microdepositType: microdeposits.microdeposit_type, // 'amounts' or 'descriptor_code'
+      arrivalDate: microdeposits.arrival_date,
+      hostedVerificationUrl: microdeposits.hosted_verification_url
+    };
+  }
+
+  return { type: nextAction.type };
+}
+
+module.exports = {
+  SETUP_PAYMENT_METHOD_TYPES,
+  LISTED_PAYMENT_METHOD_TYPES,
+  US_BANK_VERIFICATION_METHODS,
+  ENABLED_SETUP_TYPES,
+  formatPaymentMethod,
+  setupIntentParams,
+  setupIntentNextAction
+};
@@ -0,0 +1,154 @@
+/**
+ * Role and route permission map for TrackVentories
+ *
+ * Each authenticated request is matched against ROUTE_PERMISSIONS and allowed
+ * only if the caller's role grants that permission. Routes that are missing
+ * from the map are denied for every role, so new endpoints must be added here.
+ *
+ * Roles with allCustomers may act on any Stripe customer; other roles are
+ * limited to the customer linked to their own user.
+ */
+
+const { compileRouteMap } = require('./route-map');
+
+const ROLES = {
+  admin: {
+    allCustomers: true,
+    permissions: ['*']
+  },
+  support: {
+    allCustomers: true,
+    permissions: [
+      'customers:read',
+      'customers:list',
+      'payment_methods:read',
+      'subscriptions:read',
+      'invoices:read',
+      'invoices:send',
+      'prices:read',
+      'dunning:read',
+      'cards:read',
+      'disputes:read',
+      'entitlements:read'
+    ]
+  },
+  customer: {
+    allCustomers: false,
+    permissions: [
+      'customers:create',
+      'customers:read',
+      'customers:update',
+      'payment_methods:read',
+      'payment_methods:write',
+      'subscriptions:read',
+      'subscriptions:write',
+      'subscriptions:cancel',
+      'checkout:create',
+      'portal:create',
+      'invoices:read',
+      'prices:read',
+      'payments:create',
+      'entitlements:read',
+      'usage:read'
+    ]
+  },
+  // The inventory app's backend, reporting usage and checking entitlements
+  service: {
+    allCustomers: true,
+    permissions: [
+      'usage:write',
+      'usage:read',
+      'entitlements:read'
+    ]
+  }
+};
+
+const ROUTE_PERMISSIONS = {
+  'POST /api/stripe/create-customer': 'customers:create',
+  'POST /api/stripe/update-customer': 'customers:update',
+  'GET /api/stripe/customer/:customerId': 'customers:read',
+  'GET /api/stripe/customer/:customerId/address': 'customers:read',
+  'DELETE /api/stripe/customer/:customerId/address': 'customers:update',
+  'GET /api/stripe/customer/:customerId/tax-ids': 'customers:read',
+  'POST /api/stripe/customer/:customerId/tax-ids': 'customers:update',
+  'DELETE /api/stripe/customer/:customerId/tax-ids/:taxId': 'customers:update',
+  'GET /api/stripe/all-customers': 'customers:list',
+  'GET /api/stripe/customer/:customerId/payment-methods': 'payment_methods:read',
+  'POST /api/stripe/attach-payment-method': 'payment_methods:write',
+  'POST /api/stripe/set-default-payment-method': 'payment_methods:write',
+  'DELETE /api/stripe/delete-payment-method': 'payment_methods:write',
+  'POST /api/stripe/create-subscription': 'subscriptions:write',
+  'POST /api/stripe/update-subscription': 'subscriptions:write',
+  'POST /api/stripe/preview-subscription-change': 'subscriptions:read',
+  'POST /api/stripe/add-subscription-item': 'subscriptions:write',
+  'POST /api/stripe/update-subscription-item': 'subscriptions:write',
+  'DELETE /api/stripe/remove-subscription-item': 'subscriptions:write',
+  'POST /api/stripe/cancel-subscription': 'subscriptions:cancel',
+  'POST /api/stripe/pause-subscription': 'subscriptions:write',
+  'POST /api/stripe/resume-subscription': 'subscriptions:write',
+  'POST /api/stripe/reactivate-subscription': 'subscriptions:write',
+  'POST /api/stripe/schedule-subscription-change': 'subscriptions:write',
+  'DELETE /api/stripe/scheduled-subscription-change': 'subscriptions:write',
+  'GET /api/stripe/subscriptions/:customerId': 'subscriptions:read',
+  'GET /api/stripe/invoices/:customerId': 'invoices:read',
+  'GET /api/stripe/invoice/:invoiceId': 'invoices:read',
+  'GET /api/stripe/invoice-pdf/:invoiceId': 'invoices:read',
+  'POST /api/stripe/send-invoice': 'invoices:send',
+  'GET /api/stripe/prices': 'prices:read',
+  'POST /api/stripe/create-setup-intent': 'payment_methods:write',
+  'POST /api/stripe/verify-microdeposits': 'payment_methods:write',
+  'POST /api/stripe/create-payment-intent': 'payments:create',
+  'GET /api/stripe/dashboard-stats': 'stats:read',
+  'GET /api/stripe/analytics/timeseries': 'stats:read',
+  'POST /api/stripe/analytics/sync': 'stats:sync',
+  'GET /api/stripe/export/:resource': 'exports:read',
+  'GET /api/stripe/dunning': 'dunning:read',
+  'GET /api/stripe/expiring-cards': 'cards:read',
+  'POST /api/stripe/expiring-cards/scan': 'cards:scan',
+  'POST /api/stripe/create-checkout-session': 'checkout:create',
+  'POST /api/stripe/create-portal-session': 'portal:create',
+  'GET /api/entitlements/:customerId': 'entitlements:read',
+  'POST /api/stripe/usage': 'usage:write',
+  'GET /api/stripe/usage/:customerId': 'usage:read',
+  'POST /api/stripe/coupons': 'promotions:write',
+  'GET /api/stripe/coupons': 'promotions:read',
+  'DELETE /api/stripe/coupons/:couponId': 'promotions:write',
+  'POST /api/stripe/promotion-codes': 'promotions:write',
+  'GET /api/stripe/promotion-codes': 'promotions:read',
+  'POST /api/stripe/promotion-codes/:promotionCodeId/deactivate': 'promotions:write',
+  'GET /api/stripe/promotion-codes/:promotionCodeId/redemptions': 'promotions:read',
+  'POST /api/stripe/refunds': 'refunds:write',
+  'GET /api/stripe/disputes': 'disputes:read',
+  'GET /api/stripe/webhook-events': 'webhooks:read',
+  'GET /api/stripe/webhook-events/:eventId': 'webhooks:read',
+  'POST /api/stripe/webhook-events/replay': 'webhooks:replay',
+  'POST /api/stripe/webhook-events/:eventId/replay': 'webhooks:replay'
+};
+
+const lookupRoute = compileRouteMap(ROUTE_PERMISSIONS);
+
+/**
+ * Find the permission configured for a request, or null if there is none
+ */
+function permissionForRoute(method, path) {
+  const match = lookupRoute(method, path);
+  return match ? match.value : null;
+}
+
+function roleHasPermission(role, permission) {
+  const config = ROLES[role];
+  if (!config || !permission) return false;
+  return config.permissions.includes('*') || config.permissions.includes(permission);
+}
+
+function roleHasAllCustomers(role) {
+  return !!(ROLES[role] && ROLES[role].allCustomers);
+}
+
+module.exports = {
+  ROLES,
+  ROUTE_PERMISSIONS,
+  permissionForRoute,
+  roleHasPermission,
+  roleHasAllCustomers
+};
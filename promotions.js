@@ -0,0 +1,352 @@
+/**
+ * Promotion codes for subscriptions and one-off payments
+ *
+ * Codes are checked before they are handed to Stripe, so a customer gets a
+ * specific error instead of a generic Stripe failure:
+ *
+ *   promotion_code_invalid         no such code
+ *   promotion_code_expired         the code or its coupon is past its expiry
+ *   promotion_code_exhausted       the code or its coupon has no redemptions left
+ *   promotion_code_inactive        the code or its coupon was deactivated
+ *   promotion_code_not_applicable  restricted to other plans, another customer,
+ *                                  first purchases, another currency or a
+ *                                  higher minimum amount, or would leave a
+ *                                  payment with nothing to charge
+ *   promotion_code_product_restricted  restricted to products, so it can't
+ *                                  be used for a one-off payment
+ *
+ * Subscriptions get the code itself, so Stripe applies and counts it.
+ * Payment intents have no discounts in Stripe, so their amount is reduced
+ * here and the redemption only counts locally; those local redemptions are
+ * added to Stripe's times_redeemed when checking max_redemptions.
+ *
+ * Redemptions are recorded from customer.discount.created webhooks (which
+ * also covers Checkout and the Customer Portal) and for discounted payment
+ * intents. A payment intent reserves its redemption when it is created, so
+ * concurrent payments can't take a code past max_redemptions; the
+ * reservation becomes a redemption when the payment succeeds and is released
+ * if it fails or is canceled. Reservations of payments that are never
+ * completed stop counting after PROMOTION_RESERVATION_HOURS (default 24).
+ */
+
+const crypto = require('crypto');
+const { ApiError } = require('./stripe-errors');
+const { formatMoney, chargeMultiple } = require('./money');
+
+const RESERVATION_TTL_SECONDS = parseInt(process.env.PROMOTION_RESERVATION_HOURS || '24', 10) * 60 * 60;
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function promotionError(code, message) {
+  return new ApiError(400, code, message);
+}
+
+function productId(price) {
+  return typeof price.product === 'object' ? price.product.id : price.product;
+}
+
+/**
+ * Fixed amount a coupon takes off in a currency, or null if it can't be
+ * used in that currency
+ */
+function amountOffIn(coupon, currency) {
+  if (coupon.currency === currency) return coupon.amount_off;
+  const option = coupon.currency_options && coupon.currency_options[currency];
+  return option ? option.amount_off : null;
+}
+
+/**
+ * Build promotion code checks and redemption tracking on a better-sqlite3
+ * database
+ */
+function createPromotions(db, stripe) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS promotion_redemptions (
+      id TEXT PRIMARY KEY,
+      promotion_code_id TEXT,
+      coupon_id TEXT NOT NULL,
+      customer_id TEXT,
+      subscription_id TEXT,
+      invoice_id TEXT,
+      payment_intent_id TEXT,
+      amount_off INTEGER,
+      currency TEXT,
+      redeemed_at INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'redeemed'
+    );
+    CREATE INDEX IF NOT EXISTS promotion_redemptions_code ON promotion_redemptions (promotion_code_id, redeemed_at);
+  `);
+
+  // Added after the table was first released
+  if (!db.pragma('table_info(promotion_redemptions)').some(column => column.name === 'status')) {
+    db.exec("ALTER TABLE promotion_redemptions ADD COLUMN status TEXT NOT NULL DEFAULT 'redeemed'");
+  }
+
+  const statements = {
+    insert: db.prepare(`
+      INSERT OR IGNORE INTO promotion_redemptions
+        (id, promotion_code_id, coupon_id, customer_id, subscription_id, invoice_id, payment_intent_id, amount_off, currency, redeemed_at, status)
+      VALUES
+        (@id, @promotion_code_id, @coupon_id, @customer_id, @subscription_id, @invoice_id, @payment_intent_id, @amount_off, @currency, @redeemed_at, @status)
+    `),
+    get: db.prepare('SELECT * FROM promotion_redemptions WHERE id = ?'),
+    byCode: db.prepare(`
+      SELECT * FROM promotion_redemptions WHERE promotion_code_id = ?
+      ORDER BY redeemed_at DESC LIMIT ?
+    `),
+    // Payment redemptions, and reservations of payments still in progress
+    // (a reservation's redeemed_at is when it was made)
+    localCount: db.prepare(`
+      SELECT COUNT(*) AS count FROM promotion_redemptions
+      WHERE promotion_code_id = @promotion_code_id AND (
+        (status = 'redeemed' AND payment_intent_id IS NOT NULL) OR
+        (status = 'reserved' AND redeemed_at > @reserved_after)
+      )
+    `),
+    redeemReservation: db.prepare(`
+      UPDATE promotion_redemptions SET status = 'redeemed', payment_intent_id = @payment_intent_id, redeemed_at = @redeemed_at
+      WHERE id = @id
+    `),
+    release: db.prepare("DELETE FROM promotion_redemptions WHERE id = ? AND status = 'reserved'")
+  };
+
+  function localRedemptions(promotionCodeId) {
+    return statements.localCount.get({ promotion_code_id: promotionCodeId, reserved_after: now() - RESERVATION_TTL_SECONDS }).count;
+  }
+
+  function isExhausted(promotionCode) {
+    return !!promotionCode.max_redemptions &&
+      promotionCode.times_redeemed + localRedemptions(promotionCode.id) >= promotionCode.max_redemptions;
+  }
+
+  async function isFirstTransaction(customerId) {
+    const charges = await stripe.charges.list({ customer: customerId, limit: 10 });
+    return !charges.data.some(charge => charge.paid && !charge.refunded);
+  }
+
+  /**
+   * Look up a promotion code and check it can be used by this customer for
+   * these prices (and amount, for one-off payments). Throws an ApiError with
+   * one of the codes above; resolves to { promotionCode, coupon }.
+   */
+  async function resolve(code, { customerId, priceIds = [], amount, currency }) {
+    const { data } = await stripe.promotionCodes.list({ code, limit: 1, expand: ['data.coupon.applies_to'] });
+    const promotionCode = data[0];
+
+    if (!promotionCode) {
+      throw promotionError('promotion_code_invalid', `Promotion code "${code}" does not exist`);
+    }
+
+    const coupon = promotionCode.coupon;
+    const at = now();
+
+    if ((promotionCode.expires_at && promotionCode.expires_at <= at) || (coupon.redeem_by && coupon.redeem_by <= at)) {
+      throw promotionError('promotion_code_expired', `Promotion code "${code}" has expired`);
+    }
+    if (isExhausted(promotionCode) || (coupon.max_redemptions && coupon.times_redeemed >= coupon.max_redemptions)) {
+      throw promotionError('promotion_code_exhausted', `Promotion code "${code}" has been fully redeemed`);
+    }
+    if (!promotionCode.active || !coupon.valid) {
+      throw promotionError('promotion_code_inactive', `Promotion code "${code}" is no longer active`);
+    }
+
+    if (promotionCode.customer && promotionCode.customer !== customerId) {
+      throw promotionError('promotion_code_not_applicable', `Promotion code "${code}" is for another customer`);
+    }
+
+    const appliesTo = coupon.applies_to && coupon.applies_to.products;
+    if (appliesTo && appliesTo.length > 0 && priceIds.length === 0) {
+      throw promotionError('promotion_code_product_restricted', `Promotion code "${code}" only applies to specific plans and can't be used for a one-off payment`);
+    }
+
+    const prices = await Promise.all(priceIds.map(priceId => stripe.prices.retrieve(priceId)));
+
+    if (appliesTo && appliesTo.length > 0 && !prices.some(price => appliesTo.includes(productId(price)))) {
+      throw promotionError('promotion_code_not_applicable', `Promotion code "${code}" does not apply to this plan`);
+    }
+
+    const chargeCurrency = currency || (prices[0] && prices[0].currency);
+    if (coupon.amount_off && chargeCurrency && amountOffIn(coupon, chargeCurrency) === null) {
+      throw promotionError('promotion_code_not_applicable', `Promotion code "${code}" can't be used with ${chargeCurrency.toUpperCase()}`);
+    }
+
+    const { restrictions } = promotionCode;
+    if (restrictions.minimum_amount) {
+      const total = amount !== undefined
+        ? amount
+        : prices.reduce((sum, price) => sum + (price.unit_amount || 0), 0);
+      if (restrictions.minimum_amount_currency === chargeCurrency && total < restrictions.minimum_amount) {
+        throw promotionError('promotion_code_not_applicable', `Promotion code "${code}" requires a higher order amount`);
+      }
+    }
+
+    if (restrictions.first_time_transaction && customerId && !(await isFirstTransaction(customerId))) {
+      throw promotionError('promotion_code_not_applicable', `Promotion code "${code}" is only valid on a first purchase`);
+    }
+
+    return { promotionCode, coupon };
+  }
+
+  /**
+   * Minor units a coupon takes off a one-off amount, rounded so the rest is
+   * still chargeable in the currency. A payment can't be for nothing, so a
+   * coupon covering the whole amount is not applicable.
+   */
+  function discountAmount(coupon, amount, currency) {
+    const multiple = chargeMultiple(currency);
+    const exact = coupon.percent_off
+      ? amount * coupon.percent_off / 100
+      : amountOffIn(coupon, currency) || 0;
+    const off = Math.round(exact / multiple) * multiple;
+    if (off >= amount) {
+      throw promotionError('promotion_code_not_applicable', 'Promotion code covers the whole amount, leaving nothing to pay');
+    }
+    return off;
+  }
+
+  /**
+   * Promotion metadata for a payment intent discounted by discountAmount,
+   * read back by recordPaymentRedemption
+   */
+  function paymentMetadata({ promotionCode, coupon }, originalAmount, amountOff) {
+    return {
+      promotion_code: promotionCode.code,
+      promotion_code_id: promotionCode.id,
+      coupon: coupon.id,
+      original_amount: String(originalAmount),
+      amount_off: String(amountOff)
+    };
+  }
+
+  function recordRedemption(redemption) {
+    statements.insert.run({
+      promotion_code_id: null,
+      customer_id: null,
+      subscription_id: null,
+      invoice_id: null,
+      payment_intent_id: null,
+      amount_off: null,
+      currency: null,
+      redeemed_at: now(),
+      status: 'redeemed',
+      ...redemption
+    });
+  }
+
+  /**
+   * Reserve a redemption for a payment intent about to be created, checking
+   * max_redemptions again now that no other payment can slip in between.
+   * A retried request passes the same id and keeps its reservation. Returns
+   * the reservation ID, stored as promotion_reservation in the intent's
+   * metadata.
+   */
+  const reserve = db.transaction(({ promotionCode, coupon }, { id = crypto.randomUUID(), customerId, amountOff, currency }) => {
+    if (statements.get.get(id)) return id;
+
+    if (isExhausted(promotionCode)) {
+      throw promotionError('promotion_code_exhausted', `Promotion code "${promotionCode.code}" has been fully redeemed`);
+    }
+
+    recordRedemption({
+      id,
+      promotion_code_id: promotionCode.id,
+      coupon_id: coupon.id,
+      customer_id: customerId,
+      amount_off: amountOff,
+      currency,
+      status: 'reserved'
+    });
+    return id;
+  });
+
+  /**
+   * Drop a reservation whose payment intent was never created
+   */
+  function release(reservationId) {
+    statements.release.run(reservationId);
+  }
+
+  /**
+   * Record a discount Stripe applied (customer.discount.created)
+   */
+  function handleDiscountCreated(discount) {
+    recordRedemption({
+      id: discount.id,
+      promotion_code_id: discount.promotion_code,
+      coupon_id: discount.coupon.id,
+      customer_id: discount.customer,
+      subscription_id: discount.subscription,
+      invoice_id: discount.invoice,
+      redeemed_at: discount.start
+    });
+  }
+
+  /**
+   * Turn a payment intent's reservation into a redemption, from its metadata
+   * (see paymentMetadata). Called on payment_intent.succeeded; a reservation
+   * that was released or lapsed is recorded again. Returns false for intents
+   * without a promotion code.
+   */
+  function recordPaymentRedemption(paymentIntent) {
+    const metadata = paymentIntent.metadata || {};
+    if (!metadata.promotion_code_id) return false;
+
+    const id = metadata.promotion_reservation || paymentIntent.id;
+    const redeemed = statements.redeemReservation.run({ id, payment_intent_id: paymentIntent.id, redeemed_at: now() });
+    if (redeemed.changes === 0) {
+      recordRedemption({
+        id,
+        promotion_code_id: metadata.promotion_code_id,
+        coupon_id: metadata.coupon,
+        customer_id: paymentIntent.customer,
+        payment_intent_id: paymentIntent.id,
+        amount_off: parseInt(metadata.amount_off, 10),
+        currency: paymentIntent.currency
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Release the reservation of a payment intent that failed or was canceled
+   * (payment_intent.payment_failed, payment_intent.canceled). Returns false
+   * if it had none.
+   */
+  function releasePaymentReservation(paymentIntent) {
+    const reservationId = paymentIntent.metadata?.promotion_reservation;
+    if (!reservationId) return false;
+    return statements.release.run(reservationId).changes > 0;
+  }
+
+  function redemptions(promotionCodeId, { limit = 100 } = {}) {
+    return statements.byCode.all(promotionCodeId, limit).map(row => ({
+      id: row.id,
+      couponId: row.coupon_id,
+      customerId: row.customer_id,
+      subscriptionId: row.subscription_id,
+      invoiceId: row.invoice_id,
+      paymentIntentId: row.payment_intent_id,
+      amountOff: row.amount_off,
+      currency: row.currency,
+      status: row.status,
+      redeemedAt: row.redeemed_at,
+      formatted: { amountOff: formatMoney(row.amount_off, row.currency) }
+    }));
+  }
+
+  return {
+    resolve,
+    discountAmount,
+    paymentMetadata,
+    reserve,
+    release,
+    handleDiscountCreated,
+    recordPaymentRedemption,
+    releasePaymentReservation,
+    redemptions
+  };
+}
+
+module.exports = { createPromotions };
@@ -0,0 +1,58 @@
+/**
+ * Lookup tables keyed by "METHOD /path/:param" route strings
+ *
+ * Used by the permission and schema maps, which are checked in app-level
+ * middleware before Express has matched a route.
+ */
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Compile a { 'METHOD /path/:param': value } map into a lookup function
+ * returning { value, params } for a request, or null if no route matches
+ */
+function compileRouteMap(map) {
+  const routes = Object.entries(map).map(([route, value]) => {
+    const [method, path] = route.split(' ');
+    const names = [];
+    const pattern = path
+      .split('/')
+      .map(segment => {
+        if (!segment.startsWith(':')) return escapeRegExp(segment);
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      })
+      .join('/');
+    return { method, regex: new RegExp(`^${pattern}/?$`), names, value };
+  });
+
+  return function lookup(method, path) {
+    const normalizedMethod = method === 'HEAD' ? 'GET' : method;
+
+    for (const route of routes) {
+      if (route.method !== normalizedMethod) continue;
+
+      const match = route.regex.exec(path);
+      if (match) {
+        const params = {};
+        route.names.forEach((name, index) => {
+          params[name] = decodeParam(match[index + 1]);
+        });
+        return { value: route.value, params };
+      }
+    }
+    return null;
+  };
+}
+
+module.exports = { compileRouteMap };
@@ -0,0 +1,434 @@
+/**
+ * Request schemas for every authenticated TrackVentories route
+ *
+ * Keyed like ROUTE_PERMISSIONS in permissions.js. Each entry may describe
+ * body, params and query using the field builders from validation.js.
+ */
+
+const { fields: f } = require('./validation');
+const { EXPORT_RESOURCES } = require('./billing-export');
+const { DUNNING_STAGES } = require('./dunning');
+const { USAGE_METRICS } = require('./usage');
+const { DISPUTE_STATUSES } = require('./disputes');
+const { CARD_EXPIRY_STATUSES } = require('./card-expiry');
+const { TAX_ID_TYPES } = require('./tax');
+const { SETUP_PAYMENT_METHOD_TYPES, LISTED_PAYMENT_METHOD_TYPES, US_BANK_VERIFICATION_METHODS } = require('./payment-methods');
+
+const customerId = f.id('cus');
+const paymentMethodId = f.id('pm');
+const invoiceId = f.id('in');
+const readSource = f.oneOf(['stripe', 'local']);
+// Stripe's own field names, as update-customer passes the body through
+const address = f.object({
+  line1: f.string({ max: 200 }),
+  line2: f.string({ max: 200 }),
+  city: f.string({ max: 100 }),
+  state: f.string({ max: 100 }),
+  postal_code: f.string({ max: 20 }),
+  country: f.string({ required: true, pattern: /^[A-Z]{2}$/, patternMessage: 'must be an ISO 3166-1 alpha-2 country code' })
+});
+const promotionCode = f.string({ min: 1, max: 100 });
+const currency = f.string({ pattern: /^[a-z]{3}$/, patternMessage: 'must be a lowercase ISO currency code' });
+const couponId = f.string({ min: 1, max: 255 });
+const seatQuantity = f.integer({ min: 1, max: 10000 });
+const prorationBehavior = f.oneOf(['create_prorations', 'none', 'always_invoice'], { default: 'create_prorations' });
+const subscriptionItem = f.object({
+  priceId: f.id('price', { required: true }),
+  quantity: seatQuantity
+});
+
+const ROUTE_SCHEMAS = {
+  'POST /api/stripe/create-customer': {
+    body: {
+      email: f.email({ required: true }),
+      name: f.string({ max: 256 }),
+      address,
+      metadata: f.metadata()
+    }
+  },
+  'POST /api/stripe/update-customer': {
+    body: {
+      customerId: f.id('cus', { required: true }),
+      email: f.email(),
+      name: f.string({ max: 256 }),
+      phone: f.string({ max: 20 }),
+      description: f.string({ max: 350 }),
+      address,
+      // userId links the customer to its owner (see auth.js) and is never client-set
+      metadata: f.metadata({ reserved: ['userId'] })
+    }
+  },
+  'GET /api/stripe/customer/:customerId': {
+    params: { customerId }
+  },
+  'GET /api/stripe/customer/:customerId/address': {
+    params: { customerId }
+  },
+  'DELETE /api/stripe/customer/:customerId/address': {
+    params: { customerId }
+  },
+  'GET /api/stripe/customer/:customerId/tax-ids': {
+    params: { customerId }
+  },
+  'POST /api/stripe/customer/:customerId/tax-ids': {
+    params: { customerId },
+    body: {
+      type: f.oneOf(TAX_ID_TYPES, { required: true }),
+      value: f.string({ required: true, min: 1, max: 50 })
+    }
+  },
+  'DELETE /api/stripe/customer/:customerId/tax-ids/:taxId': {
+    params: { customerId, taxId: f.id('txi', { required: true }) }
+  },
+  'GET /api/stripe/all-customers': {
+    query: {
+      limit: f.integer({ min: 1, max: 100, clamp: true, default: 50 }),
+      starting_after: customerId
+    }
+  },
+  'GET /api/stripe/customer/:customerId/payment-methods': {
+    params: { customerId },
+    query: {
+      type: f.oneOf(LISTED_PAYMENT_METHOD_TYPES),
+      limit: f.integer({ min: 1, max: 100, clamp: true, default: 10 }),
+      starting_after: paymentMethodId
+    }
+  },
+  'POST /api/stripe/attach-payment-method': {
+    body: {
+      paymentMethodId: f.id('pm', { required: true }),
+      customerId: f.id('cus', { required: true })
+    }
+  },
+  'POST /api/stripe/set-default-payment-method': {
+    body: {
+      customerId: f.id('cus', { required: true }),
+      paymentMethodId: f.id('pm', { required: true })
+    }
+  },
+  'DELETE /api/stripe/delete-payment-method': {
+    body: {
+      paymentMethodId: f.id('pm', { required: true })
+    }
+  },
+  'POST /api/stripe/create-subscription': {
+    body: {
+      customerId: f.id('cus', { required: true }),
+      priceId: f.id('price'),
+      quantity: seatQuantity,
+      items: f.array(subscriptionItem, { min: 1, max: 20 }),
+      meteredPriceIds: f.array(f.id('price'), { max: 10 }),
+      paymentMethodId,
+      trialPeriodDays: f.integer({ min: 0, max: 730 }),
+      promotionCode,
+      automaticTax: f.boolean({ default: false })
+    }
+  },
+  'POST /api/stripe/update-subscription': {
+    body: {
+      subscriptionId: f.id('sub', { required: true }),
+      priceId: f.id('price', { required: true }),
+      itemId: f.id('si'),
+      quantity: seatQuantity,
+      prorationBehavior,
+      prorationDate: f.timestamp(),
+      promotionCode
+    }
+  },
+  'POST /api/stripe/preview-subscription-change': {
+    body: {
+      subscriptionId: f.id('sub', { required: true }),
+      priceId: f.id('price', { required: true }),
+      itemId: f.id('si'),
+      quantity: seatQuantity,
+      prorationBehavior,
+      prorationDate: f.timestamp()
+    }
+  },
+  'POST /api/stripe/add-subscription-item': {
+    body: {
+      subscriptionId: f.id('sub', { required: true }),
+      priceId: f.id('price', { required: true }),
+      quantity: seatQuantity,
+      prorationBehavior
+    }
+  },
+  'POST /api/stripe/update-subscription-item': {
+    body: {
+      itemId: f.id('si', { required: true }),
+      priceId: f.id('price'),
+      quantity: seatQuantity,
+      prorationBehavior
+    }
+  },
+  'DELETE /api/stripe/remove-subscription-item': {
+    body: {
+      itemId: f.id('si', { required: true }),
+      prorationBehavior,
+      clearUsage: f.boolean()
+    }
+  },
+  'POST /api/stripe/cancel-subscription': {
+    body: {
+      subscriptionId: f.id('sub', { required: true }),
+      cancelImmediately: f.boolean({ default: false })
+    }
+  },
+  'POST /api/stripe/pause-subscription': {
+    body: {
+      subscriptionId: f.id('sub', { required: true }),
+      behavior: f.oneOf(['void', 'keep_as_draft', 'mark_uncollectible'], { default: 'void' }),
+      resumesAt: f.timestamp()
+    }
+  },
+  'POST /api/stripe/resume-subscription': {
+    body: { subscriptionId: f.id('sub', { required: true }) }
+  },
+  'POST /api/stripe/reactivate-subscription': {
+    body: { subscriptionId: f.id('sub', { required: true }) }
+  },
+  'POST /api/stripe/schedule-subscription-change': {
+    body: {
+      subscriptionId: f.id('sub', { required: true }),
+      priceId: f.id('price', { required: true }),
+      itemId: f.id('si'),
+      quantity: seatQuantity
+    }
+  },
+  'DELETE /api/stripe/scheduled-subscription-change': {
+    body: { subscriptionId: f.id('sub', { required: true }) }
+  },
+  'GET /api/stripe/subscriptions/:customerId': {
+    params: { customerId },
+    query: { source: readSource }
+  },
+  'GET /api/stripe/invoices/:customerId': {
+    params: { customerId },
+    query: {
+      limit: f.integer({ min: 1, max: 100, clamp: true, default: 10 }),
+      status: f.oneOf(['all', 'draft', 'open', 'paid', 'uncollectible', 'void'], { default: 'all' }),
+      source: readSource
+    }
+  },
+  'GET /api/stripe/invoice/:invoiceId': {
+    params: { invoiceId }
+  },
+  'GET /api/stripe/invoice-pdf/:invoiceId': {
+    params: { invoiceId }
+  },
+  'POST /api/stripe/send-invoice': {
+    body: {
+      invoiceId: f.id('in', { required: true })
+    }
+  },
+  'GET /api/stripe/prices': {},
+  'POST /api/stripe/create-setup-intent': {
+    body: {
+      customerId: f.id('cus', { required: true }),
+      paymentMethodTypes: f.array(f.oneOf(SETUP_PAYMENT_METHOD_TYPES), { min: 1, max: SETUP_PAYMENT_METHOD_TYPES.length }),
+      verificationMethod: f.oneOf(US_BANK_VERIFICATION_METHODS, { default: 'automatic' })
+    }
+  },
+  'POST /api/stripe/verify-microdeposits': {
+    body: {
+      setupIntentId: f.id('seti', { required: true }),
+      amounts: f.array(f.integer({ min: 1, max: 99 }), { min: 2, max: 2 }),
+      descriptorCode: f.string({ pattern: /^SM[A-Z0-9]{4}$/, patternMessage: 'must be the 6-character code starting with SM' })
+    }
+  },
+  'POST /api/stripe/create-payment-intent': {
+    body: {
+      amount: f.number({ exclusiveMin: 0, max: 99999999 }),
+      amountMinor: f.integer({ min: 1, max: 99999999 }),
+      currency: f.string({ pattern: /^[a-z]{3}$/, patternMessage: 'must be a lowercase ISO currency code', default: 'usd' }),
+      customerId: f.id('cus', { required: true }),
+      paymentMethodId,
+      description: f.string({ max: 1000 }),
+      promotionCode,
+      automaticTax: f.boolean({ default: false })
+    }
+  },
+  'GET /api/stripe/dashboard-stats': {
+    query: {
+      period: f.oneOf(['7days', '30days', '90days'], { default: '30days' }),
+      from: f.timestamp(),
+      to: f.timestamp(),
+      currency
+    }
+  },
+  'GET /api/stripe/analytics/timeseries': {
+    query: {
+      granularity: f.oneOf(['day', 'week', 'month'], { default: 'day' }),
+      from: f.timestamp(),
+      to: f.timestamp(),
+      currency
+    }
+  },
+  'POST /api/stripe/analytics/sync': {
+    body: {
+      full: f.boolean({ default: false })
+    }
+  },
+  'GET /api/stripe/export/:resource': {
+    params: { resource: f.oneOf(EXPORT_RESOURCES) },
+    query: {
+      format: f.oneOf(['csv', 'ndjson'], { default: 'csv' }),
+      from: f.timestamp(),
+      to: f.timestamp(),
+      status: f.string({ max: 30 }),
+      columns: f.string({ max: 1000 })
+    }
+  },
+  'GET /api/entitlements/:customerId': {
+    params: { customerId: customerId },
+    query: { refresh: f.boolean({ default: false }) }
+  },
+  'POST /api/stripe/create-checkout-session': {
+    body: {
+      mode: f.oneOf(['subscription', 'payment'], { default: 'subscription' }),
+      priceId: f.id('price', { required: true }),
+      quantity: f.integer({ min: 1, max: 1000, default: 1 }),
+      customerId: customerId,
+      // Staff checking out for a customer with no owner name the user it is for
+      userId: f.string({ min: 1, max: 255 }),
+      successUrl: f.string({ required: true, max: 2048 }),
+      cancelUrl: f.string({ required: true, max: 2048 }),
+      trialPeriodDays: f.integer({ min: 1, max: 730 }),
+      promotionCode,
+      allowPromotionCodes: f.boolean({ default: false })
+    }
+  },
+  'POST /api/stripe/create-portal-session': {
+    body: {
+      customerId: f.id('cus', { required: true }),
+      returnUrl: f.string({ required: true, max: 2048 })
+    }
+  },
+  'POST /api/stripe/usage': {
+    body: {
+      customerId: f.id('cus', { required: true }),
+      reportId: f.string({ required: true, min: 1, max: 200 }),
+      metric: f.oneOf(USAGE_METRICS, { required: true }),
+      quantity: f.integer({ required: true, min: 0, max: 1000000000 }),
+      action: f.oneOf(['increment', 'set'], { default: 'increment' }),
+      timestamp: f.timestamp()
+    }
+  },
+  'GET /api/stripe/usage/:customerId': {
+    params: { customerId: customerId }
+  },
+  'POST /api/stripe/coupons': {
+    body: {
+      id: couponId,
+      name: f.string({ max: 40 }),
+      percentOff: f.number({ exclusiveMin: 0, max: 100 }),
+      amountOff: f.integer({ min: 1 }),
+      currency,
+      duration: f.oneOf(['once', 'repeating', 'forever'], { default: 'once' }),
+      durationInMonths: f.integer({ min: 1, max: 36 }),
+      maxRedemptions: f.integer({ min: 1 }),
+      redeemBy: f.timestamp(),
+      productIds: f.array(f.id('prod'), { min: 1, max: 50 })
+    }
+  },
+  'GET /api/stripe/coupons': {
+    query: {
+      limit: f.integer({ min: 1, max: 100, clamp: true, default: 50 }),
+      starting_after: couponId
+    }
+  },
+  'DELETE /api/stripe/coupons/:couponId': {
+    params: { couponId: f.string({ required: true, min: 1, max: 255 }) }
+  },
+  'POST /api/stripe/promotion-codes': {
+    body: {
+      couponId: f.string({ required: true, min: 1, max: 255 }),
+      code: f.string({ min: 3, max: 100, pattern: /^[A-Za-z0-9_-]+$/, patternMessage: 'may only contain letters, digits, dashes and underscores' }),
+      customerId,
+      maxRedemptions: f.integer({ min: 1 }),
+      expiresAt: f.timestamp(),
+      firstTimeTransaction: f.boolean(),
+      minimumAmount: f.integer({ min: 1 }),
+      minimumAmountCurrency: currency
+    }
+  },
+  'GET /api/stripe/promotion-codes': {
+    query: {
+      couponId,
+      code: promotionCode,
+      active: f.boolean(),
+      limit: f.integer({ min: 1, max: 100, clamp: true, default: 50 }),
+      starting_after: f.id('promo')
+    }
+  },
+  'POST /api/stripe/promotion-codes/:promotionCodeId/deactivate': {
+    params: { promotionCodeId: f.id('promo', { required: true }) }
+  },
+  'GET /api/stripe/promotion-codes/:promotionCodeId/redemptions': {
+    params: { promotionCodeId: f.id('promo', { required: true }) },
+    query: {
+      limit: f.integer({ min: 1, max: 500, clamp: true, default: 100 })
+    }
+  },
+  'POST /api/stripe/refunds': {
+    body: {
+      paymentIntentId: f.id('pi'),
+      chargeId: f.id('ch'),
+      amount: f.integer({ min: 1 }),
+      reason: f.oneOf(['duplicate', 'fraudulent', 'requested_by_customer'], { default: 'requested_by_customer' }),
+      note: f.string({ max: 500 }),
+      creditNote: f.boolean({ default: false })
+    }
+  },
+  'GET /api/stripe/disputes': {
+    query: {
+      status: f.oneOf(DISPUTE_STATUSES),
+      customerId,
+      dueBefore: f.timestamp(),
+      limit: f.integer({ min: 1, max: 500, clamp: true, default: 100 })
+    }
+  },
+  'GET /api/stripe/dunning': {
+    query: {
+      stage: f.oneOf(DUNNING_STAGES),
+      customerId: customerId,
+      limit: f.integer({ min: 1, max: 500, clamp: true, default: 100 })
+    }
+  },
+  'GET /api/stripe/expiring-cards': {
+    query: {
+      status: f.oneOf(CARD_EXPIRY_STATUSES, { default: 'open' }),
+      customerId: customerId,
+      expiringBefore: f.timestamp(),
+      limit: f.integer({ min: 1, max: 500, clamp: true, default: 100 })
+    }
+  },
+  'POST /api/stripe/expiring-cards/scan': {
+    body: {
+      windowDays: f.integer({ min: 1, max: 365 })
+    }
+  },
+  'GET /api/stripe/webhook-events': {
+    query: {
+      status: f.oneOf(['pending', 'processing', 'processed', 'failed', 'ignored']),
+      type: f.string({ max: 100 }),
+      limit: f.integer({ min: 1, max: 200, clamp: true, default: 50 }),
+      starting_after: f.id('evt')
+    }
+  },
+  'GET /api/stripe/webhook-events/:eventId': {
+    params: { eventId: f.id('evt') }
+  },
+  'POST /api/stripe/webhook-events/replay': {
+    body: {
+      from: f.timestamp({ required: true }),
+      to: f.timestamp(),
+      type: f.string({ max: 100 })
+    }
+  },
+  'POST /api/stripe/webhook-events/:eventId/replay': {
+    params: { eventId: f.id('evt') }
+  }
+};
+
+module.exports = { ROUTE_SCHEMAS };
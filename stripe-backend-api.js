@@ -5,13 +5,23 @@
  * real-time payment method retrieval without local storage.
  * 
  * Required packages:
- * npm install stripe express cors body-parser dotenv helmet
+ * npm install stripe express cors body-parser dotenv helmet jsonwebtoken jwks-rsa better-sqlite3 nodemailer
  * 
  * Environment variables needed in .env file:
  * STRIPE_SECRET_KEY=sk_test_your_secret_key_here
  * STRIPE_WEBHOOK_SECRET=whsec_your_webhook_secret_here
  * PORT=3000
  * NODE_ENV=production
+ * AUTH_JWT_SECRET=your_app_jwt_secret (or AUTH_JWKS_URI, see auth.js)
+ * BILLING_DB_PATH=./data/billing.db (local billing mirror, see billing-db.js)
+ * BILLING_READ_SOURCE=stripe (or "local" to serve reads from the mirror)
+ * NOTIFY_TRANSPORT=smtp (or file/console, see notifications.js for SMTP settings)
+ * DUNNING_DEFAULT_POLICY=standard (see dunning.js for policies)
+ * CARD_EXPIRY_WINDOW_DAYS=30 (how early expiring cards are flagged, see card-expiry.js)
+ * ENTITLEMENTS_CONFIG=./entitlements.json (plan feature limits, see entitlements.js)
+ * USAGE_FLUSH_INTERVAL_MS=60000 (how often metered usage is sent to Stripe)
+ * PROMOTION_RESERVATION_HOURS=24 (how long an unpaid payment holds a promotion code, see promotions.js)
+ * LOG_LEVEL=info (JSON log entries at or above this level, see logger.js)
  * 
  * Deploy this to Heroku, Railway, Vercel, or any Node.js hosting service
  */
@@ -21,61 +31,95 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const helmet = require('helmet');
 require('dotenv').config();
+const { createAuth } = require('./auth');
+const { roleHasAllCustomers } = require('./permissions');
+const billingDb = require('./billing-db');
+const { createWebhookLog } = require('./webhook-events');
+const { createNotifier } = require('./notifications');
+const { createDunning } = require('./dunning');
+const { createCardExpiry } = require('./card-expiry');
+const { createEntitlements } = require('./entitlements');
+const { createUsage } = require('./usage');
+const { createPromotions } = require('./promotions');
+const { createDisputes } = require('./disputes');
+const { createTax, formatTaxId, invoiceTaxBreakdown } = require('./tax');
+const { toMinorUnits, isChargeable, chargeDecimals, formatMoney, formatAmounts } = require('./money');
+const { formatPaymentMethod, setupIntentParams, setupIntentNextAction } = require('./payment-methods');
+const { ALLOWED_ORIGINS, isAllowedRedirectUrl } = require('./origins');
+const { createIdempotency, stripeRequestOptions } = require('./idempotency');
+const { createValidator } = require('./validation');
+const { compileRouteMap } = require('./route-map');
+const { ROUTE_SCHEMAS } = require('./schemas');
+const { ApiError, asyncRoute, errorHandler } = require('./stripe-errors');
+const { resolveRange, computeDashboardStats, computeTimeseries } = require('./analytics');
+const { streamExport } = require('./billing-export');
+const { createLogger, requestLogger, bindRequestContext, requestMetadata, logStripeRequests } = require('./logger');
 
 // Initialize Stripe with secret key
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+logStripeRequests(stripe);
+
+const log = createLogger({ module: 'api' });
+
+const {
+  authenticate,
+  authorize,
+  ownsCustomer,
+  ownsSubscription,
+  ownsSubscriptionItem,
+  ownsInvoice,
+  ownsPaymentMethod,
+  ownsSetupIntent,
+  linkCustomer,
+  forgetCustomer
+} = createAuth(stripe);
+
+const { idempotent } = createIdempotency(billingDb.db);
+const validateRequest = createValidator(compileRouteMap(ROUTE_SCHEMAS));
+const usage = createUsage(billingDb.db, stripe);
+usage.startLoop();
+const promotions = createPromotions(billingDb.db, stripe);
+const disputes = createDisputes(billingDb.db, stripe);
+const tax = createTax(stripe);
 
 const app = express();
 
 // Security and middleware
 app.use(helmet());
 
+// Request IDs and access logs (see logger.js)
+app.use(requestLogger);
+
 // FIXED CORS configuration for TrackVentories
 app.use(cors({
   origin: function (origin, callback) {
-    console.log('🌐 CORS request from origin:', origin);
-    
     // Allow requests with no origin (mobile apps, Postman, etc.)
     if (!origin) {
-      console.log('✅ No origin - allowing request');
       return callback(null, true);
     }
     
     // Allow ALL localhost origins for development
     if (origin.includes('localhost') || origin.includes('127.0.0.1')) {
-      console.log('✅ Localhost origin allowed:', origin);
       return callback(null, true);
     }
     
-    // Allow your ACTUAL TrackVentories domains
-    const allowedOrigins = [
-      'https://trackventories.com',           // Your main domain
-      'https://www.trackventories.com',       // www version
-      'https://trackventories.netlify.app',   // If using Netlify
-      'https://trackventories.github.io',     // If using GitHub Pages
-      'https://trackventories.vercel.app',    // If using Vercel
-      'https://staging.trackventories.com',   // Staging environment
-      'https://dev.trackventories.com',       // Development environment
-      'https://test.trackventories.com'       // Test environment
-    ];
-    
-    if (allowedOrigins.includes(origin)) {
-      console.log('✅ Production origin allowed:', origin);
+    // Allow your ACTUAL TrackVentories domains (see origins.js)
+    if (ALLOWED_ORIGINS.includes(origin)) {
       return callback(null, true);
     }
     
     // Additional safety net - allow any trackventories.com subdomain
     if (origin.includes('trackventories.com')) {
-      console.log('✅ TrackVentories subdomain allowed:', origin);
       return callback(null, true);
     }
     
-    console.log('❌ Origin blocked:', origin);
+    log.warn('CORS origin blocked', { origin });
     return callback(null, false);
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: ['Idempotent-Replayed', 'X-Request-Id'],
   optionsSuccessStatus: 200
 }));
 
@@ -85,6 +129,22 @@ app.use('/api/stripe/webhook', bodyParser.raw({ type: 'application/json' }));
 // For other routes, use JSON parser
 app.use(bodyParser.json());
 
+app.use(bindRequestContext);
+
+// All API routes require a bearer token, a role permitted for the route and
+// a request matching the route's schema, except the webhook which is
+// verified by its Stripe signature
+const publicPaths = ['/api/stripe/webhook'];
+
+function unlessPublic(middleware) {
+  return (req, res, next) => {
+    if (publicPaths.includes(req.baseUrl + req.path)) return next();
+    middleware(req, res, next);
+  };
+}
+
+app.use(['/api/stripe', '/api/entitlements'], unlessPublic(authenticate), unlessPublic(authorize), unlessPublic(validateRequest));
+
 // ============================
 // BASIC ENDPOINTS
 // ============================
@@ -113,336 +173,489 @@ app.get('/', (req, res) => {
       'POST /api/stripe/update-customer - Update customer',
       'GET /api/stripe/customer/:customerId - Get customer details',
       'GET /api/stripe/all-customers - Get all customers (admin)',
+      'GET /api/stripe/customer/:customerId/address - Get customer billing address',
+      'DELETE /api/stripe/customer/:customerId/address - Remove customer billing address',
+      'GET /api/stripe/customer/:customerId/tax-ids - List customer tax IDs',
+      'POST /api/stripe/customer/:customerId/tax-ids - Add a tax ID (VAT, GST, ...)',
+      'DELETE /api/stripe/customer/:customerId/tax-ids/:taxId - Remove a tax ID',
       'GET /api/stripe/customer/:customerId/payment-methods - Get payment methods',
       'POST /api/stripe/attach-payment-method - Attach payment method',
       'POST /api/stripe/set-default-payment-method - Set default payment method',
       'DELETE /api/stripe/delete-payment-method - Delete payment method',
       'POST /api/stripe/create-subscription - Create subscription',
       'POST /api/stripe/update-subscription - Update subscription',
+      'POST /api/stripe/preview-subscription-change - Preview the cost of a plan change',
+      'POST /api/stripe/add-subscription-item - Add an add-on or seat price to a subscription',
+      'POST /api/stripe/update-subscription-item - Change the price or quantity of a subscription item',
+      'DELETE /api/stripe/remove-subscription-item - Remove an item from a subscription',
       'POST /api/stripe/cancel-subscription - Cancel subscription',
+      'POST /api/stripe/pause-subscription - Pause payment collection, optionally until a date',
+      'POST /api/stripe/resume-subscription - Resume a paused subscription',
+      'POST /api/stripe/reactivate-subscription - Undo a pending cancellation',
+      'POST /api/stripe/schedule-subscription-change - Change plan at the end of the current period',
+      'DELETE /api/stripe/scheduled-subscription-change - Drop a scheduled plan change',
+      'POST /api/stripe/create-checkout-session - Start a Stripe Checkout session (subscription or one-time)',
+      'POST /api/stripe/create-portal-session - Open the Stripe Customer Portal',
       'GET /api/stripe/subscriptions/:customerId - Get customer subscriptions',
       'GET /api/stripe/invoices/:customerId - Get customer invoices',
       'GET /api/stripe/invoice/:invoiceId - Get specific invoice',
       'GET /api/stripe/invoice-pdf/:invoiceId - Download invoice PDF',
       'POST /api/stripe/send-invoice - Send invoice to customer',
       'GET /api/stripe/prices - Get available prices/plans',
-      'POST /api/stripe/create-setup-intent - Create setup intent',
+      'POST /api/stripe/create-setup-intent - Create setup intent (cards and bank debits)',
+      'POST /api/stripe/verify-microdeposits - Verify a bank account with microdeposits',
       'POST /api/stripe/create-payment-intent - Create payment intent',
       'GET /api/stripe/dashboard-stats - Get dashboard statistics',
-      'POST /api/stripe/webhook - Stripe webhook handler'
+      'GET /api/stripe/analytics/timeseries - Revenue and subscription time series (admin)',
+      'POST /api/stripe/analytics/sync - Bring the local billing mirror up to date from Stripe events; full: true re-copies everything (admin)',
+      'GET /api/stripe/export/:resource - Export customers, subscriptions or invoices as CSV/NDJSON (admin)',
+      'GET /api/stripe/dunning - List subscriptions in dunning and their stage (admin)',
+      'GET /api/stripe/expiring-cards - List default cards expiring soon (admin)',
+      'POST /api/stripe/expiring-cards/scan - Start a scan for expiring cards now (admin)',
+      'POST /api/stripe/coupons - Create a coupon (admin)',
+      'GET /api/stripe/coupons - List coupons (admin)',
+      'DELETE /api/stripe/coupons/:couponId - Delete a coupon (admin)',
+      'POST /api/stripe/promotion-codes - Create a promotion code (admin)',
+      'GET /api/stripe/promotion-codes - List promotion codes (admin)',
+      'POST /api/stripe/promotion-codes/:promotionCodeId/deactivate - Deactivate a promotion code (admin)',
+      'GET /api/stripe/promotion-codes/:promotionCodeId/redemptions - Redemptions of a promotion code (admin)',
+      'GET /api/entitlements/:customerId - Resolved plan feature limits for a customer',
+      'POST /api/stripe/usage - Report metered usage for a customer',
+      'GET /api/stripe/usage/:customerId - Current-period usage and projected charges',
+      'POST /api/stripe/refunds - Refund a charge or payment intent, optionally with a credit note (admin)',
+      'GET /api/stripe/disputes - List disputes and evidence deadlines (admin)',
+      'POST /api/stripe/webhook - Stripe webhook handler',
+      'GET /api/stripe/webhook-events - List received webhook events (admin)',
+      'GET /api/stripe/webhook-events/:eventId - Get a webhook event (admin)',
+      'POST /api/stripe/webhook-events/:eventId/replay - Replay a webhook event (admin)',
+      'POST /api/stripe/webhook-events/replay - Replay webhook events in a time range (admin)'
     ],
     timestamp: new Date().toISOString()
   });
 });
 
 // ============================
-// CUSTOMER ENDPOINTS
+// BILLING MIRROR HELPERS
 // ============================
 
+const DEFAULT_READ_SOURCE = process.env.BILLING_READ_SOURCE === 'local' ? 'local' : 'stripe';
+
+// Stripe errors where the local mirror is a better answer than a failure
+const STRIPE_UNAVAILABLE_ERRORS = ['StripeConnectionError', 'StripeAPIError', 'StripeRateLimitError'];
+
 /**
- * Create a new Stripe customer
+ * Read from Stripe or the local mirror, chosen by ?source=stripe|local.
+ * Live reads are written through to the mirror, and if Stripe is unavailable
+ * the mirror is used instead when it has data for the customer.
  */
-app.post('/api/stripe/create-customer', async (req, res) => {
-  try {
-    const { email, name, metadata } = req.body;
+async function readWithMirror(req, customerId, { live, local, store }) {
+  const requested = req.query.source === 'local' || req.query.source === 'stripe'
+    ? req.query.source
+    : DEFAULT_READ_SOURCE;
 
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email is required'
-      });
+  if (requested === 'local') {
+    return { source: 'local', ...local() };
+  }
+
+  try {
+    const result = await live();
+    result.data.forEach(item => store(item));
+    return { source: 'stripe', ...result };
+  } catch (error) {
+    if (!STRIPE_UNAVAILABLE_ERRORS.includes(error.type) || !billingDb.hasCustomerData(customerId)) {
+      throw error;
     }
+    log.warn('Stripe unavailable, serving from local mirror', { customerId, errorType: error.type });
+    return { source: 'local', ...local() };
+  }
+}
 
-    const customer = await stripe.customers.create({
-      email: email,
-      name: name,
-      metadata: metadata || {}
-    });
+/**
+ * Format a subscription for the frontend. Handles both live Stripe objects,
+ * where the default payment method is expanded, and mirrored webhook
+ * payloads, where it is only an ID.
+ */
+function formatSubscription(sub) {
+  let defaultPaymentMethod = null;
+  if (sub.default_payment_method && typeof sub.default_payment_method === 'object') {
+    const { id, type } = sub.default_payment_method;
+    defaultPaymentMethod = {
+      id: id,
+      type: type,
+      brand: sub.default_payment_method.card?.brand,
+      last4: sub.default_payment_method[type]?.last4
+    };
+  } else if (sub.default_payment_method) {
+    const summary = billingDb.getPaymentMethod(sub.default_payment_method);
+    defaultPaymentMethod = {
+      id: sub.default_payment_method,
+      type: summary?.type,
+      brand: summary?.brand,
+      last4: summary?.last4
+    };
+  }
 
-    console.log('Customer created:', customer.id);
+  return {
+    id: sub.id,
+    status: sub.status,
+    currentPeriodStart: sub.current_period_start,
+    currentPeriodEnd: sub.current_period_end,
+    cancelAtPeriodEnd: sub.cancel_at_period_end,
+    canceledAt: sub.canceled_at,
+    trialStart: sub.trial_start,
+    trialEnd: sub.trial_end,
+    created: sub.created,
+    pausedCollection: sub.pause_collection
+      ? { behavior: sub.pause_collection.behavior, resumesAt: sub.pause_collection.resumes_at }
+      : null,
+    pendingPhases: formatPendingPhases(sub.schedule),
+    items: sub.items.data.map(item => ({
+      id: item.id,
+      priceId: item.price.id,
+      productId: item.price.product,
+      unitAmount: item.price.unit_amount,
+      currency: item.price.currency,
+      interval: item.price.recurring?.interval,
+      intervalCount: item.price.recurring?.interval_count,
+      quantity: item.quantity,
+      formatted: { unitAmount: formatMoney(item.price.unit_amount, item.price.currency) }
+    })),
+    defaultPaymentMethod
+  };
+}
 
-    res.json({
-      success: true,
-      customer: customer
-    });
-  } catch (error) {
-    console.error('Error creating customer:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
+/**
+ * Upcoming phases of a subscription schedule. Null when the schedule isn't
+ * expanded (mirrored payloads only carry its ID).
+ */
+function formatPendingPhases(schedule) {
+  if (!schedule) return [];
+  if (typeof schedule !== 'object') return null;
+
+  const currentStart = schedule.current_phase ? schedule.current_phase.start_date : 0;
+  return schedule.phases
+    .filter(phase => phase.start_date > currentStart)
+    .map(phase => ({
+      scheduleId: schedule.id,
+      startDate: phase.start_date,
+      endDate: phase.end_date,
+      items: phase.items.map(item => ({
+        priceId: typeof item.price === 'object' ? item.price.id : item.price,
+        quantity: item.quantity
+      }))
+    }));
+}
+
+function formatInvoice(invoice) {
+  return {
+    id: invoice.id,
+    number: invoice.number,
+    status: invoice.status,
+    amountPaid: invoice.amount_paid,
+    amountDue: invoice.amount_due,
+    total: invoice.total,
+    subtotal: invoice.subtotal,
+    taxes: invoiceTaxBreakdown(invoice).map(taxAmount => ({
+      ...taxAmount,
+      formatted: { amount: formatMoney(taxAmount.amount, invoice.currency) }
+    })),
+    currency: invoice.currency,
+    created: invoice.created,
+    dueDate: invoice.due_date,
+    paidAt: invoice.status_transitions?.paid_at,
+    invoicePdf: invoice.invoice_pdf,
+    hostedInvoiceUrl: invoice.hosted_invoice_url,
+    description: invoice.description,
+    lines: invoice.lines.data.map(line => ({
+      id: line.id,
+      description: line.description,
+      amount: line.amount,
+      quantity: line.quantity,
+      priceId: line.price?.id,
+      formatted: { amount: formatMoney(line.amount, invoice.currency) }
+    })),
+    formatted: formatAmounts({
+      amountPaid: invoice.amount_paid,
+      amountDue: invoice.amount_due,
+      total: invoice.total,
+      subtotal: invoice.subtotal
+    }, ['amountPaid', 'amountDue', 'total', 'subtotal'], invoice.currency)
+  };
+}
+
+// ============================
+// CUSTOMER ENDPOINTS
+// ============================
+
+/**
+ * Create a new Stripe customer for the authenticated user
+ */
+app.post('/api/stripe/create-customer', idempotent, asyncRoute(async (req, res) => {
+  const { email, name, address, metadata } = req.body;
+
+  if (req.auth.customerId) {
+    throw new ApiError(409, 'customer_exists', 'A customer already exists for this user');
   }
-});
+
+  const customer = await stripe.customers.create({
+    email: email,
+    name: name,
+    address: address,
+    metadata: requestMetadata(req, { ...(metadata || {}), userId: req.auth.userId })
+  }, stripeRequestOptions(req, 'customer'));
+
+  linkCustomer(req.auth.userId, customer.id);
+
+  log.info('Customer created', { customerId: customer.id });
+
+  res.json({
+    success: true,
+    customer: customer
+  });
+}));
 
 /**
  * Update a Stripe customer
  */
-app.post('/api/stripe/update-customer', async (req, res) => {
-  try {
-    const { customerId, ...updateData } = req.body;
-
-    if (!customerId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Customer ID is required'
-      });
-    }
+app.post('/api/stripe/update-customer', ownsCustomer(req => req.body.customerId), asyncRoute(async (req, res) => {
+  const { customerId, ...updateData } = req.body;
 
-    const customer = await stripe.customers.update(customerId, updateData);
+  const customer = await stripe.customers.update(customerId, updateData);
 
-    res.json({
-      success: true,
-      customer: customer
-    });
-  } catch (error) {
-    console.error('Error updating customer:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+  res.json({
+    success: true,
+    customer: customer
+  });
+}));
 
 /**
  * Get customer details
  */
-app.get('/api/stripe/customer/:customerId', async (req, res) => {
-  try {
-    const { customerId } = req.params;
+app.get('/api/stripe/customer/:customerId', ownsCustomer(req => req.params.customerId), asyncRoute(async (req, res) => {
+  const { customerId } = req.params;
 
-    const customer = await stripe.customers.retrieve(customerId);
+  const customer = await stripe.customers.retrieve(customerId);
 
-    res.json({
-      success: true,
-      customer: customer
-    });
-  } catch (error) {
-    console.error('Error retrieving customer:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+  res.json({
+    success: true,
+    customer: customer
+  });
+}));
 
 /**
- * Get all Stripe customers for admin interface
+ * Get a customer's billing address (null if none). It is set with
+ * update-customer.
  */
-app.get('/api/stripe/all-customers', async (req, res) => {
-  try {
-    const { limit = 50, starting_after } = req.query;
-    
-    const queryParams = {
-      limit: parseInt(limit),
-      expand: ['data.subscriptions']
-    };
+app.get('/api/stripe/customer/:customerId/address', ownsCustomer(req => req.params.customerId), asyncRoute(async (req, res) => {
+  const customer = await stripe.customers.retrieve(req.params.customerId);
 
-    // Add pagination if starting_after is provided
-    if (starting_after) {
-      queryParams.starting_after = starting_after;
-    }
+  res.json({
+    success: true,
+    address: customer.address || null
+  });
+}));
 
-    const customers = await stripe.customers.list(queryParams);
-    
-    // Format customer data for admin interface
-    const formattedCustomers = customers.data.map(customer => ({
-      id: customer.id,
-      name: customer.name || 'No name',
-      email: customer.email || 'No email',
-      created: customer.created,
-      subscriptions: customer.subscriptions?.data?.map(sub => ({
-        id: sub.id,
-        status: sub.status,
-        currentPeriodEnd: sub.current_period_end,
-        cancelAtPeriodEnd: sub.cancel_at_period_end
-      })) || [],
-      metadata: customer.metadata,
-      defaultSource: customer.default_source,
-      invoiceSettings: customer.invoice_settings,
-      balance: customer.balance,
-      currency: customer.currency,
-      delinquent: customer.delinquent
-    }));
+/**
+ * Remove a customer's billing address. Automatic tax then needs a tax ID
+ * to locate the customer.
+ */
+app.delete('/api/stripe/customer/:customerId/address', ownsCustomer(req => req.params.customerId), asyncRoute(async (req, res) => {
+  const customer = await stripe.customers.update(req.params.customerId, { address: '' });
 
-    res.json({
-      success: true,
-      customers: formattedCustomers,
-      hasMore: customers.has_more,
-      totalCount: customers.data.length,
-      // Include last customer ID for pagination
-      lastCustomerId: customers.data.length > 0 ? customers.data[customers.data.length - 1].id : null
-    });
+  res.json({
+    success: true,
+    address: customer.address
+  });
+}));
+
+/**
+ * List a customer's tax IDs (VAT, GST, ...) with their verification status
+ */
+app.get('/api/stripe/customer/:customerId/tax-ids', ownsCustomer(req => req.params.customerId), asyncRoute(async (req, res) => {
+  const taxIds = await stripe.customers.listTaxIds(req.params.customerId, { limit: 100 });
+
+  res.json({
+    success: true,
+    taxIds: taxIds.data.map(formatTaxId)
+  });
+}, { taxIds: [] }));
+
+/**
+ * Add a tax ID to a customer. EU VAT, UK VAT and AU ABN numbers are then
+ * verified by Stripe asynchronously (status "pending" until done).
+ */
+app.post('/api/stripe/customer/:customerId/tax-ids', ownsCustomer(req => req.params.customerId), asyncRoute(async (req, res) => {
+  const { type, value } = req.body;
+
+  let taxId;
+  try {
+    taxId = await stripe.customers.createTaxId(req.params.customerId, { type, value });
   } catch (error) {
-    console.error('Error fetching Stripe customers:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message,
-      customers: []
-    });
+    if (error.code === 'tax_id_invalid') {
+      throw new ApiError(400, 'tax_id_invalid', `"${value}" is not a valid ${type} tax ID`);
+    }
+    throw error;
   }
-});
+
+  res.json({
+    success: true,
+    taxId: formatTaxId(taxId)
+  });
+}));
+
+/**
+ * Remove a tax ID from a customer
+ */
+app.delete('/api/stripe/customer/:customerId/tax-ids/:taxId', ownsCustomer(req => req.params.customerId), asyncRoute(async (req, res) => {
+  const deleted = await stripe.customers.deleteTaxId(req.params.customerId, req.params.taxId);
+
+  res.json({
+    success: true,
+    deleted: deleted.deleted,
+    taxId: deleted.id
+  });
+}));
+
+/**
+ * Get all Stripe customers for admin interface
+ */
+app.get('/api/stripe/all-customers', asyncRoute(async (req, res) => {
+  const { limit, starting_after } = req.query;
+  
+  const queryParams = {
+    limit,
+    expand: ['data.subscriptions']
+  };
+
+  // Add pagination if starting_after is provided
+  if (starting_after) {
+    queryParams.starting_after = starting_after;
+  }
+
+  const customers = await stripe.customers.list(queryParams);
+  
+  // Format customer data for admin interface
+  const formattedCustomers = customers.data.map(customer => ({
+    id: customer.id,
+    name: customer.name || 'No name',
+    email: customer.email || 'No email',
+    created: customer.created,
+    subscriptions: customer.subscriptions?.data?.map(sub => ({
+      id: sub.id,
+      status: sub.status,
+      currentPeriodEnd: sub.current_period_end,
+      cancelAtPeriodEnd: sub.cancel_at_period_end
+    })) || [],
+    metadata: customer.metadata,
+    defaultSource: customer.default_source,
+    invoiceSettings: customer.invoice_settings,
+    balance: customer.balance,
+    currency: customer.currency,
+    delinquent: customer.delinquent,
+    formatted: { balance: formatMoney(customer.balance, customer.currency) }
+  }));
+
+  res.json({
+    success: true,
+    customers: formattedCustomers,
+    hasMore: customers.has_more,
+    totalCount: customers.data.length,
+    // Include last customer ID for pagination
+    lastCustomerId: customers.data.length > 0 ? customers.data[customers.data.length - 1].id : null
+  });
+}, { customers: [] }));
 
 // ============================
 // PAYMENT METHOD ENDPOINTS
 // ============================
 
 /**
- * Get all payment methods for a customer (NO LOCAL STORAGE NEEDED)
+ * Get a page of a customer's payment methods of every type (cards, bank
+ * accounts, ...), or of one `type`. Pass lastPaymentMethodId back as
+ * starting_after for the next page.
  * This is the main endpoint for displaying payment methods in the UI
  */
-app.get('/api/stripe/customer/:customerId/payment-methods', async (req, res) => {
-  try {
-    const { customerId } = req.params;
-
-    if (!customerId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Customer ID is required',
-        paymentMethods: []
-      });
-    }
-
-    // Get all payment methods from Stripe
-    const paymentMethods = await stripe.paymentMethods.list({
-      customer: customerId,
-      type: 'card',
-      limit: 10 // Adjust as needed
-    });
-
-    // Get customer to check default payment method
-    const customer = await stripe.customers.retrieve(customerId);
-    const defaultPaymentMethodId = customer.invoice_settings?.default_payment_method;
-
-    // Format the response with safe card details
-    const formattedMethods = paymentMethods.data.map(pm => ({
-      id: pm.id,
-      brand: pm.card.brand, // 'visa', 'mastercard', etc.
-      last4: pm.card.last4, // Last 4 digits
-      expMonth: pm.card.exp_month,
-      expYear: pm.card.exp_year,
-      funding: pm.card.funding, // 'credit', 'debit', 'prepaid'
-      country: pm.card.country,
-      fingerprint: pm.card.fingerprint, // Unique card identifier
-      isDefault: pm.id === defaultPaymentMethodId,
-      created: pm.created,
-      // Additional safe metadata
-      checks: {
-        cvcCheck: pm.card.checks?.cvc_check,
-        addressLine1Check: pm.card.checks?.address_line1_check,
-        addressPostalCodeCheck: pm.card.checks?.address_postal_code_check
-      }
-    }));
+app.get('/api/stripe/customer/:customerId/payment-methods', ownsCustomer(req => req.params.customerId), asyncRoute(async (req, res) => {
+  const { customerId } = req.params;
+  const { type, limit, starting_after } = req.query;
+
+  const paymentMethods = await stripe.customers.listPaymentMethods(customerId, {
+    type: type,
+    limit: limit,
+    starting_after: starting_after
+  });
 
-    res.json({
-      success: true,
-      paymentMethods: formattedMethods,
-      hasMore: paymentMethods.has_more,
-      defaultPaymentMethodId: defaultPaymentMethodId
-    });
+  // Get customer to check default payment method
+  const customer = await stripe.customers.retrieve(customerId);
+  const defaultPaymentMethodId = customer.invoice_settings?.default_payment_method;
+
+  // Format the response with safe details of each type; only staff see
+  // fingerprints, which match a card across customers
+  const includeFingerprint = roleHasAllCustomers(req.auth.role);
+  const formattedMethods = paymentMethods.data.map(pm => formatPaymentMethod(pm, defaultPaymentMethodId, { includeFingerprint }));
+
+  res.json({
+    success: true,
+    paymentMethods: formattedMethods,
+    hasMore: paymentMethods.has_more,
+    lastPaymentMethodId: formattedMethods.length > 0 ? formattedMethods[formattedMethods.length - 1].id : null,
+    defaultPaymentMethodId: defaultPaymentMethodId
+  });
 
-  } catch (error) {
-    console.error('Error retrieving payment methods:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message,
-      paymentMethods: []
-    });
-  }
-});
+}, { paymentMethods: [] }));
 
 /**
  * Attach payment method to customer
  */
-app.post('/api/stripe/attach-payment-method', async (req, res) => {
-  try {
-    const { paymentMethodId, customerId } = req.body;
+app.post('/api/stripe/attach-payment-method', ownsCustomer(req => req.body.customerId), ownsPaymentMethod(req => req.body.paymentMethodId, { allowUnattached: true }), idempotent, asyncRoute(async (req, res) => {
+  const { paymentMethodId, customerId } = req.body;
 
-    if (!paymentMethodId || !customerId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Payment method ID and customer ID are required'
-      });
-    }
-
-    const paymentMethod = await stripe.paymentMethods.attach(paymentMethodId, {
-      customer: customerId,
-    });
+  const paymentMethod = await stripe.paymentMethods.attach(paymentMethodId, {
+    customer: customerId,
+  }, stripeRequestOptions(req, 'attach'));
 
-    res.json({
-      success: true,
-      paymentMethod: paymentMethod
-    });
-  } catch (error) {
-    console.error('Error attaching payment method:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+  res.json({
+    success: true,
+    paymentMethod: paymentMethod
+  });
+}));
 
 /**
  * Set default payment method for customer
  */
-app.post('/api/stripe/set-default-payment-method', async (req, res) => {
-  try {
-    const { customerId, paymentMethodId } = req.body;
+app.post('/api/stripe/set-default-payment-method', ownsCustomer(req => req.body.customerId), ownsPaymentMethod(req => req.body.paymentMethodId), asyncRoute(async (req, res) => {
+  const { customerId, paymentMethodId } = req.body;
 
-    if (!customerId || !paymentMethodId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Customer ID and payment method ID are required'
-      });
-    }
+  const customer = await stripe.customers.update(customerId, {
+    invoice_settings: {
+      default_payment_method: paymentMethodId,
+    },
+  });
 
-    const customer = await stripe.customers.update(customerId, {
-      invoice_settings: {
-        default_payment_method: paymentMethodId,
-      },
-    });
+  // A new card is the customer's answer to dunning, so retry what is overdue
+  const dunningRetries = await dunning.retryForCustomer(customerId, paymentMethodId);
 
-    res.json({
-      success: true,
-      customer: customer,
-      defaultPaymentMethodId: paymentMethodId
-    });
-  } catch (error) {
-    console.error('Error setting default payment method:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+  res.json({
+    success: true,
+    customer: customer,
+    defaultPaymentMethodId: paymentMethodId,
+    dunningRetries: dunningRetries
+  });
+}));
 
 /**
  * Delete/detach a payment method
  */
-app.delete('/api/stripe/delete-payment-method', async (req, res) => {
-  try {
-    const { paymentMethodId } = req.body;
+app.delete('/api/stripe/delete-payment-method', ownsPaymentMethod(req => req.body.paymentMethodId), asyncRoute(async (req, res) => {
+  const { paymentMethodId } = req.body;
 
-    if (!paymentMethodId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Payment method ID is required'
-      });
-    }
+  const paymentMethod = await stripe.paymentMethods.detach(paymentMethodId);
 
-    const paymentMethod = await stripe.paymentMethods.detach(paymentMethodId);
-
-    res.json({
-      success: true,
-      paymentMethod: paymentMethod
-    });
-  } catch (error) {
-    console.error('Error deleting payment method:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+  res.json({
+    success: true,
+    paymentMethod: paymentMethod
+  });
+}));
 
 // ============================
 // SUBSCRIPTION ENDPOINTS
@@ -451,638 +664,1697 @@ app.delete('/api/stripe/delete-payment-method', async (req, res) => {
 /**
  * Create a subscription
  */
-app.post('/api/stripe/create-subscription', async (req, res) => {
-  try {
-    const { customerId, priceId, paymentMethodId, trialPeriodDays } = req.body;
+app.post('/api/stripe/create-subscription', ownsCustomer(req => req.body.customerId), ownsPaymentMethod(req => req.body.paymentMethodId, { allowUnattached: true }), idempotent, asyncRoute(async (req, res) => {
+  const { customerId, priceId, quantity, items, meteredPriceIds = [], paymentMethodId, trialPeriodDays, promotionCode, automaticTax } = req.body;
 
-    if (!customerId || !priceId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Customer ID and price ID are required'
-      });
-    }
+  if (!priceId && !items) {
+    throw new ApiError(400, 'validation_failed', 'A price ID or items are required');
+  }
 
-    // Set the default payment method on the customer if provided
-    if (paymentMethodId) {
-      await stripe.customers.update(customerId, {
-        invoice_settings: {
-          default_payment_method: paymentMethodId,
-        },
-      });
-    }
+  if (priceId && items) {
+    throw new ApiError(400, 'validation_failed', 'Send either priceId or items, not both');
+  }
 
-    // Create subscription configuration
-    const subscriptionData = {
-      customer: customerId,
-      items: [{ price: priceId }],
-      payment_settings: {
-        payment_method_options: {
-          card: {
-            request_three_d_secure: 'automatic',
-          },
-        },
-        payment_method_types: ['card'],
-        save_default_payment_method: 'on_subscription',
+  const notMetered = await usage.nonMeteredPrices(meteredPriceIds);
+  if (notMetered.length > 0) {
+    throw new ApiError(400, 'validation_failed', `Prices are not metered: ${notMetered.join(', ')}`);
+  }
+
+  const planItems = items || [{ priceId, quantity }];
+
+  // Check the code before touching the customer so a bad code changes nothing
+  const promotion = promotionCode
+    ? await promotions.resolve(promotionCode, { customerId, priceIds: planItems.map(item => item.priceId) })
+    : null;
+
+  if (automaticTax) {
+    await tax.assertTaxLocation(customerId);
+  }
+
+  // Set the default payment method on the customer if provided
+  if (paymentMethodId) {
+    await stripe.customers.update(customerId, {
+      invoice_settings: {
+        default_payment_method: paymentMethodId,
       },
-      expand: ['latest_invoice.payment_intent'],
-    };
+    }, stripeRequestOptions(req, 'default-payment-method'));
+  }
 
-    // Add trial period if specified
-    if (trialPeriodDays && trialPeriodDays > 0) {
-      subscriptionData.trial_period_days = trialPeriodDays;
-    }
+  // Create subscription configuration
+  const subscriptionData = {
+    customer: customerId,
+    // Metered prices are billed on reported usage and take no quantity
+    items: [
+      ...planItems.map(item => ({ price: item.priceId, quantity: item.quantity })),
+      ...meteredPriceIds.map(price => ({ price }))
+    ],
+    payment_settings: {
+      payment_method_options: {
+        card: {
+          request_three_d_secure: 'automatic',
+        },
+      },
+      payment_method_types: ['card'],
+      save_default_payment_method: 'on_subscription',
+    },
+    metadata: requestMetadata(req),
+    expand: ['latest_invoice.payment_intent'],
+  };
+
+  // Add trial period if specified
+  if (trialPeriodDays && trialPeriodDays > 0) {
+    subscriptionData.trial_period_days = trialPeriodDays;
+  }
 
-    const subscription = await stripe.subscriptions.create(subscriptionData);
+  if (promotion) {
+    subscriptionData.promotion_code = promotion.promotionCode.id;
+  }
 
-    res.json({
-      success: true,
-      subscription: subscription
-    });
-  } catch (error) {
-    console.error('Error creating subscription:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
+  if (automaticTax) {
+    subscriptionData.automatic_tax = { enabled: true };
   }
-});
+
+  const subscription = await stripe.subscriptions.create(subscriptionData, stripeRequestOptions(req, 'subscription'));
+
+  res.json({
+    success: true,
+    subscription: subscription
+  });
+}));
 
 /**
- * Update a subscription (change plan)
+ * Stripe parameters for changing the price and/or quantity of one
+ * subscription item. Shared by update-subscription and its preview so the
+ * preview prices exactly the change that would be made.
  */
-app.post('/api/stripe/update-subscription', async (req, res) => {
-  try {
-    const { subscriptionId, priceId } = req.body;
+function planChangeParams(subscription, { priceId, itemId, quantity, prorationBehavior, prorationDate }) {
+  // With add-ons, the item to change has to be named
+  if (!itemId && subscription.items.data.length > 1) {
+    throw new ApiError(400, 'validation_failed', 'Subscription has several items; itemId is required');
+  }
 
-    if (!subscriptionId || !priceId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Subscription ID and price ID are required'
-      });
-    }
+  const item = itemId
+    ? subscription.items.data.find(candidate => candidate.id === itemId)
+    : subscription.items.data[0];
 
-    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
-    
-    const updatedSubscription = await stripe.subscriptions.update(subscriptionId, {
+  if (!item) {
+    throw new ApiError(404, 'resource_missing', 'Subscription item not found');
+  }
+
+  return {
+    item: item,
+    params: {
       items: [{
-        id: subscription.items.data[0].id,
+        id: item.id,
         price: priceId,
+        quantity: quantity,
       }],
-      proration_behavior: 'create_prorations',
-    });
-
-    res.json({
-      success: true,
-      subscription: updatedSubscription
-    });
-  } catch (error) {
-    console.error('Error updating subscription:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+      proration_behavior: prorationBehavior,
+      proration_date: prorationDate
+    }
+  };
+}
 
 /**
- * Cancel a subscription
+ * Update a subscription (change plan). Pass the prorationDate returned by
+ * preview-subscription-change to be charged exactly what was previewed.
  */
-app.post('/api/stripe/cancel-subscription', async (req, res) => {
-  try {
-    const { subscriptionId, cancelImmediately = false } = req.body;
+app.post('/api/stripe/update-subscription', ownsSubscription(req => req.body.subscriptionId), idempotent, asyncRoute(async (req, res) => {
+  const { subscriptionId, priceId } = req.body;
 
-    if (!subscriptionId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Subscription ID is required'
-      });
-    }
+  const subscription = req.resources.subscription;
+  const { params } = planChangeParams(subscription, req.body);
 
-    let subscription;
-    if (cancelImmediately) {
-      subscription = await stripe.subscriptions.cancel(subscriptionId);
-    } else {
-      subscription = await stripe.subscriptions.update(subscriptionId, {
-        cancel_at_period_end: true,
-      });
-    }
+  if (req.body.promotionCode) {
+    const promotion = await promotions.resolve(req.body.promotionCode, { customerId: subscription.customer, priceIds: [priceId] });
+    params.promotion_code = promotion.promotionCode.id;
+  }
 
-    res.json({
-      success: true,
-      subscription: subscription
+  const updatedSubscription = await stripe.subscriptions.update(subscriptionId, params, stripeRequestOptions(req, 'subscription'));
+
+  res.json({
+    success: true,
+    subscription: updatedSubscription
+  });
+}));
+
+/**
+ * Preview a plan change without making it: the proration line items, what
+ * is charged straight away and the next invoice, from Stripe's upcoming
+ * invoice for the same change update-subscription would make.
+ *
+ * create_prorations adds the prorations to the next invoice, always_invoice
+ * charges them now and none skips them. Changing the billing interval resets
+ * the billing cycle, so the whole upcoming invoice is due now.
+ */
+app.post('/api/stripe/preview-subscription-change', ownsSubscription(req => req.body.subscriptionId), asyncRoute(async (req, res) => {
+  const { subscriptionId, priceId, quantity, prorationBehavior } = req.body;
+  const subscription = req.resources.subscription;
+  const prorationDate = req.body.prorationDate || Math.floor(Date.now() / 1000);
+
+  const { item, params } = planChangeParams(subscription, { ...req.body, prorationDate });
+
+  const upcomingParams = {
+    customer: subscription.customer,
+    subscription: subscriptionId,
+    subscription_items: params.items,
+    subscription_proration_behavior: prorationBehavior,
+    subscription_proration_date: prorationDate
+  };
+
+  const [invoice, newPrice] = await Promise.all([
+    stripe.invoices.retrieveUpcoming(upcomingParams),
+    priceId === item.price.id ? item.price : stripe.prices.retrieve(priceId)
+  ]);
+
+  let lines = invoice.lines.data;
+  if (invoice.lines.has_more) {
+    lines = [];
+    for await (const line of stripe.invoices.listUpcomingLines({ ...upcomingParams, limit: 100 })) {
+      lines.push(line);
+    }
+  }
+
+  const prorations = lines
+    .filter(line => line.proration)
+    .map(line => ({
+      description: line.description,
+      amount: line.amount,
+      priceId: line.price ? line.price.id : null,
+      quantity: line.quantity,
+      period: line.period
+    }));
+  const prorationTotal = prorations.reduce((sum, line) => sum + line.amount, 0);
+
+  const currentRecurring = item.price.recurring || {};
+  const newRecurring = newPrice.recurring || {};
+  const resetsBillingCycle = currentRecurring.interval !== newRecurring.interval ||
+    currentRecurring.interval_count !== newRecurring.interval_count;
+
+  let amountDueNow = 0;
+  let nextInvoiceTotal = invoice.total;
+  if (resetsBillingCycle) {
+    amountDueNow = invoice.amount_due;
+  } else if (prorationBehavior === 'always_invoice') {
+    amountDueNow = Math.max(prorationTotal, 0);
+    nextInvoiceTotal = invoice.total - prorationTotal;
+  }
+
+  res.json({
+    success: true,
+    preview: {
+      subscriptionId: subscriptionId,
+      itemId: item.id,
+      priceId: priceId,
+      quantity: quantity !== undefined ? quantity : item.quantity,
+      prorationBehavior: prorationBehavior,
+      prorationDate: prorationDate,
+      effectiveDate: prorationDate,
+      resetsBillingCycle: resetsBillingCycle,
+      currency: invoice.currency,
+      prorations: prorations,
+      prorationTotal: prorationTotal,
+      amountDueNow: amountDueNow,
+      nextInvoice: {
+        total: nextInvoiceTotal,
+        date: resetsBillingCycle ? prorationDate : (invoice.next_payment_attempt || subscription.current_period_end)
+      }
+    }
+  });
+}));
+
+/**
+ * Add a price (an add-on or seats) to an existing subscription
+ */
+app.post('/api/stripe/add-subscription-item', ownsSubscription(req => req.body.subscriptionId), idempotent, asyncRoute(async (req, res) => {
+  const { subscriptionId, priceId, quantity, prorationBehavior } = req.body;
+
+  const subscriptionItem = await stripe.subscriptionItems.create({
+    subscription: subscriptionId,
+    price: priceId,
+    quantity: quantity,
+    proration_behavior: prorationBehavior
+  }, stripeRequestOptions(req, 'subscription-item'));
+
+  res.json({
+    success: true,
+    subscriptionItem: subscriptionItem
+  });
+}));
+
+/**
+ * Change the price and/or quantity (seats) of one subscription item
+ */
+app.post('/api/stripe/update-subscription-item', ownsSubscriptionItem(req => req.body.itemId), idempotent, asyncRoute(async (req, res) => {
+  const { itemId, priceId, quantity, prorationBehavior } = req.body;
+
+  if (priceId === undefined && quantity === undefined) {
+    throw new ApiError(400, 'validation_failed', 'A new price ID or quantity is required');
+  }
+
+  const subscriptionItem = await stripe.subscriptionItems.update(itemId, {
+    price: priceId,
+    quantity: quantity,
+    proration_behavior: prorationBehavior
+  }, stripeRequestOptions(req, 'subscription-item'));
+
+  res.json({
+    success: true,
+    subscriptionItem: subscriptionItem
+  });
+}));
+
+/**
+ * Remove an item from a subscription. The last item can't be removed;
+ * cancel the subscription instead.
+ */
+app.delete('/api/stripe/remove-subscription-item', ownsSubscriptionItem(req => req.body.itemId), asyncRoute(async (req, res) => {
+  const { itemId, prorationBehavior, clearUsage } = req.body;
+  const { subscription } = req.resources.subscriptionItem;
+
+  if (subscription.items.data.length <= 1) {
+    throw new ApiError(400, 'last_subscription_item', 'Cannot remove the only item of a subscription; cancel the subscription instead');
+  }
+
+  const deleted = await stripe.subscriptionItems.del(itemId, {
+    proration_behavior: prorationBehavior,
+    clear_usage: clearUsage
+  });
+
+  res.json({
+    success: true,
+    deleted: deleted.deleted,
+    itemId: itemId
+  });
+}));
+
+/**
+ * Cancel a subscription
+ */
+app.post('/api/stripe/cancel-subscription', ownsSubscription(req => req.body.subscriptionId), asyncRoute(async (req, res) => {
+  const { subscriptionId, cancelImmediately } = req.body;
+
+  let subscription;
+  if (cancelImmediately) {
+    subscription = await stripe.subscriptions.cancel(subscriptionId);
+  } else {
+    subscription = await stripe.subscriptions.update(subscriptionId, {
+      cancel_at_period_end: true,
     });
+  }
+
+  res.json({
+    success: true,
+    subscription: subscription
+  });
+}));
+
+/**
+ * Pause collection on a subscription. Invoices created while paused are
+ * handled per `behavior`; collection resumes on `resumesAt` if given.
+ */
+app.post('/api/stripe/pause-subscription', ownsSubscription(req => req.body.subscriptionId), asyncRoute(async (req, res) => {
+  const { subscriptionId, behavior, resumesAt } = req.body;
+  const current = req.resources.subscription;
+
+  if (!['active', 'trialing', 'past_due'].includes(current.status)) {
+    throw new ApiError(400, 'subscription_not_pausable', `A ${current.status} subscription can't be paused`);
+  }
+
+  if (resumesAt && resumesAt <= Math.floor(Date.now() / 1000)) {
+    throw new ApiError(400, 'validation_failed', 'resumesAt must be in the future');
+  }
+
+  const subscription = await stripe.subscriptions.update(subscriptionId, {
+    pause_collection: {
+      behavior: behavior,
+      resumes_at: resumesAt
+    }
+  });
+
+  res.json({
+    success: true,
+    subscription: subscription
+  });
+}));
+
+/**
+ * Resume a subscription: lifts paused collection, or restarts a subscription
+ * Stripe paused because its trial ended without a payment method
+ */
+app.post('/api/stripe/resume-subscription', ownsSubscription(req => req.body.subscriptionId), asyncRoute(async (req, res) => {
+  const { subscriptionId } = req.body;
+  const current = req.resources.subscription;
+
+  let subscription;
+  if (current.status === 'paused') {
+    subscription = await stripe.subscriptions.resume(subscriptionId, { billing_cycle_anchor: 'now' });
+  } else if (current.pause_collection) {
+    subscription = await stripe.subscriptions.update(subscriptionId, { pause_collection: '' });
+  } else {
+    throw new ApiError(400, 'subscription_not_paused', 'Subscription is not paused');
+  }
+
+  res.json({
+    success: true,
+    subscription: subscription
+  });
+}));
+
+/**
+ * Undo a pending cancellation (cancel at period end or at a set date)
+ */
+app.post('/api/stripe/reactivate-subscription', ownsSubscription(req => req.body.subscriptionId), asyncRoute(async (req, res) => {
+  const { subscriptionId } = req.body;
+  const current = req.resources.subscription;
+
+  if (current.status === 'canceled') {
+    throw new ApiError(400, 'subscription_not_canceling', 'Subscription has already ended; create a new one instead');
+  }
+
+  if (!current.cancel_at_period_end && !current.cancel_at) {
+    throw new ApiError(400, 'subscription_not_canceling', 'Subscription is not scheduled to cancel');
+  }
+
+  const subscription = await stripe.subscriptions.update(subscriptionId, current.cancel_at_period_end
+    ? { cancel_at_period_end: false }
+    : { cancel_at: '' });
+
+  res.json({
+    success: true,
+    subscription: subscription
+  });
+}));
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value;
+}
+
+function phaseItem(item) {
+  const priceId = idOf(item.price);
+  return item.quantity !== undefined ? { price: priceId, quantity: item.quantity } : { price: priceId };
+}
+
+/**
+ * Discount, tax and payment method settings of a schedule phase. Phases
+ * written back without them would drop what the subscription has now.
+ */
+function phaseSettings(phase) {
+  const settings = {};
+
+  if (phase.discounts && phase.discounts.length > 0) {
+    // Reuse the existing discount or its coupon rather than redeeming a promotion code again
+    settings.discounts = phase.discounts.map(discount => (discount.discount
+      ? { discount: idOf(discount.discount) }
+      : discount.coupon
+        ? { coupon: idOf(discount.coupon) }
+        : { promotion_code: idOf(discount.promotion_code) }));
+  } else if (phase.coupon) {
+    settings.coupon = idOf(phase.coupon);
+  }
+
+  if (phase.default_tax_rates && phase.default_tax_rates.length > 0) {
+    settings.default_tax_rates = phase.default_tax_rates.map(idOf);
+  }
+  if (phase.automatic_tax) {
+    settings.automatic_tax = { enabled: phase.automatic_tax.enabled };
+  }
+  if (phase.default_payment_method) {
+    settings.default_payment_method = idOf(phase.default_payment_method);
+  }
+
+  return settings;
+}
+
+/**
+ * Schedule a plan change for the end of the current period, typically a
+ * downgrade. Uses a subscription schedule with the current phase followed by
+ * one phase on the new plan, after which the schedule releases the
+ * subscription. Replaces any change already scheduled.
+ */
+app.post('/api/stripe/schedule-subscription-change', ownsSubscription(req => req.body.subscriptionId), idempotent, asyncRoute(async (req, res) => {
+  const { subscriptionId, priceId, quantity } = req.body;
+  const subscription = req.resources.subscription;
+
+  if (subscription.cancel_at_period_end || subscription.cancel_at) {
+    throw new ApiError(400, 'subscription_canceling', 'Subscription is scheduled to cancel; reactivate it first');
+  }
+
+  const { item } = planChangeParams(subscription, req.body);
+
+  const scheduleId = subscription.schedule;
+  const schedule = scheduleId
+    ? await stripe.subscriptionSchedules.retrieve(scheduleId)
+    : await stripe.subscriptionSchedules.create({ from_subscription: subscriptionId }, stripeRequestOptions(req, 'subscription-schedule'));
+
+  const currentPhase = schedule.phases.find(phase => phase.start_date === schedule.current_phase.start_date);
+  const currentItems = currentPhase.items.map(phaseItem);
+  const settings = phaseSettings(currentPhase);
+  const changedPriceId = item.price.id;
+
+  const nextItems = currentItems.map(scheduled => (scheduled.price === changedPriceId
+    ? { price: priceId, quantity: quantity !== undefined ? quantity : scheduled.quantity }
+    : scheduled));
+
+  let updatedSchedule;
+  try {
+    updatedSchedule = await stripe.subscriptionSchedules.update(schedule.id, {
+      end_behavior: 'release',
+      phases: [
+        {
+          ...settings,
+          items: currentItems,
+          start_date: currentPhase.start_date,
+          end_date: currentPhase.end_date,
+          proration_behavior: 'none'
+        },
+        {
+          ...settings,
+          items: nextItems,
+          iterations: 1,
+          proration_behavior: 'none'
+        }
+      ]
+    }, stripeRequestOptions(req, 'subscription-schedule-phases'));
   } catch (error) {
-    console.error('Error canceling subscription:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
+    // Don't leave the subscription on a schedule this request created
+    if (!scheduleId) {
+      await stripe.subscriptionSchedules.release(schedule.id).catch(releaseError => {
+        log.error('Failed to release subscription schedule', { scheduleId: schedule.id, subscriptionId, error: releaseError });
+      });
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    effectiveDate: currentPhase.end_date,
+    schedule: updatedSchedule
+  });
+}));
+
+/**
+ * Drop a scheduled plan change; the subscription stays on its current plan
+ */
+app.delete('/api/stripe/scheduled-subscription-change', ownsSubscription(req => req.body.subscriptionId), asyncRoute(async (req, res) => {
+  const subscription = req.resources.subscription;
+
+  if (!subscription.schedule) {
+    throw new ApiError(404, 'resource_missing', 'Subscription has no scheduled change');
+  }
+
+  const schedule = await stripe.subscriptionSchedules.release(subscription.schedule);
+
+  res.json({
+    success: true,
+    scheduleId: schedule.id,
+    status: schedule.status
+  });
+}));
+
+/**
+ * Get customer's subscriptions with detailed information
+ */
+app.get('/api/stripe/subscriptions/:customerId', ownsCustomer(req => req.params.customerId), asyncRoute(async (req, res) => {
+  const { customerId } = req.params;
+
+  const subscriptions = await readWithMirror(req, customerId, {
+    live: () => stripe.subscriptions.list({
+      customer: customerId,
+      status: 'all',
+      expand: ['data.default_payment_method', 'data.items.data.price.product', 'data.schedule'],
+      limit: 10
+    }),
+    local: () => ({ data: billingDb.getSubscriptionsByCustomer(customerId, 10) }),
+    store: sub => billingDb.upsertSubscription(sub)
+  });
+
+  res.json({
+    success: true,
+    subscriptions: subscriptions.data.map(formatSubscription),
+    source: subscriptions.source
+  });
+}, { subscriptions: [] }));
+
+// ============================
+// CHECKOUT AND CUSTOMER PORTAL
+// ============================
+
+/**
+ * Reject redirect URLs outside our own frontends (see origins.js)
+ */
+function assertRedirectUrls(body, fields) {
+  const details = fields
+    .filter(field => body[field] !== undefined && !isAllowedRedirectUrl(body[field]))
+    .map(field => ({ location: 'body', field, message: 'must be a URL on an allowed TrackVentories origin' }));
+
+  if (details.length > 0) {
+    throw new ApiError(400, 'validation_failed', 'Validation failed', details);
+  }
+}
+
+/**
+ * The user a checkout is for, which the completed session links its customer
+ * to. Staff can check out for another user's customer (ownsCustomer only lets
+ * staff through with one), in which case it is the customer's owner; a
+ * customer with no owner yet needs the user named in the request.
+ */
+async function checkoutUserId(req, customerId) {
+  if (!customerId || customerId === req.auth.customerId) {
+    if (req.body.userId && req.body.userId !== req.auth.userId) {
+      throw new ApiError(400, 'validation_failed', 'userId can only be set when checking out for another customer');
+    }
+    return req.auth.userId;
+  }
+
+  const customer = await stripe.customers.retrieve(customerId);
+  if (customer.deleted) {
+    throw new ApiError(404, 'resource_missing', 'Customer not found');
+  }
+
+  const owner = customer.metadata.userId;
+  if (owner && req.body.userId && req.body.userId !== owner) {
+    throw new ApiError(400, 'validation_failed', 'userId does not match the owner of this customer');
+  }
+  if (!owner && !req.body.userId) {
+    throw new ApiError(400, 'validation_failed', 'userId is required to check out for a customer with no owner', [{
+      location: 'body',
+      field: 'userId',
+      message: 'is required for a customer with no owner'
+    }]);
+  }
+  return owner || req.body.userId;
+}
+
+/**
+ * Create a Stripe Checkout session for a subscription or a one-time payment.
+ * Callers without a Stripe customer yet get one created by Checkout, which is
+ * linked to their user by the checkout.session.completed webhook.
+ */
+app.post('/api/stripe/create-checkout-session', ownsCustomer(req => req.body.customerId), idempotent, asyncRoute(async (req, res) => {
+  const { mode, priceId, quantity, successUrl, cancelUrl, trialPeriodDays, promotionCode, allowPromotionCodes } = req.body;
+  assertRedirectUrls(req.body, ['successUrl', 'cancelUrl']);
+
+  if (trialPeriodDays && mode !== 'subscription') {
+    throw new ApiError(400, 'validation_failed', 'Trials are only available in subscription mode');
+  }
+
+  const customerId = req.body.customerId || req.auth.customerId;
+  const userId = await checkoutUserId(req, customerId);
+
+  const sessionData = {
+    mode: mode,
+    line_items: [{ price: priceId, quantity: quantity }],
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    client_reference_id: String(userId),
+    metadata: requestMetadata(req, { userId: String(userId) })
+  };
+
+  if (customerId) {
+    sessionData.customer = customerId;
+  } else if (mode === 'payment') {
+    sessionData.customer_creation = 'always';
+  }
+
+  if (mode === 'subscription') {
+    sessionData.subscription_data = { metadata: { userId: String(userId) } };
+    if (trialPeriodDays) {
+      sessionData.subscription_data.trial_period_days = trialPeriodDays;
+    }
+  }
+
+  // A specific code is applied up front; otherwise the customer may be
+  // allowed to enter one on the Checkout page
+  if (promotionCode) {
+    const promotion = await promotions.resolve(promotionCode, { customerId, priceIds: [priceId] });
+    sessionData.discounts = [{ promotion_code: promotion.promotionCode.id }];
+  } else if (allowPromotionCodes) {
+    sessionData.allow_promotion_codes = true;
+  }
+
+  const session = await stripe.checkout.sessions.create(sessionData, stripeRequestOptions(req, 'checkout-session'));
+
+  res.json({
+    success: true,
+    sessionId: session.id,
+    url: session.url
+  });
+}));
+
+/**
+ * Create a Stripe Customer Portal session for managing payment methods,
+ * subscriptions and invoices
+ */
+app.post('/api/stripe/create-portal-session', ownsCustomer(req => req.body.customerId), asyncRoute(async (req, res) => {
+  const { customerId, returnUrl } = req.body;
+  assertRedirectUrls(req.body, ['returnUrl']);
+
+  const session = await stripe.billingPortal.sessions.create({
+    customer: customerId,
+    return_url: returnUrl
+  });
+
+  res.json({
+    success: true,
+    url: session.url
+  });
+}));
+
+// ============================
+// ENTITLEMENTS
+// ============================
+
+/**
+ * Feature limits a customer's subscriptions entitle them to. Cached and
+ * recomputed on subscription webhooks; ?refresh=true recomputes now.
+ */
+app.get('/api/entitlements/:customerId', ownsCustomer(req => req.params.customerId), asyncRoute(async (req, res) => {
+  const entitlements = await entitlementsResolver.get(req.params.customerId, { refresh: req.query.refresh });
+
+  res.json({
+    success: true,
+    entitlements: entitlements
+  });
+}));
+
+// ============================
+// USAGE
+// ============================
+
+/**
+ * Report a usage quantity for one of a customer's metered metrics. Reports
+ * are deduplicated by reportId and sent to Stripe in batches.
+ */
+app.post('/api/stripe/usage', ownsCustomer(req => req.body.customerId), asyncRoute(async (req, res) => {
+  const report = usage.record(req.body);
+
+  res.status(report.duplicate ? 200 : 202).json({
+    success: true,
+    usage: report
+  });
+}));
+
+/**
+ * Current-period usage, unreported usage and projected charges for each of a
+ * customer's metered subscription items
+ */
+app.get('/api/stripe/usage/:customerId', ownsCustomer(req => req.params.customerId), asyncRoute(async (req, res) => {
+  const summary = await usage.summary(req.params.customerId);
+
+  res.json({
+    success: true,
+    ...summary
+  });
+}, { items: [] }));
+
+// ============================
+// COUPONS AND PROMOTION CODES
+// ============================
+
+/**
+ * Create a coupon: a percentage or fixed amount off, once, for some months
+ * or forever, optionally limited to some products
+ */
+app.post('/api/stripe/coupons', idempotent, asyncRoute(async (req, res) => {
+  const { id, name, percentOff, amountOff, currency, duration, durationInMonths, maxRedemptions, redeemBy, productIds } = req.body;
+
+  if ((percentOff === undefined) === (amountOff === undefined)) {
+    throw new ApiError(400, 'validation_failed', 'Send either percentOff or amountOff');
+  }
+
+  if ((amountOff !== undefined && !currency) || (duration === 'repeating' && !durationInMonths)) {
+    throw new ApiError(400, 'validation_failed', 'amountOff needs a currency and a repeating duration needs durationInMonths');
+  }
+
+  const coupon = await stripe.coupons.create({
+    id: id,
+    name: name,
+    percent_off: percentOff,
+    amount_off: amountOff,
+    currency: currency,
+    duration: duration,
+    duration_in_months: duration === 'repeating' ? durationInMonths : undefined,
+    max_redemptions: maxRedemptions,
+    redeem_by: redeemBy,
+    applies_to: productIds ? { products: productIds } : undefined
+  }, stripeRequestOptions(req, 'coupon'));
+
+  res.json({
+    success: true,
+    coupon: coupon
+  });
+}));
+
+/**
+ * List coupons
+ */
+app.get('/api/stripe/coupons', asyncRoute(async (req, res) => {
+  const { limit, starting_after } = req.query;
+
+  const coupons = await stripe.coupons.list({ limit, starting_after });
+
+  res.json({
+    success: true,
+    coupons: coupons.data.map(coupon => ({
+      ...coupon,
+      formatted: { amountOff: formatMoney(coupon.amount_off, coupon.currency) }
+    })),
+    hasMore: coupons.has_more
+  });
+}, { coupons: [] }));
+
+/**
+ * Delete a coupon. Discounts already applied keep running; it can't be
+ * redeemed again and its promotion codes stop working.
+ */
+app.delete('/api/stripe/coupons/:couponId', asyncRoute(async (req, res) => {
+  const deleted = await stripe.coupons.del(req.params.couponId);
+
+  res.json({
+    success: true,
+    deleted: deleted.deleted,
+    couponId: deleted.id
+  });
+}));
+
+/**
+ * Create a customer-facing promotion code for a coupon
+ */
+app.post('/api/stripe/promotion-codes', idempotent, asyncRoute(async (req, res) => {
+  const { couponId, code, customerId, maxRedemptions, expiresAt, firstTimeTransaction, minimumAmount, minimumAmountCurrency } = req.body;
+
+  if (minimumAmount !== undefined && !minimumAmountCurrency) {
+    throw new ApiError(400, 'validation_failed', 'minimumAmount needs a minimumAmountCurrency');
+  }
+
+  const promotionCode = await stripe.promotionCodes.create({
+    coupon: couponId,
+    code: code,
+    customer: customerId,
+    max_redemptions: maxRedemptions,
+    expires_at: expiresAt,
+    restrictions: {
+      first_time_transaction: firstTimeTransaction,
+      minimum_amount: minimumAmount,
+      minimum_amount_currency: minimumAmountCurrency
+    }
+  }, stripeRequestOptions(req, 'promotion-code'));
+
+  res.json({
+    success: true,
+    promotionCode: promotionCode
+  });
+}));
+
+/**
+ * List promotion codes, optionally for one coupon, code or state
+ */
+app.get('/api/stripe/promotion-codes', asyncRoute(async (req, res) => {
+  const { couponId, code, active, limit, starting_after } = req.query;
+
+  const promotionCodes = await stripe.promotionCodes.list({
+    coupon: couponId,
+    code: code,
+    active: active,
+    limit: limit,
+    starting_after: starting_after
+  });
+
+  res.json({
+    success: true,
+    promotionCodes: promotionCodes.data,
+    hasMore: promotionCodes.has_more
+  });
+}, { promotionCodes: [] }));
+
+/**
+ * Deactivate a promotion code. Stripe codes can't be reactivated once their
+ * coupon is gone, so this is the way to retire a single code.
+ */
+app.post('/api/stripe/promotion-codes/:promotionCodeId/deactivate', asyncRoute(async (req, res) => {
+  const promotionCode = await stripe.promotionCodes.update(req.params.promotionCodeId, { active: false });
+
+  res.json({
+    success: true,
+    promotionCode: promotionCode
+  });
+}));
+
+/**
+ * Who redeemed a promotion code, newest first, with Stripe's running count
+ */
+app.get('/api/stripe/promotion-codes/:promotionCodeId/redemptions', asyncRoute(async (req, res) => {
+  const promotionCode = await stripe.promotionCodes.retrieve(req.params.promotionCodeId);
+
+  res.json({
+    success: true,
+    promotionCodeId: promotionCode.id,
+    code: promotionCode.code,
+    timesRedeemed: promotionCode.times_redeemed,
+    maxRedemptions: promotionCode.max_redemptions,
+    redemptions: promotions.redemptions(promotionCode.id, { limit: req.query.limit })
+  });
+}, { redemptions: [] }));
+
+// ============================
+// REFUNDS AND DISPUTES
+// ============================
+
+// Credit note reasons for the refund reasons that have one
+const CREDIT_NOTE_REASONS = {
+  duplicate: 'duplicate',
+  fraudulent: 'fraudulent'
+};
+
+/**
+ * Refund a charge or payment intent in full or in part (amount in minor
+ * units). For an invoice payment, creditNote issues a credit note that
+ * carries the refund, so the invoice shows what was given back.
+ */
+app.post('/api/stripe/refunds', idempotent, asyncRoute(async (req, res) => {
+  const { paymentIntentId, chargeId, amount, reason, note, creditNote } = req.body;
+
+  if (!paymentIntentId === !chargeId) {
+    throw new ApiError(400, 'validation_failed', 'Send either paymentIntentId or chargeId');
+  }
+
+  let charge;
+  if (chargeId) {
+    charge = await stripe.charges.retrieve(chargeId);
+  } else {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+    charge = paymentIntent.latest_charge;
+  }
+
+  if (!charge || !charge.paid) {
+    throw new ApiError(400, 'charge_not_refundable', 'Payment has not been collected, so there is nothing to refund');
+  }
+
+  const refundable = charge.amount - charge.amount_refunded;
+  const refundAmount = amount !== undefined ? amount : refundable;
+  if (refundAmount > refundable || refundAmount <= 0) {
+    throw new ApiError(400, 'refund_exceeds_charge', `At most ${formatMoney(refundable, charge.currency)} can still be refunded`);
+  }
+
+  const metadata = requestMetadata(req, { requested_by: String(req.auth.userId) });
+  if (note) metadata.note = note;
+
+  if (creditNote) {
+    if (!charge.invoice) {
+      throw new ApiError(400, 'validation_failed', 'Credit notes are only available for invoice payments');
+    }
+
+    const issued = await stripe.creditNotes.create({
+      invoice: typeof charge.invoice === 'object' ? charge.invoice.id : charge.invoice,
+      amount: refundAmount,
+      refund_amount: refundAmount,
+      reason: CREDIT_NOTE_REASONS[reason],
+      memo: note,
+      metadata: metadata
+    }, stripeRequestOptions(req, 'credit-note'));
+
+    return res.json({
+      success: true,
+      refund: issued.refund,
+      creditNote: issued
     });
   }
-});
+
+  const refund = await stripe.refunds.create({
+    charge: charge.id,
+    amount: refundAmount,
+    reason: reason,
+    metadata: metadata
+  }, stripeRequestOptions(req, 'refund'));
+
+  res.json({
+    success: true,
+    refund: refund,
+    creditNote: null
+  });
+}));
+
+/**
+ * Disputes from webhooks, soonest evidence deadline first. Defaults to
+ * disputes that still need a response.
+ */
+app.get('/api/stripe/disputes', asyncRoute(async (req, res) => {
+  const { status, customerId, dueBefore, limit } = req.query;
+
+  res.json({
+    success: true,
+    disputes: disputes.list({ status, customerId, dueBefore, limit })
+  });
+}, { disputes: [] }));
+
+// ============================
+// INVOICE ENDPOINTS
+// ============================
+
+/**
+ * Get customer's invoices
+ */
+app.get('/api/stripe/invoices/:customerId', ownsCustomer(req => req.params.customerId), asyncRoute(async (req, res) => {
+  const { customerId } = req.params;
+  const { limit, status } = req.query;
+
+  const queryParams = {
+    customer: customerId,
+    limit,
+    expand: ['data.payment_intent', 'data.total_tax_amounts.tax_rate']
+  };
+
+  // Filter by status if specified
+  if (status !== 'all') {
+    queryParams.status = status;
+  }
+
+  const invoices = await readWithMirror(req, customerId, {
+    live: () => stripe.invoices.list(queryParams),
+    local: () => {
+      // Fetch one extra row to know whether there are more
+      const rows = billingDb.getInvoicesByCustomer(customerId, { status, limit: queryParams.limit + 1 });
+      return { data: rows.slice(0, queryParams.limit), has_more: rows.length > queryParams.limit };
+    },
+    store: invoice => billingDb.upsertInvoice(invoice)
+  });
+
+  res.json({
+    success: true,
+    invoices: invoices.data.map(formatInvoice),
+    hasMore: invoices.has_more,
+    source: invoices.source
+  });
+}, { invoices: [] }));
+
+/**
+ * Get specific invoice details
+ */
+app.get('/api/stripe/invoice/:invoiceId', ownsInvoice(req => req.params.invoiceId), asyncRoute(async (req, res) => {
+  const { invoiceId } = req.params;
+
+  const invoice = await stripe.invoices.retrieve(invoiceId, {
+    expand: ['payment_intent', 'subscription', 'customer']
+  });
+
+  res.json({
+    success: true,
+    invoice: invoice
+  });
+}));
+
+/**
+ * Download invoice PDF
+ */
+app.get('/api/stripe/invoice-pdf/:invoiceId', ownsInvoice(req => req.params.invoiceId), asyncRoute(async (req, res) => {
+  const invoice = req.resources.invoice;
+  
+  if (!invoice.invoice_pdf) {
+    throw new ApiError(404, 'resource_missing', 'Invoice PDF not available');
+  }
+
+  // Redirect to the PDF URL
+  res.redirect(invoice.invoice_pdf);
+}));
+
+/**
+ * Send invoice to customer
+ */
+app.post('/api/stripe/send-invoice', asyncRoute(async (req, res) => {
+  const { invoiceId } = req.body;
+
+  const invoice = await stripe.invoices.sendInvoice(invoiceId);
+
+  res.json({
+    success: true,
+    invoice: invoice
+  });
+}));
+
+// ============================
+// UTILITY ENDPOINTS
+// ============================
+
+/**
+ * Get available prices/plans
+ */
+app.get('/api/stripe/prices', asyncRoute(async (req, res) => {
+  const prices = await stripe.prices.list({
+    active: true,
+    expand: ['data.product'],
+    limit: 20
+  });
+
+  res.json({
+    success: true,
+    prices: prices.data.map(price => ({
+      ...price,
+      formatted: { unitAmount: formatMoney(price.unit_amount, price.currency) }
+    }))
+  });
+}, { prices: [] }));
+
+/**
+ * Create a setup intent for future payments. paymentMethodTypes narrows the
+ * enabled types (see payment-methods.js); verificationMethod picks how a US
+ * bank account is verified (instant, microdeposits or automatic).
+ */
+app.post('/api/stripe/create-setup-intent', ownsCustomer(req => req.body.customerId), asyncRoute(async (req, res) => {
+  const { customerId, paymentMethodTypes, verificationMethod } = req.body;
+
+  const setupIntent = await stripe.setupIntents.create({
+    ...setupIntentParams(customerId, { paymentMethodTypes, verificationMethod }),
+    metadata: requestMetadata(req)
+  });
+
+  res.json({
+    success: true,
+    client_secret: setupIntent.client_secret,
+    paymentMethodTypes: setupIntent.payment_method_types
+  });
+}));
+
+/**
+ * Verify a bank account saved with a setup intent that is waiting on
+ * microdeposits, with either the two deposited amounts (in cents) or the
+ * descriptor code from the customer's bank statement
+ */
+app.post('/api/stripe/verify-microdeposits', ownsSetupIntent(req => req.body.setupIntentId), asyncRoute(async (req, res) => {
+  const { setupIntentId, amounts, descriptorCode } = req.body;
+
+  if (!amounts === !descriptorCode) {
+    throw new ApiError(400, 'validation_failed', 'Send either amounts or descriptorCode');
+  }
+
+  const current = req.resources.setupIntent;
+  if (current.next_action?.type !== 'verify_with_microdeposits') {
+    throw new ApiError(409, 'setup_intent_not_awaiting_verification', 'This setup intent is not waiting for microdeposit verification');
+  }
+
+  const setupIntent = await stripe.setupIntents.verifyMicrodeposits(setupIntentId, amounts
+    ? { amounts: amounts }
+    : { descriptor_code: descriptorCode });
+
+  res.json({
+    success: true,
+    status: setupIntent.status,
+    paymentMethodId: typeof setupIntent.payment_method === 'object' && setupIntent.payment_method !== null
+      ? setupIntent.payment_method.id
+      : setupIntent.payment_method,
+    nextAction: setupIntentNextAction(setupIntent)
+  });
+}));
 
 /**
- * Get customer's subscriptions with detailed information
+ * Create a payment intent for one-time payments. The amount is either a
+ * decimal `amount` in the currency (19.99 USD, 500 JPY) or `amountMinor` in
+ * Stripe minor units (1999, 500).
  */
-app.get('/api/stripe/subscriptions/:customerId', async (req, res) => {
-  try {
-    const { customerId } = req.params;
+app.post('/api/stripe/create-payment-intent', ownsCustomer(req => req.body.customerId), ownsPaymentMethod(req => req.body.paymentMethodId, { allowUnattached: true }), idempotent, asyncRoute(async (req, res) => {
+  const { amount, amountMinor, currency, customerId, paymentMethodId, description, promotionCode, automaticTax } = req.body;
 
-    if (!customerId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Customer ID is required',
-        subscriptions: []
-      });
-    }
+  if (amount === undefined && amountMinor === undefined) {
+    throw new ApiError(400, 'validation_failed', 'Amount or amountMinor is required');
+  }
 
-    const subscriptions = await stripe.subscriptions.list({
-      customer: customerId,
-      status: 'all',
-      expand: ['data.default_payment_method', 'data.items.data.price.product'],
-      limit: 10
+  if (amount !== undefined && amountMinor !== undefined) {
+    throw new ApiError(400, 'validation_failed', 'Send either amount or amountMinor, not both');
+  }
+
+  // amountMinor skips the conversion but not Stripe's precision rules
+  const minorUnits = amountMinor !== undefined
+    ? (isChargeable(amountMinor, currency) ? amountMinor : null)
+    : toMinorUnits(amount, currency);
+  if (minorUnits === null) {
+    const decimals = chargeDecimals(currency);
+    throw new ApiError(400, 'validation_failed', decimals === 0
+      ? `${currency.toUpperCase()} amounts must be whole units`
+      : `${currency.toUpperCase()} amounts can have at most ${decimals} decimal places`);
+  }
+
+  const paymentIntentData = {
+    amount: minorUnits,
+    currency: currency,
+    customer: customerId,
+    description: description,
+    automatic_payment_methods: {
+      enabled: true,
+    },
+  };
+
+  // Payment intents have no Stripe discounts, so the amount is reduced here.
+  // A redemption is reserved just before the intent is created and recorded
+  // once the payment succeeds.
+  let promotion = null;
+  let amountOff = 0;
+  if (promotionCode) {
+    promotion = await promotions.resolve(promotionCode, { customerId, amount: paymentIntentData.amount, currency });
+    amountOff = promotions.discountAmount(promotion.coupon, paymentIntentData.amount, currency);
+    paymentIntentData.metadata = promotions.paymentMetadata(promotion, paymentIntentData.amount, amountOff);
+    paymentIntentData.amount -= amountOff;
+  }
+
+  // Tax goes on top of the (discounted) amount and is recorded as a tax
+  // transaction once the payment succeeds
+  let taxCalculation = null;
+  if (automaticTax) {
+    taxCalculation = await tax.calculatePayment({
+      customerId,
+      amount: paymentIntentData.amount,
+      currency,
+      reference: 'payment'
     });
+    paymentIntentData.amount = taxCalculation.amountTotal;
+    paymentIntentData.metadata = {
+      ...(paymentIntentData.metadata || {}),
+      tax_calculation: taxCalculation.calculationId,
+      tax_amount: String(taxCalculation.taxAmount)
+    };
+  }
 
-    // Format subscription data for frontend
-    const formattedSubscriptions = subscriptions.data.map(sub => ({
-      id: sub.id,
-      status: sub.status,
-      currentPeriodStart: sub.current_period_start,
-      currentPeriodEnd: sub.current_period_end,
-      cancelAtPeriodEnd: sub.cancel_at_period_end,
-      canceledAt: sub.canceled_at,
-      trialStart: sub.trial_start,
-      trialEnd: sub.trial_end,
-      created: sub.created,
-      items: sub.items.data.map(item => ({
-        id: item.id,
-        priceId: item.price.id,
-        productId: item.price.product,
-        unitAmount: item.price.unit_amount,
-        currency: item.price.currency,
-        interval: item.price.recurring?.interval,
-        intervalCount: item.price.recurring?.interval_count,
-        quantity: item.quantity
-      })),
-      defaultPaymentMethod: sub.default_payment_method ? {
-        id: sub.default_payment_method.id,
-        brand: sub.default_payment_method.card?.brand,
-        last4: sub.default_payment_method.card?.last4
-      } : null
-    }));
+  if (paymentMethodId) {
+    paymentIntentData.payment_method = paymentMethodId;
+    paymentIntentData.confirm = true;
+  }
 
-    res.json({
-      success: true,
-      subscriptions: formattedSubscriptions
+  // A retry with the same Idempotency-Key reuses its reservation ID, so
+  // Stripe sees the same metadata
+  if (promotion) {
+    paymentIntentData.metadata.promotion_reservation = promotions.reserve(promotion, {
+      id: req.idempotency ? `${req.idempotency.scopedKey}:promotion` : undefined,
+      customerId,
+      amountOff,
+      currency
     });
+  }
+
+  paymentIntentData.metadata = requestMetadata(req, paymentIntentData.metadata);
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create(paymentIntentData, stripeRequestOptions(req, 'payment-intent'));
   } catch (error) {
-    console.error('Error retrieving subscriptions:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message,
-      subscriptions: []
-    });
+    if (promotion) promotions.release(paymentIntentData.metadata.promotion_reservation);
+    throw error;
   }
-});
 
-// ============================
-// INVOICE ENDPOINTS
-// ============================
+  res.json({
+    success: true,
+    paymentIntent: paymentIntent,
+    tax: taxCalculation
+  });
+}));
 
 /**
- * Get customer's invoices
+ * Get dashboard statistics for admin, over a preset period or a custom
+ * from/to range
  */
-app.get('/api/stripe/invoices/:customerId', async (req, res) => {
-  try {
-    const { customerId } = req.params;
-    const { limit = 10, status = 'all' } = req.query;
-
-    if (!customerId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Customer ID is required',
-        invoices: []
-      });
-    }
+app.get('/api/stripe/dashboard-stats', asyncRoute(async (req, res) => {
+  const range = resolveRange(req.query);
 
-    const queryParams = {
-      customer: customerId,
-      limit: parseInt(limit),
-      expand: ['data.payment_intent']
-    };
+  if (range.from > range.to) {
+    throw new ApiError(400, 'validation_failed', '"from" must be before "to"');
+  }
 
-    // Filter by status if specified
-    if (status !== 'all') {
-      queryParams.status = status;
-    }
+  const stats = await computeDashboardStats(stripe, { ...range, currency: req.query.currency });
 
-    const invoices = await stripe.invoices.list(queryParams);
+  res.json({
+    success: true,
+    stats: {
+      ...stats,
+      period: range.period,
+      from: range.from,
+      to: range.to
+    }
+  });
+}));
 
-    // Format invoice data
-    const formattedInvoices = invoices.data.map(invoice => ({
-      id: invoice.id,
-      number: invoice.number,
-      status: invoice.status,
-      amountPaid: invoice.amount_paid,
-      amountDue: invoice.amount_due,
-      total: invoice.total,
-      subtotal: invoice.subtotal,
-      tax: invoice.tax,
-      currency: invoice.currency,
-      created: invoice.created,
-      dueDate: invoice.due_date,
-      paidAt: invoice.status_transitions?.paid_at,
-      invoicePdf: invoice.invoice_pdf,
-      hostedInvoiceUrl: invoice.hosted_invoice_url,
-      description: invoice.description,
-      lines: invoice.lines.data.map(line => ({
-        id: line.id,
-        description: line.description,
-        amount: line.amount,
-        quantity: line.quantity,
-        priceId: line.price?.id
-      }))
-    }));
+/**
+ * Time series of MRR, new customers, churn, failed payments and revenue by
+ * price, computed from the local billing mirror
+ */
+app.get('/api/stripe/analytics/timeseries', asyncRoute(async (req, res) => {
+  const { granularity, from, to, currency } = req.query;
 
-    res.json({
-      success: true,
-      invoices: formattedInvoices,
-      hasMore: invoices.has_more
-    });
-  } catch (error) {
-    console.error('Error retrieving invoices:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message,
-      invoices: []
-    });
+  if (from !== undefined && to !== undefined && from > to) {
+    throw new ApiError(400, 'validation_failed', '"from" must be before "to"');
   }
-});
+
+  const buckets = computeTimeseries({ billingDb, webhookLog }, { granularity, from, to, currency });
+
+  res.json({
+    success: true,
+    granularity,
+    buckets,
+    lastSyncedAt: billingDb.getLastSyncedAt()
+  });
+}));
 
 /**
- * Get specific invoice details
+ * Bring the billing mirror up to date with Stripe, e.g. from a nightly job or
+ * after missed webhooks. Applies the Stripe events since the last sync, or
+ * copies everything when there is none recent enough (see billing-db.js).
+ * Send full: true to re-copy everything anyway.
  */
-app.get('/api/stripe/invoice/:invoiceId', async (req, res) => {
-  try {
-    const { invoiceId } = req.params;
+app.post('/api/stripe/analytics/sync', asyncRoute(async (req, res) => {
+  const { mode, synced } = await billingDb.syncFromStripe(stripe, { full: req.body.full });
+
+  res.json({
+    success: true,
+    mode,
+    synced,
+    lastSyncedAt: billingDb.getLastSyncedAt()
+  });
+}));
 
-    const invoice = await stripe.invoices.retrieve(invoiceId, {
-      expand: ['payment_intent', 'subscription', 'customer']
-    });
+/**
+ * Export customers, subscriptions or invoices as CSV or NDJSON, streaming
+ * every page from Stripe
+ */
+app.get('/api/stripe/export/:resource', asyncRoute(async (req, res) => {
+  const { format, from, to, status, columns } = req.query;
+
+  const rows = await streamExport(stripe, res, {
+    resource: req.params.resource,
+    format,
+    from,
+    to,
+    status,
+    columns
+  });
 
-    res.json({
-      success: true,
-      invoice: invoice
-    });
-  } catch (error) {
-    console.error('Error retrieving invoice:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+  log.info('Export finished', { resource: req.params.resource, format, rows });
+}));
 
 /**
- * Download invoice PDF
+ * List subscriptions in dunning (or in a given stage) with their stage and
+ * grace period
  */
-app.get('/api/stripe/invoice-pdf/:invoiceId', async (req, res) => {
-  try {
-    const { invoiceId } = req.params;
+app.get('/api/stripe/dunning', asyncRoute(async (req, res) => {
+  const { stage, customerId, limit } = req.query;
 
-    const invoice = await stripe.invoices.retrieve(invoiceId);
-    
-    if (!invoice.invoice_pdf) {
-      return res.status(404).json({
-        success: false,
-        error: 'Invoice PDF not available'
-      });
-    }
-
-    // Redirect to the PDF URL
-    res.redirect(invoice.invoice_pdf);
-  } catch (error) {
-    console.error('Error retrieving invoice PDF:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+  res.json({
+    success: true,
+    subscriptions: dunning.list({ stage, customerId, limit })
+  });
+}, { subscriptions: [] }));
 
 /**
- * Send invoice to customer
+ * List customers' default cards flagged as expiring, soonest first
  */
-app.post('/api/stripe/send-invoice', async (req, res) => {
-  try {
-    const { invoiceId } = req.body;
+app.get('/api/stripe/expiring-cards', asyncRoute(async (req, res) => {
+  const { status, customerId, expiringBefore, limit } = req.query;
 
-    if (!invoiceId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invoice ID is required'
-      });
-    }
+  res.json({
+    success: true,
+    cards: cardExpiry.list({ status, customerId, expiringBefore, limit })
+  });
+}, { cards: [] }));
 
-    const invoice = await stripe.invoices.sendInvoice(invoiceId);
+/**
+ * Start the expiring card scan now instead of waiting for the next
+ * interval. It runs in the background (202); results are logged and show
+ * up in GET /expiring-cards. 409 while a scan is already running.
+ */
+app.post('/api/stripe/expiring-cards/scan', asyncRoute(async (req, res) => {
+  const { windowDays } = req.body;
 
-    res.json({
-      success: true,
-      invoice: invoice
-    });
-  } catch (error) {
-    console.error('Error sending invoice:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
+  if (!cardExpiry.startScan({ windowDays })) {
+    throw new ApiError(409, 'scan_in_progress', 'An expiring card scan is already running');
   }
-});
+
+  res.status(202).json({
+    success: true,
+    status: 'started'
+  });
+}));
 
 // ============================
-// UTILITY ENDPOINTS
+// WEBHOOK ENDPOINT
 // ============================
 
+// Stripe event type -> handler(object, event)
+const webhookHandlers = {
+  'customer.created': handleCustomerUpdated,
+  'customer.updated': handleCustomerUpdated,
+  'customer.deleted': handleCustomerUpdated,
+  'checkout.session.completed': handleCheckoutCompleted,
+  'customer.discount.created': handleDiscountCreated,
+  'customer.subscription.created': handleSubscriptionCreated,
+  'customer.subscription.updated': handleSubscriptionUpdated,
+  'customer.subscription.deleted': handleSubscriptionDeleted,
+  'customer.subscription.trial_will_end': handleTrialWillEnd,
+  'invoice.created': handleInvoiceUpdated,
+  'invoice.finalized': handleInvoiceUpdated,
+  'invoice.updated': handleInvoiceUpdated,
+  'invoice.voided': handleInvoiceUpdated,
+  'invoice.payment_succeeded': handlePaymentSucceeded,
+  'invoice.payment_failed': handlePaymentFailed,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDispute,
+  'charge.dispute.updated': handleDispute,
+  'charge.dispute.closed': handleDispute,
+  'payment_intent.succeeded': handlePaymentIntentSucceeded,
+  'payment_intent.payment_failed': handlePaymentIntentUnpaid,
+  'payment_intent.canceled': handlePaymentIntentUnpaid,
+  'payment_method.attached': handlePaymentMethodAttached,
+  'payment_method.updated': handlePaymentMethodAttached,
+  'payment_method.detached': handlePaymentMethodDetached,
+  'payment_method.automatically_updated': handlePaymentMethodAutomaticallyUpdated,
+  'customer.source.expiring': handleSourceExpiring
+};
+
+const notifier = createNotifier(billingDb.db, stripe);
+const dunning = createDunning(billingDb.db, stripe, {
+  notifier,
+  onStageChange: customerId => entitlementsResolver.refresh(customerId)
+});
+dunning.startLoop();
+const cardExpiry = createCardExpiry(billingDb.db, stripe, { notifier });
+cardExpiry.startLoop();
+const entitlementsResolver = createEntitlements(billingDb.db, stripe, { dunning });
+
+const webhookLog = createWebhookLog(billingDb.db, webhookHandlers);
+webhookLog.startRetryLoop();
+
 /**
- * Get available prices/plans
+ * Handle Stripe webhooks
+ *
+ * Events are stored in the webhook log and handled before responding, so a
+ * duplicate delivery is skipped and a failed handler is retried from the log.
  */
-app.get('/api/stripe/prices', async (req, res) => {
-  try {
-    const prices = await stripe.prices.list({
-      active: true,
-      expand: ['data.product'],
-      limit: 20
-    });
+app.post('/api/stripe/webhook', async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  let event;
 
-    res.json({
-      success: true,
-      prices: prices.data
-    });
-  } catch (error) {
-    console.error('Error retrieving prices:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message,
-      prices: []
-    });
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    log.warn('Webhook signature verification failed', { reason: err.message });
+    return res.status(400).send(`Webhook Error: ${err.message}`);
   }
-});
 
-/**
- * Create a setup intent for future payments
- */
-app.post('/api/stripe/create-setup-intent', async (req, res) => {
+  log.info('Received webhook event', { eventId: event.id, eventType: event.type });
+
   try {
-    const { customerId } = req.body;
+    const { status, duplicate } = await webhookLog.receive(event);
 
-    if (!customerId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Customer ID is required'
-      });
+    if (duplicate) {
+      log.info('Duplicate webhook event', { eventId: event.id, status });
     }
 
-    const setupIntent = await stripe.setupIntents.create({
-      customer: customerId,
-      payment_method_types: ['card'],
-      usage: 'off_session'
-    });
-
-    res.json({
-      success: true,
-      client_secret: setupIntent.client_secret
-    });
+    res.json({ received: true, status, duplicate });
   } catch (error) {
-    console.error('Error creating setup intent:', error);
-    res.status(400).json({
+    // The event could not be stored; let Stripe redeliver it
+    log.error('Error storing webhook event', { eventId: event.id, error });
+    res.status(500).json({
       success: false,
-      error: error.message
+      error: 'Unable to record webhook event',
+      code: 'internal_error'
     });
   }
 });
 
 /**
- * Create a payment intent for one-time payments
+ * List received webhook events for admin
  */
-app.post('/api/stripe/create-payment-intent', async (req, res) => {
-  try {
-    const { amount, currency = 'usd', customerId, paymentMethodId, description } = req.body;
+app.get('/api/stripe/webhook-events', asyncRoute(async (req, res) => {
+  const { status, type, limit, starting_after } = req.query;
+
+  const events = webhookLog.list({
+    status,
+    type,
+    limit,
+    startingAfter: starting_after
+  });
 
-    if (!amount || !customerId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Amount and customer ID are required'
-      });
-    }
+  res.json({
+    success: true,
+    events: events,
+    lastEventId: events.length > 0 ? events[events.length - 1].id : null
+  });
+}, { events: [] }));
 
-    const paymentIntentData = {
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: currency,
-      customer: customerId,
-      description: description,
-      automatic_payment_methods: {
-        enabled: true,
-      },
-    };
+/**
+ * Replay every stored webhook event created in a time range
+ */
+app.post('/api/stripe/webhook-events/replay', asyncRoute(async (req, res) => {
+  const { from, to = Math.floor(Date.now() / 1000) } = req.body;
 
-    if (paymentMethodId) {
-      paymentIntentData.payment_method = paymentMethodId;
-      paymentIntentData.confirm = true;
-    }
+  if (from > to) {
+    throw new ApiError(400, 'validation_failed', '"from" must be before "to"');
+  }
 
-    const paymentIntent = await stripe.paymentIntents.create(paymentIntentData);
+  const results = await webhookLog.replayRange({ from, to, type: req.body.type || null });
 
-    res.json({
-      success: true,
-      paymentIntent: paymentIntent
-    });
-  } catch (error) {
-    console.error('Error creating payment intent:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+  res.json({
+    success: true,
+    replayed: results.length,
+    failed: results.filter(result => result.status === 'failed').length,
+    results: results
+  });
+}));
 
 /**
- * Get dashboard statistics for admin
+ * Get one stored webhook event with its payload
  */
-app.get('/api/stripe/dashboard-stats', async (req, res) => {
-  try {
-    const { period = '30days' } = req.query;
-    
-    // Calculate date range
-    const now = Math.floor(Date.now() / 1000);
-    let createdGte;
-    
-    switch (period) {
-      case '7days':
-        createdGte = now - (7 * 24 * 60 * 60);
-        break;
-      case '30days':
-        createdGte = now - (30 * 24 * 60 * 60);
-        break;
-      case '90days':
-        createdGte = now - (90 * 24 * 60 * 60);
-        break;
-      default:
-        createdGte = now - (30 * 24 * 60 * 60);
-    }
+app.get('/api/stripe/webhook-events/:eventId', asyncRoute(async (req, res) => {
+  const event = webhookLog.get(req.params.eventId);
 
-    // Get customers, subscriptions, and charges
-    const [customers, subscriptions, charges] = await Promise.all([
-      stripe.customers.list({ created: { gte: createdGte }, limit: 100 }),
-      stripe.subscriptions.list({ status: 'active', limit: 100 }),
-      stripe.charges.list({ created: { gte: createdGte }, limit: 100 })
-    ]);
-
-    // Calculate metrics
-    const totalCustomers = customers.data.length;
-    const activeSubscriptions = subscriptions.data.length;
-    const totalRevenue = charges.data
-      .filter(charge => charge.paid)
-      .reduce((sum, charge) => sum + charge.amount, 0) / 100;
-    const averageOrderValue = charges.data.length > 0 ? totalRevenue / charges.data.length : 0;
-
-    res.json({
-      success: true,
-      stats: {
-        totalCustomers,
-        activeSubscriptions,
-        totalRevenue,
-        averageOrderValue,
-        period
-      }
-    });
-  } catch (error) {
-    console.error('Error getting dashboard stats:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
+  if (!event) {
+    throw new ApiError(404, 'resource_missing', 'Webhook event not found');
   }
-});
 
-// ============================
-// WEBHOOK ENDPOINT
-// ============================
+  res.json({
+    success: true,
+    event: event
+  });
+}));
 
 /**
- * Handle Stripe webhooks
+ * Replay a single stored webhook event
  */
-app.post('/api/stripe/webhook', (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
+app.post('/api/stripe/webhook-events/:eventId/replay', asyncRoute(async (req, res) => {
+  const status = await webhookLog.replay(req.params.eventId);
 
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+  if (status === null) {
+    throw new ApiError(404, 'resource_missing', 'Webhook event not found');
+  }
+  if (status === 'expired') {
+    throw new ApiError(410, 'webhook_event_expired', 'Webhook event payload has expired and can no longer be replayed');
   }
 
-  // Handle the event
-  console.log('Received webhook event:', event.type);
-
-  switch (event.type) {
-    case 'customer.subscription.created':
-      handleSubscriptionCreated(event.data.object);
-      break;
-    case 'customer.subscription.updated':
-      handleSubscriptionUpdated(event.data.object);
-      break;
-    case 'customer.subscription.deleted':
-      handleSubscriptionDeleted(event.data.object);
-      break;
-    case 'invoice.payment_succeeded':
-      handlePaymentSucceeded(event.data.object);
-      break;
-    case 'invoice.payment_failed':
-      handlePaymentFailed(event.data.object);
-      break;
-    case 'customer.subscription.trial_will_end':
-      handleTrialWillEnd(event.data.object);
-      break;
-    case 'payment_method.attached':
-      handlePaymentMethodAttached(event.data.object);
-      break;
-    case 'payment_method.detached':
-      handlePaymentMethodDetached(event.data.object);
-      break;
-    default:
-      console.log(`Unhandled event type: ${event.type}`);
-  }
-
-  res.json({ received: true });
-});
+  res.json({
+    success: status !== 'failed',
+    eventId: req.params.eventId,
+    status: status
+  });
+}));
 
 // ============================
 // WEBHOOK HANDLERS
 // ============================
 
-async function handleSubscriptionCreated(subscription) {
-  console.log('Subscription created:', subscription.id);
-  // Update your database with subscription info
-  // Send welcome email to customer
+// Handlers receive the event's object and the event itself. Mirror writes use
+// event.created so an older event delivered late cannot overwrite newer data.
+
+async function handleCustomerUpdated(customer, event) {
+  log.info(`Customer ${event.type.split('.')[1]}`, { customerId: customer.id });
+  billingDb.upsertCustomer(customer, event.created);
+
+  // Keep cached user links in step with the customer's userId metadata
+  const userId = customer.metadata?.userId;
+  if (event.type === 'customer.deleted' || !userId) {
+    forgetCustomer(customer.id);
+  } else {
+    linkCustomer(userId, customer.id);
+  }
+}
+
+/**
+ * Link the customer (and subscription) a Checkout session created to the
+ * user who started it
+ */
+async function handleCheckoutCompleted(session, event) {
+  log.info('Checkout session completed', { sessionId: session.id });
+
+  const userId = session.client_reference_id;
+  const customerId = session.customer;
+  if (!userId || !customerId) return;
+
+  // Only claim a customer nobody owns yet: an admin can start a checkout
+  // for someone else's customer, which must not move it to the admin
+  const customer = await stripe.customers.retrieve(customerId);
+  const owner = customer.deleted ? null : customer.metadata.userId;
+  if (customer.deleted) {
+    // Nothing to link
+  } else if (!owner) {
+    const updated = await stripe.customers.update(customerId, { metadata: { userId: userId } });
+    billingDb.upsertCustomer(updated, event.created);
+    linkCustomer(userId, customerId);
+  } else if (owner !== userId) {
+    log.warn('Checkout completed for a customer owned by another user, not relinking', { sessionId: session.id, customerId, ownerUserId: owner, checkoutUserId: userId });
+  } else {
+    linkCustomer(userId, customerId);
+  }
+
+  if (session.subscription) {
+    const subscription = await stripe.subscriptions.retrieve(session.subscription);
+    billingDb.upsertSubscription(subscription, event.created);
+    await entitlementsResolver.refresh(customerId);
+  }
+}
+
+async function handleDiscountCreated(discount, event) {
+  log.info('Discount created', { discountId: discount.id });
+  promotions.handleDiscountCreated(discount);
+}
+
+async function handleSubscriptionCreated(subscription, event) {
+  log.info('Subscription created', { subscriptionId: subscription.id });
+  billingDb.upsertSubscription(subscription, event.created);
+  await entitlementsResolver.refresh(subscription.customer);
+
+  // Incomplete subscriptions get their welcome once the first payment
+  // succeeds (see handleSubscriptionUpdated)
+  if (['active', 'trialing'].includes(subscription.status)) {
+    await sendWelcome(subscription);
+  }
+}
+
+async function handleSubscriptionUpdated(subscription, event) {
+  log.info('Subscription updated', { subscriptionId: subscription.id });
+  billingDb.upsertSubscription(subscription, event.created);
+  await entitlementsResolver.refresh(subscription.customer);
+
+  const previousStatus = event.data.previous_attributes?.status;
+  if (previousStatus === 'incomplete' && ['active', 'trialing'].includes(subscription.status)) {
+    await sendWelcome(subscription);
+  }
+}
+
+/**
+ * Welcome a subscription's customer. Keyed by subscription rather than
+ * event, so creation and activation can't both send one.
+ */
+function sendWelcome(subscription) {
+  return notifier.notifySubscription({ id: `welcome:${subscription.id}` }, 'subscription_welcome', subscription);
+}
+
+async function handleSubscriptionDeleted(subscription, event) {
+  log.info('Subscription deleted', { subscriptionId: subscription.id });
+  billingDb.upsertSubscription(subscription, event.created);
+  dunning.handleSubscriptionDeleted(subscription, event);
+  await entitlementsResolver.refresh(subscription.customer);
+  await notifier.notifySubscription(event, 'subscription_canceled', subscription);
+}
+
+async function handleInvoiceUpdated(invoice, event) {
+  log.info(`Invoice ${event.type.split('.')[1]}`, { invoiceId: invoice.id });
+  billingDb.upsertInvoice(invoice, event.created);
+}
+
+async function handlePaymentSucceeded(invoice, event) {
+  log.info('Payment succeeded for invoice', { invoiceId: invoice.id });
+  billingDb.upsertInvoice(invoice, event.created);
+  await dunning.handleInvoicePaid(invoice, event);
+
+  // $0 invoices (trials, full credits) are not worth a receipt
+  if (invoice.amount_paid > 0) {
+    await notifier.notifyInvoice(event, 'payment_receipt', invoice);
+  }
+}
+
+async function handlePaymentFailed(invoice, event) {
+  log.info('Payment failed for invoice', { invoiceId: invoice.id });
+  billingDb.upsertInvoice(invoice, event.created);
+  await dunning.handlePaymentFailed(invoice, event);
+  await notifier.notifyInvoice(event, 'payment_failed', invoice);
+}
+
+async function handleChargeRefunded(charge, event) {
+  log.info('Charge refunded', { chargeId: charge.id, amountRefunded: charge.amount_refunded, amount: charge.amount, currency: charge.currency });
+
+  const previousAmountRefunded = event.data.previous_attributes?.amount_refunded || 0;
+  const reversal = await tax.reverseRefundTransaction(charge, previousAmountRefunded);
+  if (reversal) {
+    log.info('Tax transaction reversed', { transactionId: reversal.id, chargeId: charge.id });
+  }
+
+  if (charge.customer) {
+    await notifier.notifyRefund(event, charge);
+  }
+}
+
+async function handleDispute(dispute, event) {
+  const stored = await disputes.handleDisputeEvent(dispute, event.created);
+  if (event.type === 'charge.dispute.created') {
+    log.warn('Dispute opened', { disputeId: dispute.id, chargeId: stored.chargeId, amount: dispute.amount, currency: dispute.currency, reason: dispute.reason, evidenceDueBy: stored.evidenceDueBy });
+  } else {
+    log.info(`Dispute ${event.type.split('.')[2]}`, { disputeId: dispute.id, status: dispute.status });
+  }
 }
 
-async function handleSubscriptionUpdated(subscription) {
-  console.log('Subscription updated:', subscription.id);
-  // Update your database with new subscription details
-  // Notify customer of plan change if needed
+async function handleTrialWillEnd(subscription, event) {
+  log.info('Trial will end for subscription', { subscriptionId: subscription.id });
+  billingDb.upsertSubscription(subscription, event.created);
+  await notifier.notifySubscription(event, 'trial_ending', subscription);
 }
 
-async function handleSubscriptionDeleted(subscription) {
-  console.log('Subscription deleted:', subscription.id);
-  // Update your database to reflect cancellation
-  // Send cancellation confirmation email
+async function handlePaymentIntentSucceeded(paymentIntent, event) {
+  if (promotions.recordPaymentRedemption(paymentIntent)) {
+    log.info('Promotion code redeemed', { paymentIntentId: paymentIntent.id, promotionCodeId: paymentIntent.metadata.promotion_code_id });
+  }
+
+  const transaction = await tax.recordPaymentTransaction(paymentIntent);
+  if (transaction) {
+    log.info('Tax transaction recorded', { transactionId: transaction.id, paymentIntentId: paymentIntent.id });
+  }
 }
 
-async function handlePaymentSucceeded(invoice) {
-  console.log('Payment succeeded for invoice:', invoice.id);
-  // Update your records
-  // Send receipt to customer
+async function handlePaymentIntentUnpaid(paymentIntent, event) {
+  if (promotions.releasePaymentReservation(paymentIntent)) {
+    log.info('Promotion code reservation released', { paymentIntentId: paymentIntent.id, status: paymentIntent.status });
+  }
 }
 
-async function handlePaymentFailed(invoice) {
-  console.log('Payment failed for invoice:', invoice.id);
-  // Notify customer of failed payment
-  // Update subscription status if needed
+async function handlePaymentMethodAttached(paymentMethod, event) {
+  log.info('Payment method attached', { paymentMethodId: paymentMethod.id });
+  billingDb.upsertPaymentMethod(paymentMethod, event.created);
 }
 
-async function handleTrialWillEnd(subscription) {
-  console.log('Trial will end for subscription:', subscription.id);
-  // Notify customer that trial is ending
-  // Remind them to update payment method
+async function handlePaymentMethodDetached(paymentMethod, event) {
+  log.info('Payment method detached', { paymentMethodId: paymentMethod.id });
+  billingDb.upsertPaymentMethod(paymentMethod, event.created);
 }
 
-async function handlePaymentMethodAttached(paymentMethod) {
-  console.log('Payment method attached:', paymentMethod.id);
-  // Optional: Log payment method addition
+async function handlePaymentMethodAutomaticallyUpdated(paymentMethod, event) {
+  log.info('Payment method automatically updated', { paymentMethodId: paymentMethod.id });
+  billingDb.upsertPaymentMethod(paymentMethod, event.created);
+  if (cardExpiry.handleAutomaticallyUpdated(paymentMethod)) {
+    log.info('Expiring card renewed by the card network', { paymentMethodId: paymentMethod.id });
+  }
 }
 
-async function handlePaymentMethodDetached(paymentMethod) {
-  console.log('Payment method detached:', paymentMethod.id);
-  // Optional: Log payment method removal
+async function handleSourceExpiring(source) {
+  log.info('Card source expiring', { sourceId: source.id });
+  await cardExpiry.handleSourceExpiring(source);
 }
 
 // ============================
 // ERROR HANDLING
 // ============================
 
-app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error'
-  });
-});
+// Translates Stripe and other errors from every route (see stripe-errors.js)
+app.use(errorHandler);
 
 // Handle 404
 app.use((req, res) => {
   res.status(404).json({
     success: false,
-    error: 'Endpoint not found'
+    error: 'Endpoint not found',
+    code: 'not_found'
   });
 });
 
@@ -1092,24 +2364,15 @@ app.use((req, res) => {
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
-  console.log(`🚀 Stripe API server running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔑 Stripe configured: ${!!process.env.STRIPE_SECRET_KEY}`);
-  console.log('📋 Available endpoints:');
-  console.log('  GET  /health - Health check');
-  console.log('  GET  / - API information');
-  console.log('  POST /api/stripe/create-customer');
-  console.log('  GET  /api/stripe/all-customers - Get all customers (admin)');
-  console.log('  GET  /api/stripe/customer/:customerId/payment-methods');
-  console.log('  POST /api/stripe/set-default-payment-method');
-  console.log('  DELETE /api/stripe/delete-payment-method');
-  console.log('  POST /api/stripe/create-subscription');
-  console.log('  GET  /api/stripe/subscriptions/:customerId');
-  console.log('  GET  /api/stripe/invoices/:customerId');
-  console.log('  POST /api/stripe/webhook');
-  console.log('  GET  /api/stripe/dashboard-stats');
-  console.log('🌐 CORS configured for TrackVentories domains');
-});
+// Only when run directly; tests require the app and listen themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    log.info('Stripe API server started', {
+      port: Number(PORT),
+      environment: process.env.NODE_ENV || 'development',
+      stripeConfigured: !!process.env.STRIPE_SECRET_KEY
+    });
+  });
+}
 
 module.exports = app;
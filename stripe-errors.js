@@ -0,0 +1,144 @@
+/**
+ * Central error translation for TrackVentories routes
+ *
+ * Route handlers are wrapped with asyncRoute() instead of each having its
+ * own try/catch. Anything they throw reaches errorHandler, which maps Stripe
+ * errors to the right HTTP status and a stable machine-readable `code`:
+ *
+ *   StripeCardError                          402 card_declined (+ decline_code)
+ *   resource_missing                         404 resource_missing
+ *   StripeInvalidRequestError                400 invalid_request
+ *   StripeIdempotencyError                   409 idempotency_conflict
+ *   StripeRateLimitError                     429 rate_limited
+ *   StripeAuthenticationError / Permission   502 payment_provider_error
+ *   StripeConnectionError / StripeAPIError   503 payment_provider_unavailable
+ *   anything else                            500 internal_error
+ *
+ * In production only card error messages (which Stripe writes for end users)
+ * are passed through; every other response gets a generic message.
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'http' });
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+const GENERIC_MESSAGES = {
+  card_declined: 'Your card was declined',
+  resource_missing: 'The requested resource was not found',
+  invalid_request: 'The request could not be processed',
+  idempotency_conflict: 'A conflicting request is already in progress',
+  rate_limited: 'Too many requests to the payment provider, please retry shortly',
+  payment_provider_error: 'The payment provider rejected our credentials',
+  payment_provider_unavailable: 'The payment provider is temporarily unavailable',
+  internal_error: 'Internal server error'
+};
+
+/**
+ * Error with an explicit status and code, for handlers to throw
+ */
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Map any thrown error to { status, code, message, extra }
+ */
+function translateError(error) {
+  if (error instanceof ApiError) {
+    return { status: error.status, code: error.code, message: error.message, extra: error.details ? { details: error.details } : {} };
+  }
+
+  switch (error.type) {
+    case 'StripeCardError':
+      return {
+        status: 402,
+        code: 'card_declined',
+        message: error.message || GENERIC_MESSAGES.card_declined,
+        extra: {
+          decline_code: error.decline_code || error.code || null,
+          param: error.param || null
+        }
+      };
+    case 'StripeInvalidRequestError':
+      if (error.code === 'resource_missing') {
+        return { status: 404, code: 'resource_missing', message: error.message, extra: { param: error.param || null } };
+      }
+      return { status: 400, code: 'invalid_request', message: error.message, extra: { param: error.param || null } };
+    case 'StripeIdempotencyError':
+      return { status: 409, code: 'idempotency_conflict', message: error.message, extra: {} };
+    case 'StripeRateLimitError':
+      return { status: 429, code: 'rate_limited', message: error.message, extra: {} };
+    case 'StripeAuthenticationError':
+    case 'StripePermissionError':
+      return { status: 502, code: 'payment_provider_error', message: error.message, extra: {} };
+    case 'StripeConnectionError':
+    case 'StripeAPIError':
+      return { status: 503, code: 'payment_provider_unavailable', message: error.message, extra: {} };
+    default:
+      // body-parser errors (malformed JSON, payload too large) carry their own 4xx status
+      if (error.status >= 400 && error.status < 500 && error.expose) {
+        return { status: error.status, code: 'invalid_request', message: error.message, extra: {} };
+      }
+      return { status: 500, code: 'internal_error', message: GENERIC_MESSAGES.internal_error, extra: {} };
+  }
+}
+
+/**
+ * Wrap an async route handler so rejections reach errorHandler. Fields in
+ * emptyResult (e.g. { invoices: [] }) are merged into the error response so
+ * list endpoints keep their shape on failure.
+ */
+function asyncRoute(handler, emptyResult) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(error => {
+      res.locals.emptyResult = emptyResult;
+      next(error);
+    });
+  };
+}
+
+/**
+ * Express error middleware producing { success: false, error, code, ... }
+ */
+function errorHandler(error, req, res, next) {
+  const { status, code, message, extra } = translateError(error);
+
+  if (status >= 500) {
+    log.error('Error handling request', { method: req.method, path: req.originalUrl, code, status, error });
+  } else {
+    log.warn('Request failed', { method: req.method, path: req.originalUrl, code, status, reason: error.message });
+  }
+
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (status === 429) {
+    res.set('Retry-After', '1');
+  }
+
+  const exposeMessage = !IS_PRODUCTION || code === 'card_declined' || error instanceof ApiError;
+
+  res.status(status).json({
+    success: false,
+    error: exposeMessage ? message : GENERIC_MESSAGES[code],
+    code,
+    ...extra,
+    ...(res.locals.emptyResult || {})
+  });
+}
+
+module.exports = {
+  ApiError,
+  translateError,
+  asyncRoute,
+  errorHandler
+};
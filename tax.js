@@ -0,0 +1,191 @@
+/**
+ * Stripe Tax for subscriptions and one-off payments
+ *
+ * Subscriptions use Stripe's automatic_tax, which puts the tax on each
+ * invoice. Payment intents have no automatic tax, so the tax is calculated
+ * up front with a Tax Calculation and added to the amount; once the payment
+ * succeeds the calculation is recorded as a Tax Transaction for reporting.
+ *
+ * A refund of a payment with a Tax Transaction reverses its tax: in full
+ * for a full refund, otherwise for the refunded amount.
+ *
+ * Either way the customer needs a location Stripe can tax: a billing address
+ * (at least the country, plus postal code in the US and Canada) or a tax ID.
+ * Customers without one get a 400 tax_location_invalid before anything is
+ * created.
+ */
+
+const { ApiError } = require('./stripe-errors');
+
+// Tax ID types Stripe accepts on customers
+const TAX_ID_TYPES = [
+  'ad_nrt', 'ae_trn', 'ar_cuit', 'au_abn', 'au_arn', 'bg_uic', 'bo_tin', 'br_cnpj', 'br_cpf',
+  'ca_bn', 'ca_gst_hst', 'ca_pst_bc', 'ca_pst_mb', 'ca_pst_sk', 'ca_qst', 'ch_vat', 'cl_tin',
+  'cn_tin', 'co_nit', 'cr_tin', 'do_rcn', 'ec_ruc', 'eg_tin', 'es_cif', 'eu_oss_vat', 'eu_vat',
+  'gb_vat', 'ge_vat', 'hk_br', 'hu_tin', 'id_npwp', 'il_vat', 'in_gst', 'is_vat', 'jp_cn', 'jp_rn',
+  'jp_trn', 'ke_pin', 'kr_brn', 'li_uid', 'mx_rfc', 'my_frp', 'my_itn', 'my_sst', 'no_vat',
+  'no_voec', 'nz_gst', 'pe_ruc', 'ph_tin', 'ro_tin', 'rs_pib', 'ru_inn', 'ru_kpp', 'sa_vat',
+  'sg_gst', 'sg_uen', 'si_tin', 'sv_nit', 'th_vat', 'tr_tin', 'tw_vat', 'ua_vat', 'us_ein',
+  'uy_ruc', 've_rif', 'vn_tin', 'za_vat'
+];
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value;
+}
+
+/**
+ * Format a tax ID for the frontend, with Stripe's verification status
+ * (pending, verified, unverified or unavailable)
+ */
+function formatTaxId(taxId) {
+  return {
+    id: taxId.id,
+    type: taxId.type,
+    value: taxId.value,
+    country: taxId.country,
+    verification: taxId.verification
+      ? {
+        status: taxId.verification.status,
+        verifiedName: taxId.verification.verified_name,
+        verifiedAddress: taxId.verification.verified_address
+      }
+      : null,
+    created: taxId.created
+  };
+}
+
+/**
+ * Per-rate tax breakdown of an invoice. Rates are only described when
+ * total_tax_amounts.tax_rate is expanded; mirrored invoices carry the ID.
+ */
+function invoiceTaxBreakdown(invoice) {
+  return (invoice.total_tax_amounts || []).map(taxAmount => {
+    const rate = typeof taxAmount.tax_rate === 'object' ? taxAmount.tax_rate : null;
+    return {
+      taxRateId: idOf(taxAmount.tax_rate),
+      displayName: rate ? rate.display_name : null,
+      percentage: rate ? rate.percentage : null,
+      jurisdiction: rate ? rate.jurisdiction : null,
+      country: rate ? rate.country : null,
+      state: rate ? rate.state : null,
+      taxType: rate ? rate.tax_type : null,
+      inclusive: taxAmount.inclusive,
+      taxableAmount: taxAmount.taxable_amount,
+      amount: taxAmount.amount,
+      taxabilityReason: taxAmount.taxability_reason
+    };
+  });
+}
+
+function calculationTaxBreakdown(calculation) {
+  return calculation.tax_breakdown.map(entry => ({
+    percentage: entry.tax_rate_details ? parseFloat(entry.tax_rate_details.percentage_decimal) : null,
+    country: entry.tax_rate_details ? entry.tax_rate_details.country : null,
+    state: entry.tax_rate_details ? entry.tax_rate_details.state : null,
+    taxType: entry.tax_rate_details ? entry.tax_rate_details.tax_type : null,
+    inclusive: entry.inclusive,
+    taxableAmount: entry.taxable_amount,
+    amount: entry.amount,
+    taxabilityReason: entry.taxability_reason
+  }));
+}
+
+function createTax(stripe) {
+  /**
+   * Throw unless Stripe can work out where a customer is taxed
+   */
+  async function assertTaxLocation(customerId) {
+    const customer = await stripe.customers.retrieve(customerId, { expand: ['tax'] });
+    const status = customer.tax && customer.tax.automatic_tax;
+
+    if (status === 'unrecognized_location') {
+      throw new ApiError(400, 'tax_location_invalid', 'Add a billing address or tax ID before enabling automatic tax');
+    }
+    if (status === 'failed') {
+      throw new ApiError(503, 'payment_provider_unavailable', 'Tax location could not be determined, please retry shortly');
+    }
+  }
+
+  /**
+   * Tax for a one-off amount (minor units, tax added on top). Resolves to
+   * { calculationId, taxAmount, amountTotal, breakdown }.
+   */
+  async function calculatePayment({ customerId, amount, currency, reference }) {
+    await assertTaxLocation(customerId);
+
+    const calculation = await stripe.tax.calculations.create({
+      currency: currency,
+      customer: customerId,
+      line_items: [{ amount: amount, reference: reference, tax_behavior: 'exclusive' }]
+    });
+
+    return {
+      calculationId: calculation.id,
+      taxAmount: calculation.tax_amount_exclusive,
+      amountTotal: calculation.amount_total,
+      breakdown: calculationTaxBreakdown(calculation)
+    };
+  }
+
+  /**
+   * Record the tax of a succeeded payment intent created with
+   * calculatePayment. The payment intent ID is the transaction reference,
+   * so a redelivered webhook can't record it twice.
+   */
+  async function recordPaymentTransaction(paymentIntent) {
+    const calculationId = paymentIntent.metadata && paymentIntent.metadata.tax_calculation;
+    if (!calculationId) return null;
+
+    const transaction = await stripe.tax.transactions.createFromCalculation({
+      calculation: calculationId,
+      reference: paymentIntent.id
+    }, { idempotencyKey: `tax-transaction-${paymentIntent.id}` });
+
+    // Kept on the payment intent so a refund can find what to reverse
+    await stripe.paymentIntents.update(paymentIntent.id, {
+      metadata: { tax_transaction: transaction.id }
+    });
+    return transaction;
+  }
+
+  /**
+   * Reverse the tax of one refund (charge.refunded) on a payment recorded
+   * by recordPaymentTransaction. previousAmountRefunded is the charge's
+   * amount_refunded before this refund. Resolves to null for payments
+   * without a tax transaction.
+   */
+  async function reverseRefundTransaction(charge, previousAmountRefunded = 0) {
+    const paymentIntentId = idOf(charge.payment_intent);
+    if (!paymentIntentId) return null;
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const transactionId = paymentIntent.metadata && paymentIntent.metadata.tax_transaction;
+    if (!transactionId) return null;
+
+    // amount_refunded only grows, so it tells refunds of one charge apart
+    const reference = `${charge.id}-refund-${charge.amount_refunded}`;
+    const full = charge.refunded && previousAmountRefunded === 0;
+
+    return stripe.tax.transactions.createReversal({
+      original_transaction: transactionId,
+      reference,
+      ...(full
+        ? { mode: 'full' }
+        : { mode: 'partial', flat_amount: -(charge.amount_refunded - previousAmountRefunded) })
+    }, { idempotencyKey: `tax-reversal-${reference}` });
+  }
+
+  return {
+    assertTaxLocation,
+    calculatePayment,
+    recordPaymentTransaction,
+    reverseRefundTransaction
+  };
+}
+
+module.exports = {
+  TAX_ID_TYPES,
+  createTax,
+  formatTaxId,
+  invoiceTaxBreakdown
+};
@@ -0,0 +1,126 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, restoreStubs, token, startServer } = require('./helpers');
+
+const customer = token({ sub: 'user_1', stripe_customer_id: 'cus_mine' });
+
+describe('cross-customer access', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  afterEach(restoreStubs);
+
+  function assertDenied(response) {
+    assert.equal(response.status, 403);
+    assert.deepEqual(response.body, { success: false, error: 'Access denied', code: 'forbidden' });
+  }
+
+  it('denies another customer by ID', async () => {
+    assertDenied(await api.request('GET', '/api/stripe/customer/cus_other', { auth: customer }));
+    assertDenied(await api.request('POST', '/api/stripe/update-customer', {
+      auth: customer,
+      body: { customerId: 'cus_other', name: 'Taken over' }
+    }));
+  });
+
+  it("denies another customer's subscription", async () => {
+    stub('subscriptions', 'retrieve', async id => ({ id, object: 'subscription', customer: 'cus_other' }));
+
+    assertDenied(await api.request('POST', '/api/stripe/cancel-subscription', {
+      auth: customer,
+      body: { subscriptionId: 'sub_other' }
+    }));
+  });
+
+  it("denies another customer's subscription item", async () => {
+    stub('subscriptionItems', 'retrieve', async id => ({ id, object: 'subscription_item', subscription: 'sub_other' }));
+    stub('subscriptions', 'retrieve', async id => ({ id, object: 'subscription', customer: { id: 'cus_other' } }));
+
+    assertDenied(await api.request('POST', '/api/stripe/update-subscription-item', {
+      auth: customer,
+      body: { itemId: 'si_other', quantity: 2 }
+    }));
+  });
+
+  it("denies another customer's invoice", async () => {
+    stub('invoices', 'retrieve', async id => ({ id, object: 'invoice', customer: 'cus_other' }));
+
+    assertDenied(await api.request('GET', '/api/stripe/invoice/in_other', { auth: customer }));
+  });
+
+  it("denies another customer's payment method", async () => {
+    stub('paymentMethods', 'retrieve', async id => ({ id, object: 'payment_method', type: 'card', customer: 'cus_other' }));
+
+    assertDenied(await api.request('DELETE', '/api/stripe/delete-payment-method', {
+      auth: customer,
+      body: { paymentMethodId: 'pm_other' }
+    }));
+    assertDenied(await api.request('POST', '/api/stripe/set-default-payment-method', {
+      auth: customer,
+      body: { customerId: 'cus_mine', paymentMethodId: 'pm_other' }
+    }));
+  });
+
+  it('rejects a client-set userId in customer metadata', async () => {
+    const response = await api.request('POST', '/api/stripe/update-customer', {
+      auth: customer,
+      body: { customerId: 'cus_mine', metadata: { userId: 'user_2' } }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'validation_failed');
+  });
+});
+
+describe('customer cache', () => {
+  const user = token({ sub: 'user_8' });
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  afterEach(restoreStubs);
+
+  function resolveCustomer() {
+    // Denied either way; only whether the customer was looked up again matters
+    return api.request('GET', '/api/stripe/customer/cus_other', { auth: user });
+  }
+
+  function customerEvent(type, metadata) {
+    return {
+      id: `evt_${type}_${Date.now()}`,
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object: { id: 'cus_user_8', object: 'customer', created: 1, metadata } }
+    };
+  }
+
+  it('forgets a deleted or relinked customer', async () => {
+    let searches = 0;
+    stub('customers', 'search', async () => {
+      searches += 1;
+      return { object: 'search_result', data: [{ id: 'cus_user_8' }] };
+    });
+
+    await resolveCustomer();
+    await resolveCustomer();
+    assert.equal(searches, 1);
+
+    await api.webhook(customerEvent('customer.updated', { userId: 'user_9' }));
+    await resolveCustomer();
+    assert.equal(searches, 2);
+
+    await api.webhook(customerEvent('customer.deleted', { userId: 'user_8' }));
+    await resolveCustomer();
+    assert.equal(searches, 3);
+  });
+});
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+// A mirror written before customers were trimmed, with one whole customer
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'billing-db-'));
+process.env.BILLING_DB_PATH = path.join(dir, 'billing.db');
+const old = new Database(process.env.BILLING_DB_PATH);
+old.exec(`
+  CREATE TABLE customers (
+    id TEXT PRIMARY KEY, email TEXT, name TEXT, delinquent INTEGER NOT NULL DEFAULT 0,
+    deleted INTEGER NOT NULL DEFAULT 0, created INTEGER, data TEXT NOT NULL, synced_at INTEGER NOT NULL
+  )
+`);
+old.prepare('INSERT INTO customers (id, email, name, created, data, synced_at) VALUES (?, ?, ?, ?, ?, ?)').run(
+  'cus_old', 'ada@example.com', 'Ada', 1700000000,
+  JSON.stringify({ id: 'cus_old', object: 'customer', email: 'ada@example.com', address: { line1: '1 Main St' }, phone: '+15555550100', shipping: null }),
+  1700000000
+);
+old.close();
+
+const billingDb = require('../billing-db');
+
+after(() => {
+  billingDb.db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const DAY = 24 * 60 * 60;
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function pages(objects) {
+  return (async function* () {
+    yield* objects;
+  }());
+}
+
+/**
+ * Stripe listing the given objects and events; events.list params are
+ * recorded in `eventParams`
+ */
+function fakeStripe({ customers = [], subscriptions = [], invoices = [], events = [] } = {}) {
+  const stripe = {
+    eventParams: [],
+    customers: { list: () => pages(customers) },
+    subscriptions: { list: () => pages(subscriptions) },
+    invoices: { list: () => pages(invoices) },
+    events: {
+      list: params => {
+        stripe.eventParams.push(params);
+        return pages(events);
+      }
+    }
+  };
+  return stripe;
+}
+
+function subscription(id, status) {
+  return { id, object: 'subscription', customer: 'cus_sync', status, created: now() - DAY, items: { data: [] } };
+}
+
+function event(type, object, created = now()) {
+  return { id: `evt_${type}_${object.id}`, object: 'event', type, created, data: { object } };
+}
+
+describe('mirrored customers', () => {
+  it('keeps only the fields analytics and exports read', () => {
+    billingDb.upsertCustomer({
+      id: 'cus_trim',
+      object: 'customer',
+      created: 1700000000,
+      email: 'ada@example.com',
+      name: 'Ada Lovelace',
+      phone: '+15555550100',
+      address: { line1: '1 Main St', city: 'London', country: 'GB' },
+      shipping: { name: 'Ada', address: { line1: '1 Main St' } },
+      tax: { ip_address: '203.0.113.7' },
+      description: 'VIP',
+      currency: 'gbp',
+      balance: 0,
+      delinquent: false,
+      invoice_settings: { default_payment_method: { id: 'pm_1', object: 'payment_method' }, footer: 'Thanks' },
+      metadata: { userId: 'user_1' }
+    });
+
+    assert.deepEqual(billingDb.getCustomer('cus_trim'), {
+      id: 'cus_trim',
+      object: 'customer',
+      created: 1700000000,
+      email: 'ada@example.com',
+      name: 'Ada Lovelace',
+      currency: 'gbp',
+      balance: 0,
+      delinquent: false,
+      metadata: { userId: 'user_1' },
+      invoice_settings: { default_payment_method: 'pm_1' }
+    });
+  });
+
+  it('trims customers stored before', () => {
+    assert.deepEqual(billingDb.getCustomer('cus_old'), { id: 'cus_old', object: 'customer', email: 'ada@example.com' });
+  });
+});
+
+describe('billing mirror sync', () => {
+  beforeEach(() => {
+    billingDb.db.exec('DELETE FROM sync_state; DELETE FROM customers; DELETE FROM subscriptions; DELETE FROM invoices');
+  });
+
+  it('copies everything on the first run', async () => {
+    const stripe = fakeStripe({
+      customers: [{ id: 'cus_sync', object: 'customer', created: now() - DAY }],
+      subscriptions: [subscription('sub_sync', 'active')],
+      invoices: [{ id: 'in_sync', object: 'invoice', customer: 'cus_sync', status: 'open', total: 1000, created: now() - DAY }]
+    });
+
+    const result = await billingDb.syncFromStripe(stripe);
+
+    assert.deepEqual(result, { mode: 'full', synced: { customers: 1, subscriptions: 1, invoices: 1 } });
+    assert.equal(billingDb.getSubscriptionsByCustomer('cus_sync')[0].status, 'active');
+    assert.ok(billingDb.getLastSyncedAt() >= now() - 1);
+    assert.equal(stripe.eventParams.length, 0);
+  });
+
+  it('applies changes to copied objects from events', async () => {
+    await billingDb.syncFromStripe(fakeStripe({ subscriptions: [subscription('sub_sync', 'active')] }));
+    const cursor = billingDb.db.prepare("SELECT last_created FROM sync_state WHERE resource = 'events'").get().last_created;
+
+    const stripe = fakeStripe({
+      events: [
+        event('invoice.paid', { id: 'in_sync', object: 'invoice', customer: 'cus_sync', status: 'paid', total: 1000 }),
+        event('customer.subscription.deleted', subscription('sub_sync', 'canceled'))
+      ]
+    });
+    const result = await billingDb.syncFromStripe(stripe);
+
+    assert.deepEqual(result, { mode: 'events', synced: { customers: 0, subscriptions: 1, invoices: 1 } });
+    assert.equal(stripe.eventParams[0].created.gte, cursor);
+    assert.ok(stripe.eventParams[0].types.includes('customer.subscription.updated'));
+    assert.ok(stripe.eventParams[0].types.length <= 20);
+    assert.equal(billingDb.getSubscriptionsByCustomer('cus_sync')[0].status, 'canceled');
+    assert.equal(billingDb.getInvoicesByCustomer('cus_sync', { status: 'paid' }).length, 1);
+  });
+
+  it('keeps newer webhook data over an older event', async () => {
+    await billingDb.syncFromStripe(fakeStripe());
+    billingDb.upsertSubscription(subscription('sub_sync', 'canceled'), now());
+
+    await billingDb.syncFromStripe(fakeStripe({
+      events: [event('customer.subscription.updated', subscription('sub_sync', 'active'), now() - 60)]
+    }));
+
+    assert.equal(billingDb.getSubscriptionsByCustomer('cus_sync')[0].status, 'canceled');
+  });
+
+  it('removes customers deleted since the last run', async () => {
+    await billingDb.syncFromStripe(fakeStripe({ customers: [{ id: 'cus_sync', object: 'customer', created: now() - DAY }] }));
+
+    await billingDb.syncFromStripe(fakeStripe({
+      events: [event('customer.deleted', { id: 'cus_sync', object: 'customer', created: now() - DAY })]
+    }));
+
+    assert.equal(billingDb.getCustomer('cus_sync'), null);
+  });
+
+  it('copies everything again once events have expired, or when asked to', async () => {
+    await billingDb.syncFromStripe(fakeStripe());
+    billingDb.db.prepare("UPDATE sync_state SET last_created = ? WHERE resource = 'events'").run(now() - 30 * DAY);
+
+    assert.equal((await billingDb.syncFromStripe(fakeStripe())).mode, 'full');
+    assert.equal((await billingDb.syncFromStripe(fakeStripe())).mode, 'events');
+    assert.equal((await billingDb.syncFromStripe(fakeStripe(), { full: true })).mode, 'full');
+  });
+});
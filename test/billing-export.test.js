@@ -0,0 +1,155 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { streamExport } = require('../billing-export');
+
+/**
+ * Stripe whose customers.list pages through `customers`, recording the
+ * list params
+ */
+function fakeStripe(customers) {
+  const stripe = {
+    params: null,
+    customers: {
+      list: params => {
+        stripe.params = params;
+        return (async function* () {
+          for (const customer of customers) {
+            if (customer instanceof Error) throw customer;
+            yield customer;
+          }
+        }());
+      }
+    }
+  };
+  return stripe;
+}
+
+// Just enough of an Express response to stream into
+function fakeResponse() {
+  return {
+    headers: null,
+    body: '',
+    ended: false,
+    destroyed: false,
+    set(headers) {
+      this.headers = headers;
+    },
+    write(chunk) {
+      this.body += chunk;
+      return true;
+    },
+    end() {
+      this.ended = true;
+    }
+  };
+}
+
+function customer(overrides = {}) {
+  return {
+    id: 'cus_1',
+    email: 'ada@example.com',
+    name: 'Ada Lovelace',
+    created: 1700000000,
+    currency: 'usd',
+    balance: -1250,
+    delinquent: false,
+    invoice_settings: { default_payment_method: { id: 'pm_1' } },
+    metadata: {},
+    ...overrides
+  };
+}
+
+async function exportCustomers(customers, options = {}) {
+  const res = fakeResponse();
+  const rows = await streamExport(fakeStripe(customers), res, { resource: 'customers', ...options });
+  return { res, rows, lines: res.body.split('\r\n').slice(0, -1) };
+}
+
+describe('billing export', () => {
+  it('writes a header and one CSV row per customer', async () => {
+    const { res, rows, lines } = await exportCustomers([customer(), customer({ id: 'cus_2', balance: 0 })]);
+
+    assert.equal(rows, 2);
+    assert.equal(lines[0], 'id,email,name,created,currency,balance,delinquent,default_payment_method,metadata');
+    assert.equal(lines[1], 'cus_1,ada@example.com,Ada Lovelace,2023-11-14T22:13:20.000Z,usd,-12.5,false,pm_1,{}');
+    assert.equal(lines.length, 3);
+    assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.match(res.headers['Content-Disposition'], /^attachment; filename="customers-\d{4}-\d{2}-\d{2}\.csv"$/);
+    assert.ok(res.ended);
+  });
+
+  it('quotes commas, quotes and line breaks', async () => {
+    const { lines } = await exportCustomers([customer({ name: 'Lovelace, Ada "The Countess"\nof Lovelace' })], { columns: 'id,name' });
+
+    assert.deepEqual(lines, ['id,name', 'cus_1,"Lovelace, Ada ""The Countess""\nof Lovelace"']);
+  });
+
+  it('keeps spreadsheets from evaluating formulas', async () => {
+    const names = ['=HYPERLINK("http://evil.example")', '+1', '-1', '@SUM(A1)', '\tTab', '\rReturn'];
+    const { lines } = await exportCustomers(names.map(name => customer({ name })), { columns: 'name' });
+
+    assert.deepEqual(lines.slice(1), [
+      '"\'=HYPERLINK(""http://evil.example"")"',
+      "'+1",
+      "'-1",
+      "'@SUM(A1)",
+      "'\tTab",
+      '"\'\rReturn"'
+    ]);
+  });
+
+  it('leaves negative amounts as numbers', async () => {
+    const { lines } = await exportCustomers([customer()], { columns: 'balance' });
+
+    assert.equal(lines[1], '-12.5');
+  });
+
+  it('writes empty cells for missing values and JSON-encodes metadata', async () => {
+    const { lines } = await exportCustomers(
+      [customer({ email: null, name: undefined, invoice_settings: null, metadata: { plan: 'pro, annual' } })],
+      { columns: 'email,name,default_payment_method,metadata' }
+    );
+
+    assert.equal(lines[1], ',,,"{""plan"":""pro, annual""}"');
+  });
+
+  it('keeps the column order whatever the selection order', async () => {
+    const { lines } = await exportCustomers([customer()], { columns: 'email, id' });
+
+    assert.deepEqual(lines, ['id,email', 'cus_1,ada@example.com']);
+  });
+
+  it('writes NDJSON records with nulls for missing values', async () => {
+    const res = fakeResponse();
+    await streamExport(fakeStripe([customer({ name: null })]), res, { resource: 'customers', format: 'ndjson', columns: 'id,name,balance' });
+
+    assert.equal(res.headers['Content-Type'], 'application/x-ndjson; charset=utf-8');
+    assert.deepEqual(JSON.parse(res.body), { id: 'cus_1', name: null, balance: -12.5 });
+  });
+
+  it('passes date filters to Stripe', async () => {
+    const stripe = fakeStripe([]);
+    await streamExport(stripe, fakeResponse(), { resource: 'customers', from: 1700000000, to: 1710000000 });
+
+    assert.deepEqual(stripe.params, { limit: 100, created: { gte: 1700000000, lte: 1710000000 } });
+  });
+
+  it('rejects bad filters and Stripe failures before writing anything', async () => {
+    const res = fakeResponse();
+
+    await assert.rejects(
+      streamExport(fakeStripe([]), res, { resource: 'customers', columns: 'id,password' }),
+      { status: 400, code: 'validation_failed', message: 'Unknown columns: password' }
+    );
+    await assert.rejects(
+      streamExport(fakeStripe([]), res, { resource: 'customers', status: 'active' }),
+      { status: 400, code: 'validation_failed' }
+    );
+    await assert.rejects(
+      streamExport(fakeStripe([new Error('Stripe is down')]), res, { resource: 'customers' }),
+      { message: 'Stripe is down' }
+    );
+    assert.equal(res.headers, null);
+    assert.equal(res.body, '');
+  });
+});
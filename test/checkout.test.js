@@ -0,0 +1,89 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, restoreStubs, token, startServer } = require('./helpers');
+
+describe('create-checkout-session', () => {
+  const admin = token({ sub: 'user_admin', role: 'admin' });
+  let api;
+  let sessions;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  afterEach(restoreStubs);
+
+  function checkout(auth, body) {
+    sessions = [];
+    stub('checkout.sessions', 'create', async params => {
+      sessions.push(params);
+      return { id: 'cs_test_1', object: 'checkout.session', url: 'https://checkout.stripe.com/c/pay/cs_test_1' };
+    });
+    return api.request('POST', '/api/stripe/create-checkout-session', {
+      auth,
+      body: {
+        priceId: 'price_pro',
+        successUrl: 'https://trackventories.com/billing/success',
+        cancelUrl: 'https://trackventories.com/billing',
+        ...body
+      }
+    });
+  }
+
+  function customerOwnedBy(userId) {
+    stub('customers', 'retrieve', async id => ({ id, object: 'customer', metadata: userId ? { userId } : {} }));
+  }
+
+  it("links a customer's own checkout to them", async () => {
+    const response = await checkout(token({ sub: 'user_own', stripe_customer_id: 'cus_own' }), {});
+
+    assert.equal(response.status, 200);
+    assert.equal(sessions[0].customer, 'cus_own');
+    assert.equal(sessions[0].client_reference_id, 'user_own');
+    assert.equal(sessions[0].subscription_data.metadata.userId, 'user_own');
+  });
+
+  it('does not let a customer name another user', async () => {
+    const response = await checkout(token({ sub: 'user_own', stripe_customer_id: 'cus_own' }), { userId: 'user_other' });
+
+    assert.equal(response.status, 400);
+    assert.equal(sessions.length, 0);
+  });
+
+  it("links a staff checkout to the customer's owner", async () => {
+    customerOwnedBy('user_owner');
+
+    const response = await checkout(admin, { customerId: 'cus_owned' });
+
+    assert.equal(response.status, 200);
+    assert.equal(sessions[0].customer, 'cus_owned');
+    assert.equal(sessions[0].client_reference_id, 'user_owner');
+    assert.equal(sessions[0].metadata.userId, 'user_owner');
+    assert.equal(sessions[0].subscription_data.metadata.userId, 'user_owner');
+  });
+
+  it('requires the user for a staff checkout of a customer with no owner', async () => {
+    customerOwnedBy(null);
+
+    const missing = await checkout(admin, { customerId: 'cus_unowned' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'validation_failed');
+    assert.equal(missing.body.details[0].field, 'userId');
+    assert.equal(sessions.length, 0);
+
+    const named = await checkout(admin, { customerId: 'cus_unowned', userId: 'user_new' });
+    assert.equal(named.status, 200);
+    assert.equal(sessions[0].client_reference_id, 'user_new');
+  });
+
+  it("rejects a user that isn't the customer's owner", async () => {
+    customerOwnedBy('user_owner');
+
+    const response = await checkout(admin, { customerId: 'cus_owned', userId: 'user_other' });
+
+    assert.equal(response.status, 400);
+    assert.equal(sessions.length, 0);
+  });
+});
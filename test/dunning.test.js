@@ -0,0 +1,230 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const Stripe = require('stripe');
+const { createDunning } = require('../dunning');
+
+const DAY = 24 * 60 * 60;
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * In-memory Stripe for one subscription with a pro item (3 seats) and an
+ * add-on; every call is recorded in `calls`
+ */
+function fakeStripe({ policy, invoiceStatus = 'open' } = {}) {
+  const calls = [];
+  const record = (name, result) => async (...args) => {
+    calls.push([name, ...args]);
+    return typeof result === 'function' ? result(...args) : result;
+  };
+
+  const stripe = {
+    calls,
+    subscription: {
+      id: 'sub_1',
+      items: {
+        data: [
+          { id: 'si_pro', price: { id: 'price_pro' }, quantity: 3 },
+          { id: 'si_addon', price: { id: 'price_addon' }, quantity: 1 }
+        ]
+      }
+    },
+    products: {
+      retrieve: record('products.retrieve', { id: 'prod_pro', metadata: { dunning_policy: policy, dunning_downgrade_price: 'price_free' } })
+    },
+    prices: {
+      retrieve: record('prices.retrieve', { id: 'price_free', nickname: 'Free', product: { id: 'prod_free', name: 'Free' } })
+    },
+    invoices: {
+      retrieve: record('invoices.retrieve', id => ({ id, status: invoiceStatus, customer: 'cus_1' })),
+      pay: record('invoices.pay', id => ({ id, status: 'paid' })),
+      markUncollectible: record('invoices.markUncollectible', id => ({ id, status: 'uncollectible' }))
+    },
+    subscriptions: {
+      retrieve: record('subscriptions.retrieve', () => stripe.subscription),
+      update: record('subscriptions.update', (id, params) => ({ id, ...params })),
+      cancel: record('subscriptions.cancel', id => ({ id, status: 'canceled' }))
+    }
+  };
+  return stripe;
+}
+
+function fakeNotifier() {
+  const sent = [];
+  return {
+    sent,
+    notifyInvoice: async (event, template, invoice, variables) => {
+      sent.push({ template, variables });
+    }
+  };
+}
+
+function failedInvoice(created) {
+  return [{
+    id: 'in_1',
+    subscription: 'sub_1',
+    customer: 'cus_1',
+    billing_reason: 'subscription_cycle',
+    lines: { data: [{ price: { id: 'price_pro', metadata: {}, product: 'prod_pro' } }] }
+  }, { created }];
+}
+
+function callsTo(stripe, name) {
+  return stripe.calls.filter(([called]) => called === name);
+}
+
+describe('dunning', () => {
+  let db;
+  let notifier;
+  let stageChanges;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    notifier = fakeNotifier();
+    stageChanges = [];
+  });
+
+  function setup(options) {
+    const stripe = fakeStripe(options);
+    const dunning = createDunning(db, stripe, {
+      notifier,
+      onStageChange: async customerId => stageChanges.push(customerId)
+    });
+    return { stripe, dunning };
+  }
+
+  it('enters grace once per cycle', async () => {
+    const { dunning } = setup({ policy: 'standard' });
+    const enteredAt = now() - DAY;
+
+    await dunning.handlePaymentFailed(...failedInvoice(enteredAt));
+    await dunning.handlePaymentFailed(...failedInvoice(now()));
+
+    const record = dunning.get('sub_1');
+    assert.equal(record.stage, 'grace');
+    assert.equal(record.policy, 'standard');
+    assert.equal(record.graceEndsAt, enteredAt + 14 * DAY);
+    assert.equal(record.nextReminderAt, enteredAt + 3 * DAY);
+  });
+
+  it('ignores invoices outside a billing cycle', async () => {
+    const { dunning } = setup({ policy: 'standard' });
+    const [invoice, event] = failedInvoice(now());
+
+    await dunning.handlePaymentFailed({ ...invoice, billing_reason: 'manual' }, event);
+
+    assert.equal(dunning.get('sub_1'), null);
+  });
+
+  it('sends reminders, then a final notice', async () => {
+    const { dunning } = setup({ policy: 'strict' });
+    await dunning.handlePaymentFailed(...failedInvoice(now() - 3 * DAY));
+
+    await dunning.runDue();
+    assert.equal(dunning.get('sub_1').stage, 'grace');
+    assert.equal(notifier.sent[0].template, 'dunning_reminder');
+    assert.equal(notifier.sent[0].variables.dunning.consequence, 'canceled');
+
+    db.prepare('UPDATE dunning SET next_reminder_at = ?').run(now());
+    await dunning.runDue();
+    assert.equal(dunning.get('sub_1').stage, 'final_notice');
+    assert.equal(dunning.get('sub_1').remindersSent, 2);
+  });
+
+  it('suspends after the grace period and resumes once paid', async () => {
+    const { stripe, dunning } = setup({ policy: 'standard' });
+    await dunning.handlePaymentFailed(...failedInvoice(now() - 15 * DAY));
+
+    await dunning.runDue();
+    assert.equal(dunning.get('sub_1').stage, 'suspended');
+    assert.deepEqual(callsTo(stripe, 'subscriptions.update')[0][2], { pause_collection: { behavior: 'mark_uncollectible' } });
+    assert.equal(notifier.sent.at(-1).template, 'dunning_suspended');
+
+    await dunning.handleInvoicePaid({ id: 'in_1', subscription: 'sub_1' }, { created: now() });
+    assert.equal(dunning.get('sub_1').stage, 'recovered');
+    assert.deepEqual(callsTo(stripe, 'subscriptions.update')[1][2], { pause_collection: '' });
+    assert.deepEqual(stageChanges, ['cus_1', 'cus_1']);
+  });
+
+  it('downgrades keeping seats and restores the items once paid', async () => {
+    const { stripe, dunning } = setup({ policy: 'lenient' });
+    await dunning.handlePaymentFailed(...failedInvoice(now() - 22 * DAY));
+
+    await dunning.runDue();
+    assert.equal(dunning.get('sub_1').stage, 'downgraded');
+    assert.equal(callsTo(stripe, 'invoices.markUncollectible').length, 1);
+    assert.deepEqual(callsTo(stripe, 'subscriptions.update')[0][2].items, [
+      { id: 'si_pro', price: 'price_free', quantity: 3 },
+      { id: 'si_addon', deleted: true }
+    ]);
+    assert.deepEqual(dunning.get('sub_1').downgradedItems, [
+      { id: 'si_pro', price: 'price_pro', quantity: 3 },
+      { id: 'si_addon', price: 'price_addon', quantity: 1 }
+    ]);
+    assert.equal(notifier.sent.at(-1).variables.dunning.downgradePlan, 'Free');
+
+    stripe.subscription = { id: 'sub_1', items: { data: [{ id: 'si_pro', price: { id: 'price_free' }, quantity: 3 }] } };
+    await dunning.handleInvoicePaid({ id: 'in_1', subscription: 'sub_1' }, { created: now() });
+
+    assert.equal(dunning.get('sub_1').stage, 'recovered');
+    assert.deepEqual(callsTo(stripe, 'subscriptions.update')[1][2].items, [
+      { id: 'si_pro', price: 'price_pro', quantity: 3 },
+      { price: 'price_addon', quantity: 1 }
+    ]);
+  });
+
+  it('does not mark an already uncollectible invoice again', async () => {
+    const { stripe, dunning } = setup({ policy: 'lenient', invoiceStatus: 'uncollectible' });
+    await dunning.handlePaymentFailed(...failedInvoice(now() - 22 * DAY));
+
+    await dunning.runDue();
+
+    assert.equal(dunning.get('sub_1').stage, 'downgraded');
+    assert.equal(callsTo(stripe, 'invoices.markUncollectible').length, 0);
+  });
+
+  it('cancels after the grace period of a strict policy', async () => {
+    const { stripe, dunning } = setup({ policy: 'strict' });
+    await dunning.handlePaymentFailed(...failedInvoice(now() - 8 * DAY));
+
+    await dunning.runDue();
+
+    assert.equal(dunning.get('sub_1').stage, 'canceled');
+    assert.equal(callsTo(stripe, 'subscriptions.cancel').length, 1);
+    assert.equal(notifier.sent.length, 0);
+  });
+
+  it('retries with a new card and reports declines and errors', async () => {
+    const { stripe, dunning } = setup({ policy: 'standard' });
+    await dunning.handlePaymentFailed(...failedInvoice(now() - DAY));
+
+    stripe.invoices.pay = async () => {
+      throw new Stripe.errors.StripeCardError({ message: 'Your card was declined', decline_code: 'insufficient_funds' });
+    };
+    const [declined] = await dunning.retryForCustomer('cus_1', 'pm_new');
+    assert.deepEqual(declined, {
+      subscriptionId: 'sub_1',
+      invoiceId: 'in_1',
+      status: 'failed',
+      error: 'Your card was declined',
+      declineCode: 'insufficient_funds'
+    });
+
+    stripe.invoices.pay = async () => {
+      throw new Stripe.errors.StripeAPIError({ message: 'Stripe is down' });
+    };
+    const [failed] = await dunning.retryForCustomer('cus_1', 'pm_new');
+    assert.equal(failed.status, 'error');
+    assert.equal(dunning.get('sub_1').retryCount, 2);
+
+    stripe.invoices.pay = async id => ({ id, status: 'paid' });
+    const [recovered] = await dunning.retryForCustomer('cus_1', 'pm_new');
+    assert.equal(recovered.status, 'recovered');
+    assert.equal(dunning.get('sub_1').stage, 'recovered');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Shared setup for the API tests: the app runs against an in-memory billing
+ * database, with Stripe calls stubbed per test
+ */
+
+process.env.AUTH_JWT_SECRET = 'test-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+process.env.BILLING_DB_PATH = ':memory:';
+process.env.NOTIFY_TRANSPORT = 'console';
+process.env.LOG_LEVEL = 'error';
+
+const jwt = require('jsonwebtoken');
+const Stripe = require('stripe');
+const app = require('../stripe-backend-api');
+
+// Stripe resource methods live on shared prototypes, so stubbing them on
+// this client also stubs the app's
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+const originals = [];
+
+/**
+ * Replace stripe[resource][method] until restoreStubs(). Resources can be
+ * nested, e.g. stub('tax.transactions', 'createReversal', fn).
+ */
+function stub(resource, method, fn) {
+  const target = Object.getPrototypeOf(resource.split('.').reduce((object, key) => object[key], stripe));
+  originals.push([target, method, target[method]]);
+  target[method] = fn;
+}
+
+function restoreStubs() {
+  while (originals.length > 0) {
+    const [target, method, original] = originals.pop();
+    target[method] = original;
+  }
+}
+
+function token(claims) {
+  return jwt.sign(claims, process.env.AUTH_JWT_SECRET);
+}
+
+async function startServer() {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { auth, body, headers = {} } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(auth ? { Authorization: `Bearer ${auth}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function webhook(event) {
+    const payload = JSON.stringify(event);
+    const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+    return request('POST', '/api/stripe/webhook', { body: payload, headers: { 'Stripe-Signature': signature } });
+  }
+
+  return {
+    request,
+    webhook,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  stub,
+  restoreStubs,
+  token,
+  startServer
+};
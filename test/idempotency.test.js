@@ -0,0 +1,83 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Stripe = require('stripe');
+const { stub, restoreStubs, token, startServer } = require('./helpers');
+
+describe('Idempotency-Key', () => {
+  let api;
+  let users = 0;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  afterEach(restoreStubs);
+
+  // A fresh user without a customer, so create-customer can run for each test
+  function newUser() {
+    users += 1;
+    stub('customers', 'search', async () => ({ object: 'search_result', data: [] }));
+    return token({ sub: `user_idem_${users}` });
+  }
+
+  function createCustomer(auth, key, body = { email: 'ada@example.com' }) {
+    return api.request('POST', '/api/stripe/create-customer', {
+      auth,
+      body,
+      headers: { 'Idempotency-Key': key }
+    });
+  }
+
+  it('replays the stored response for a retried key', async () => {
+    const auth = newUser();
+    let creates = 0;
+    stub('customers', 'create', async () => {
+      creates += 1;
+      return { id: `cus_idem_${creates}`, object: 'customer' };
+    });
+
+    const first = await createCustomer(auth, 'key-replay');
+    const retry = await createCustomer(auth, 'key-replay');
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(retry, first);
+    assert.equal(creates, 1);
+  });
+
+  it('rejects a reused key with a different body', async () => {
+    const auth = newUser();
+    stub('customers', 'create', async () => ({ id: 'cus_idem_reused', object: 'customer' }));
+
+    await createCustomer(auth, 'key-reused', { email: 'ada@example.com' });
+    const response = await createCustomer(auth, 'key-reused', { email: 'grace@example.com' });
+
+    assert.equal(response.status, 422);
+    assert.equal(response.body.code, 'idempotency_key_reused');
+  });
+
+  it('releases the key after a transient failure', async () => {
+    const auth = newUser();
+    const failures = [
+      new Stripe.errors.StripeRateLimitError({ message: 'Too many requests' }),
+      new Stripe.errors.StripeIdempotencyError({ message: 'Concurrent request' }),
+      new Stripe.errors.StripeAPIError({ message: 'Stripe is down' })
+    ];
+    let creates = 0;
+    stub('customers', 'create', async () => {
+      creates += 1;
+      if (failures.length > 0) throw failures.shift();
+      return { id: 'cus_idem_retried', object: 'customer' };
+    });
+
+    assert.equal((await createCustomer(auth, 'key-transient')).status, 429);
+    assert.equal((await createCustomer(auth, 'key-transient')).status, 409);
+    assert.equal((await createCustomer(auth, 'key-transient')).status, 503);
+
+    const response = await createCustomer(auth, 'key-transient');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.customer.id, 'cus_idem_retried');
+    assert.equal(creates, 4);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  currencyDecimals,
+  chargeDecimals,
+  isChargeable,
+  toMinorUnits,
+  toMajorUnits,
+  formatMoney,
+  addToTotals
+} = require('../money');
+
+describe('currency precision', () => {
+  it('knows the decimal places of each currency kind', () => {
+    assert.equal(currencyDecimals('usd'), 2);
+    assert.equal(currencyDecimals('JPY'), 0);
+    assert.equal(currencyDecimals('kwd'), 3);
+    assert.equal(currencyDecimals('isk'), 2);
+    assert.equal(currencyDecimals('ugx'), 2);
+  });
+
+  it('knows how many decimal places a charge can have', () => {
+    assert.equal(chargeDecimals('usd'), 2);
+    assert.equal(chargeDecimals('jpy'), 0);
+    assert.equal(chargeDecimals('kwd'), 2);
+    assert.equal(chargeDecimals('isk'), 0);
+    assert.equal(chargeDecimals('ugx'), 0);
+    assert.equal(chargeDecimals('huf'), 0);
+    assert.equal(chargeDecimals('twd'), 0);
+  });
+
+  it('only charges the multiples Stripe accepts', () => {
+    assert.equal(isChargeable(1999, 'usd'), true);
+    assert.equal(isChargeable(5120, 'kwd'), true);
+    assert.equal(isChargeable(5123, 'kwd'), false);
+    assert.equal(isChargeable(500, 'isk'), true);
+    assert.equal(isChargeable(550, 'isk'), false);
+    assert.equal(isChargeable(50000, 'ugx'), true);
+    assert.equal(isChargeable(50050, 'ugx'), false);
+    assert.equal(isChargeable(1050, 'huf'), false);
+    assert.equal(isChargeable(1050, 'twd'), false);
+    assert.equal(isChargeable(19.5, 'usd'), false);
+  });
+});
+
+describe('toMinorUnits', () => {
+  it('converts decimal amounts to minor units', () => {
+    assert.equal(toMinorUnits(19.99, 'usd'), 1999);
+    assert.equal(toMinorUnits(500, 'jpy'), 500);
+    assert.equal(toMinorUnits(5.12, 'kwd'), 5120);
+    assert.equal(toMinorUnits(5, 'isk'), 500);
+    assert.equal(toMinorUnits(500, 'ugx'), 50000);
+    assert.equal(toMinorUnits(1000, 'huf'), 100000);
+  });
+
+  it('tolerates float noise', () => {
+    assert.equal(toMinorUnits(0.1 + 0.2, 'usd'), 30);
+    assert.equal(toMinorUnits(1.005, 'kwd'), null);
+  });
+
+  it('rejects amounts more precise than the currency can be charged in', () => {
+    assert.equal(toMinorUnits(19.999, 'usd'), null);
+    assert.equal(toMinorUnits(500.5, 'jpy'), null);
+    assert.equal(toMinorUnits(5.123, 'kwd'), null);
+    assert.equal(toMinorUnits(5.5, 'isk'), null);
+    assert.equal(toMinorUnits(500.5, 'ugx'), null);
+    assert.equal(toMinorUnits(1000.5, 'huf'), null);
+    assert.equal(toMinorUnits(30.25, 'twd'), null);
+  });
+});
+
+describe('display amounts', () => {
+  it('converts minor units back to decimals', () => {
+    assert.equal(toMajorUnits(1999, 'usd'), 19.99);
+    assert.equal(toMajorUnits(500, 'jpy'), 500);
+    assert.equal(toMajorUnits(5120, 'kwd'), 5.12);
+    assert.equal(toMajorUnits(500, 'isk'), 5);
+    assert.equal(toMajorUnits(null, 'usd'), null);
+  });
+
+  it('formats with the currency precision', () => {
+    assert.equal(formatMoney(1999, 'usd'), '$19.99');
+    assert.equal(formatMoney(500, 'jpy'), '¥500');
+    assert.equal(formatMoney(5120, 'kwd'), 'KWD 5.120');
+    assert.equal(formatMoney(undefined, 'usd'), null);
+  });
+
+  it('totals per lower-cased currency', () => {
+    const totals = {};
+    addToTotals(totals, 'USD', 500);
+    addToTotals(totals, 'usd', 250);
+    addToTotals(totals, 'eur', 100);
+    assert.deepEqual(totals, { usd: 750, eur: 100 });
+  });
+});
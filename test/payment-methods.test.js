@@ -0,0 +1,77 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, restoreStubs, token, startServer } = require('./helpers');
+const { formatPaymentMethod } = require('../payment-methods');
+
+const card = {
+  id: 'pm_card',
+  object: 'payment_method',
+  type: 'card',
+  created: 1700000000,
+  card: { brand: 'visa', last4: '4242', exp_month: 12, exp_year: 2030, funding: 'credit', country: 'US', fingerprint: 'fp_card', checks: {} }
+};
+
+const bankAccount = {
+  id: 'pm_bank',
+  object: 'payment_method',
+  type: 'us_bank_account',
+  created: 1700000000,
+  us_bank_account: { bank_name: 'STRIPE TEST BANK', last4: '6789', routing_number: '110000000', account_type: 'checking', fingerprint: 'fp_bank' }
+};
+
+describe('payment method summaries', () => {
+  it('leaves out fingerprints unless asked for', () => {
+    assert.equal(formatPaymentMethod(card).fingerprint, undefined);
+    assert.equal(formatPaymentMethod(bankAccount).fingerprint, undefined);
+    assert.equal(formatPaymentMethod(card, null, { includeFingerprint: true }).fingerprint, 'fp_card');
+    assert.equal(formatPaymentMethod(bankAccount, null, { includeFingerprint: true }).fingerprint, 'fp_bank');
+  });
+
+  it('summarizes a card', () => {
+    assert.deepEqual(formatPaymentMethod(card, 'pm_card'), {
+      id: 'pm_card',
+      type: 'card',
+      brand: 'visa',
+      last4: '4242',
+      expMonth: 12,
+      expYear: 2030,
+      funding: 'credit',
+      country: 'US',
+      checks: { cvcCheck: undefined, addressLine1Check: undefined, addressPostalCodeCheck: undefined },
+      isDefault: true,
+      created: 1700000000
+    });
+  });
+});
+
+describe('GET /api/stripe/customer/:customerId/payment-methods', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  afterEach(restoreStubs);
+
+  function listPaymentMethods(auth) {
+    stub('customers', 'listPaymentMethods', async () => ({ object: 'list', data: [card, bankAccount], has_more: false }));
+    stub('customers', 'retrieve', async id => ({ id, object: 'customer', invoice_settings: { default_payment_method: 'pm_card' } }));
+    return api.request('GET', '/api/stripe/customer/cus_pm/payment-methods', { auth });
+  }
+
+  it('hides fingerprints from the customer', async () => {
+    const response = await listPaymentMethods(token({ sub: 'user_pm', stripe_customer_id: 'cus_pm' }));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.paymentMethods.map(method => method.fingerprint), [undefined, undefined]);
+  });
+
+  it('shows fingerprints to staff', async () => {
+    const response = await listPaymentMethods(token({ sub: 'user_support', role: 'support' }));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.paymentMethods.map(method => method.fingerprint), ['fp_card', 'fp_bank']);
+  });
+});
@@ -0,0 +1,231 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const Stripe = require('stripe');
+const { stub, restoreStubs, token, startServer } = require('./helpers');
+const { createPromotions } = require('../promotions');
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function promotionCode(overrides = {}, coupon = {}) {
+  return {
+    id: 'promo_1',
+    code: 'SAVE10',
+    active: true,
+    customer: null,
+    expires_at: null,
+    max_redemptions: null,
+    times_redeemed: 0,
+    restrictions: {},
+    ...overrides,
+    coupon: { id: 'coupon_1', valid: true, percent_off: 10, times_redeemed: 0, ...coupon }
+  };
+}
+
+function fakeStripe(code) {
+  return {
+    promotionCodes: { list: async () => ({ data: code ? [code] : [] }) },
+    prices: {
+      retrieve: async id => ({ id, currency: 'usd', unit_amount: 1000, product: id === 'price_pro' ? 'prod_pro' : 'prod_other' })
+    },
+    charges: { list: async () => ({ data: [{ paid: true, refunded: false }] }) }
+  };
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error.code;
+  }
+  assert.fail('Expected a rejection');
+}
+
+describe('promotion code checks', () => {
+  function resolve(code, options) {
+    return createPromotions(new Database(':memory:'), fakeStripe(code)).resolve('SAVE10', options);
+  }
+
+  it('resolves a usable code', async () => {
+    const { promotionCode: resolved, coupon } = await resolve(promotionCode(), { priceIds: ['price_pro'] });
+    assert.equal(resolved.id, 'promo_1');
+    assert.equal(coupon.id, 'coupon_1');
+  });
+
+  it('explains why a code cannot be used', async () => {
+    assert.equal(await rejection(resolve(null, {})), 'promotion_code_invalid');
+    assert.equal(await rejection(resolve(promotionCode({ expires_at: now() - 1 }), {})), 'promotion_code_expired');
+    assert.equal(await rejection(resolve(promotionCode({ max_redemptions: 1, times_redeemed: 1 }), {})), 'promotion_code_exhausted');
+    assert.equal(await rejection(resolve(promotionCode({ active: false }), {})), 'promotion_code_inactive');
+    assert.equal(await rejection(resolve(promotionCode({ customer: 'cus_other' }), { customerId: 'cus_1' })), 'promotion_code_not_applicable');
+    assert.equal(
+      await rejection(resolve(promotionCode({ restrictions: { first_time_transaction: true } }), { customerId: 'cus_1', priceIds: ['price_pro'] })),
+      'promotion_code_not_applicable'
+    );
+    assert.equal(
+      await rejection(resolve(promotionCode({ restrictions: { minimum_amount: 5000, minimum_amount_currency: 'usd' } }), { amount: 4999, currency: 'usd' })),
+      'promotion_code_not_applicable'
+    );
+    assert.equal(
+      await rejection(resolve(promotionCode({}, { percent_off: null, amount_off: 500, currency: 'eur' }), { amount: 1000, currency: 'usd' })),
+      'promotion_code_not_applicable'
+    );
+  });
+
+  it('limits product-restricted codes to their plans', async () => {
+    const restricted = promotionCode({}, { applies_to: { products: ['prod_pro'] } });
+
+    assert.ok(await resolve(restricted, { priceIds: ['price_pro'] }));
+    assert.equal(await rejection(resolve(restricted, { priceIds: ['price_basic'] })), 'promotion_code_not_applicable');
+    assert.equal(await rejection(resolve(restricted, { amount: 1000, currency: 'usd' })), 'promotion_code_product_restricted');
+  });
+
+  it('discounts one-off amounts to a chargeable remainder', () => {
+    const { discountAmount } = createPromotions(new Database(':memory:'), fakeStripe());
+
+    assert.equal(discountAmount({ percent_off: 15 }, 1999, 'usd'), 300);
+    assert.equal(discountAmount({ amount_off: 500, currency: 'usd' }, 1999, 'usd'), 500);
+    assert.equal(discountAmount({ percent_off: 15 }, 5120, 'kwd'), 770);
+    assert.throws(() => discountAmount({ amount_off: 2000, currency: 'usd' }, 1999, 'usd'), { code: 'promotion_code_not_applicable' });
+  });
+});
+
+describe('payment redemptions', () => {
+  let db;
+  let promotions;
+  const limited = promotionCode({ max_redemptions: 2, times_redeemed: 1 });
+  const promotion = { promotionCode: limited, coupon: limited.coupon };
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    promotions = createPromotions(db, fakeStripe(limited));
+  });
+
+  function reserve(id) {
+    return promotions.reserve(promotion, { id, customerId: 'cus_1', amountOff: 100, currency: 'usd' });
+  }
+
+  function paymentIntent(id, reservationId) {
+    return {
+      id,
+      customer: 'cus_1',
+      currency: 'usd',
+      metadata: { promotion_code_id: 'promo_1', coupon: 'coupon_1', amount_off: '100', promotion_reservation: reservationId }
+    };
+  }
+
+  it('reserves the last redemption for one payment at a time', async () => {
+    reserve('res_a');
+
+    assert.throws(() => reserve('res_b'), { code: 'promotion_code_exhausted' });
+    assert.equal(await rejection(promotions.resolve('SAVE10', {})), 'promotion_code_exhausted');
+  });
+
+  it('keeps the reservation of a retried request', () => {
+    assert.equal(reserve('res_a'), 'res_a');
+    assert.equal(reserve('res_a'), 'res_a');
+  });
+
+  it('releases the reservation of a failed or canceled payment', () => {
+    reserve('res_a');
+    promotions.release('res_a');
+    reserve('res_b');
+
+    assert.equal(promotions.releasePaymentReservation(paymentIntent('pi_b', 'res_b')), true);
+    assert.equal(promotions.releasePaymentReservation(paymentIntent('pi_b', 'res_b')), false);
+    assert.equal(reserve('res_c'), 'res_c');
+  });
+
+  it('turns the reservation into a redemption once paid', () => {
+    reserve('res_a');
+
+    assert.equal(promotions.recordPaymentRedemption(paymentIntent('pi_a', 'res_a')), true);
+    assert.equal(promotions.recordPaymentRedemption(paymentIntent('pi_a', 'res_a')), true);
+    assert.equal(promotions.releasePaymentReservation(paymentIntent('pi_a', 'res_a')), false);
+
+    const redemptions = promotions.redemptions('promo_1');
+    assert.equal(redemptions.length, 1);
+    assert.equal(redemptions[0].status, 'redeemed');
+    assert.equal(redemptions[0].paymentIntentId, 'pi_a');
+    assert.throws(() => reserve('res_b'), { code: 'promotion_code_exhausted' });
+  });
+
+  it('records a payment whose reservation was already released', () => {
+    reserve('res_a');
+    promotions.release('res_a');
+
+    promotions.recordPaymentRedemption(paymentIntent('pi_a', 'res_a'));
+
+    assert.equal(promotions.redemptions('promo_1')[0].status, 'redeemed');
+  });
+
+  it('stops counting reservations of abandoned payments', () => {
+    reserve('res_a');
+    db.prepare('UPDATE promotion_redemptions SET redeemed_at = ?').run(now() - 25 * 60 * 60);
+
+    assert.equal(reserve('res_b'), 'res_b');
+  });
+});
+
+describe('create-payment-intent with a promotion code', () => {
+  const customer = token({ sub: 'user_promo', stripe_customer_id: 'cus_promo' });
+  const singleUse = promotionCode({ id: 'promo_single', code: 'ONCE', max_redemptions: 1 });
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  afterEach(restoreStubs);
+
+  function pay() {
+    return api.request('POST', '/api/stripe/create-payment-intent', {
+      auth: customer,
+      body: { customerId: 'cus_promo', amount: 20, currency: 'usd', promotionCode: 'ONCE' }
+    });
+  }
+
+  it('lets only one unpaid intent use a single-use code', async () => {
+    const created = [];
+    stub('promotionCodes', 'list', async () => ({ object: 'list', data: [singleUse] }));
+    stub('paymentIntents', 'create', async params => {
+      created.push(params);
+      return { id: `pi_promo_${created.length}`, object: 'payment_intent', ...params };
+    });
+
+    const first = await pay();
+    const second = await pay();
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.paymentIntent.amount, 1800);
+    assert.ok(created[0].metadata.promotion_reservation);
+    assert.equal(second.status, 400);
+    assert.equal(second.body.code, 'promotion_code_exhausted');
+
+    await api.webhook({
+      id: 'evt_promo_canceled',
+      object: 'event',
+      type: 'payment_intent.canceled',
+      created: now(),
+      data: { object: { id: 'pi_promo_1', object: 'payment_intent', status: 'canceled', metadata: created[0].metadata } }
+    });
+    assert.equal((await pay()).status, 200);
+  });
+
+  it('releases the reservation when Stripe rejects the intent', async () => {
+    const single = promotionCode({ id: 'promo_rejected', code: 'ONCE', max_redemptions: 1 });
+    stub('promotionCodes', 'list', async () => ({ object: 'list', data: [single] }));
+    stub('paymentIntents', 'create', async () => {
+      throw new Stripe.errors.StripeInvalidRequestError({ message: 'Invalid payment method' });
+    });
+
+    assert.equal((await pay()).status, 400);
+
+    stub('paymentIntents', 'create', async params => ({ id: 'pi_promo_ok', object: 'payment_intent', ...params }));
+    assert.equal((await pay()).status, 200);
+  });
+});
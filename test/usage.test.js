@@ -0,0 +1,161 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const Stripe = require('stripe');
+const { createUsage } = require('../usage');
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+const meteredPrice = {
+  id: 'price_items',
+  currency: 'usd',
+  unit_amount: 2,
+  billing_scheme: 'per_unit',
+  metadata: { usage_metric: 'inventory_items' },
+  recurring: { usage_type: 'metered', aggregate_usage: 'sum' }
+};
+
+/**
+ * Stripe with one active subscription billing inventory_items by usage
+ * records; createUsageRecord calls are collected in `records`
+ */
+function fakeStripe() {
+  const stripe = {
+    records: [],
+    fail: null,
+    subscriptions: {
+      list: () => (async function* () {
+        yield {
+          id: 'sub_1',
+          status: 'active',
+          current_period_start: now() - 1000,
+          current_period_end: now() + 1000,
+          items: { data: [{ id: 'si_items', price: meteredPrice }] }
+        };
+      }())
+    },
+    subscriptionItems: {
+      createUsageRecord: async (id, params, options) => {
+        if (stripe.fail) {
+          const error = stripe.fail;
+          stripe.fail = null;
+          throw error;
+        }
+        stripe.records.push({ id, ...params, idempotencyKey: options.idempotencyKey });
+        return { id: `mbur_${stripe.records.length}` };
+      },
+      listUsageRecordSummaries: async () => ({ data: [{ total_usage: 40 }] })
+    }
+  };
+  return stripe;
+}
+
+describe('usage reporting', () => {
+  let stripe;
+  let usage;
+  let reports;
+
+  beforeEach(() => {
+    stripe = fakeStripe();
+    usage = createUsage(new Database(':memory:'), stripe);
+    reports = 0;
+  });
+
+  function report(action, quantity, metric = 'inventory_items') {
+    reports += 1;
+    return usage.record({ customerId: 'cus_1', reportId: `r${reports}`, metric, action, quantity });
+  }
+
+  function sent() {
+    return stripe.records.map(({ action, quantity }) => `${action} ${quantity}`);
+  }
+
+  it('stores a repeated report once', () => {
+    const first = usage.record({ customerId: 'cus_1', reportId: 'same', metric: 'inventory_items', quantity: 5 });
+    const again = usage.record({ customerId: 'cus_1', reportId: 'same', metric: 'inventory_items', quantity: 5 });
+
+    assert.deepEqual(first, { id: 'same', status: 'pending', duplicate: false });
+    assert.deepEqual(again, { id: 'same', status: 'pending', duplicate: true });
+  });
+
+  it('sums increments and sends only the latest set', async () => {
+    report('increment', 5);
+    report('increment', 7);
+    await usage.flush();
+
+    report('set', 100);
+    report('set', 120);
+    await usage.flush();
+
+    assert.deepEqual(sent(), ['increment 12', 'set 120']);
+  });
+
+  it('keeps sets and increments in arrival order', async () => {
+    report('increment', 5);
+    report('set', 100);
+    report('increment', 3);
+    report('increment', 4);
+    await usage.flush();
+
+    assert.deepEqual(sent(), ['increment 5', 'set 100', 'increment 7']);
+  });
+
+  it('holds back later reports until a failed batch goes through', async () => {
+    report('set', 100);
+    report('increment', 3);
+    stripe.fail = new Stripe.errors.StripeConnectionError({ message: 'Network error' });
+
+    await usage.flush();
+    assert.deepEqual(sent(), []);
+
+    await usage.flush();
+    assert.deepEqual(sent(), ['set 100', 'increment 3']);
+  });
+
+  it('resends an interrupted batch with the same idempotency key', async () => {
+    report('increment', 5);
+    stripe.fail = new Stripe.errors.StripeAPIError({ message: 'Stripe is down' });
+    const createUsageRecord = stripe.subscriptionItems.createUsageRecord;
+    const keys = [];
+    stripe.subscriptionItems.createUsageRecord = (id, params, options) => {
+      keys.push(options.idempotencyKey);
+      return createUsageRecord(id, params, options);
+    };
+
+    await usage.flush();
+    await usage.flush();
+
+    assert.equal(keys.length, 2);
+    assert.equal(keys[0], keys[1]);
+    assert.deepEqual(sent(), ['increment 5']);
+  });
+
+  it('marks rejected and unbillable reports failed without blocking others', async () => {
+    report('increment', 5);
+    report('set', 10);
+    report('increment', 1, 'locations');
+    stripe.fail = new Stripe.errors.StripeInvalidRequestError({ message: 'Timestamp is before the current period' });
+
+    await usage.flush();
+
+    assert.deepEqual(sent(), ['set 10']);
+    assert.equal((await usage.summary('cus_1')).failedReports, 2);
+  });
+
+  it('projects usage with pending sets and later increments', async () => {
+    report('increment', 5);
+    report('set', 100);
+    report('increment', 10);
+
+    const [item] = (await usage.summary('cus_1')).items;
+
+    assert.equal(item.reportedUsage, 40);
+    assert.equal(item.pendingUsage, 110);
+    assert.equal(item.usage, 110);
+    assert.equal(item.currentCharge, 2.2);
+  });
+});
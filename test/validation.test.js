@@ -0,0 +1,155 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, restoreStubs, token, startServer } = require('./helpers');
+const { createValidator, fields: f } = require('../validation');
+
+/**
+ * Run the validator for one schema against a fake request; resolves to the
+ * validated request or the 400 body
+ */
+function validate(schema, { body = {}, query = {}, params } = {}) {
+  const validator = createValidator(() => ({ value: schema, params: params || {} }));
+  const req = { method: 'POST', baseUrl: '', path: '/', body, query };
+
+  return new Promise(resolve => {
+    const res = {
+      status: () => res,
+      json: payload => resolve({ error: payload })
+    };
+    validator(req, res, () => resolve({ req }));
+  });
+}
+
+describe('field builders', () => {
+  it('coerces query strings to their declared types', async () => {
+    const { req } = await validate({
+      query: {
+        limit: f.integer({ min: 1, max: 100 }),
+        ratio: f.number(),
+        active: f.boolean(),
+        from: f.timestamp()
+      }
+    }, { query: { limit: '20', ratio: '0.5', active: 'false', from: '2024-01-01T00:00:00Z' } });
+
+    assert.deepEqual(req.query, { limit: 20, ratio: 0.5, active: false, from: 1704067200 });
+  });
+
+  it('clamps instead of rejecting when asked to', async () => {
+    const schema = { query: { limit: f.integer({ min: 1, max: 100, clamp: true, default: 10 }) } };
+
+    assert.equal((await validate(schema, { query: { limit: '500' } })).req.query.limit, 100);
+    assert.equal((await validate(schema, { query: { limit: '0' } })).req.query.limit, 1);
+    assert.equal((await validate(schema, { query: { limit: '' } })).req.query.limit, 10);
+  });
+
+  it('fills in defaults and leaves optional fields out', async () => {
+    const { req } = await validate({
+      body: {
+        behavior: f.oneOf(['void', 'keep_as_draft'], { default: 'void' }),
+        note: f.string()
+      }
+    });
+
+    assert.deepEqual(req.body, { behavior: 'void' });
+  });
+
+  it('checks Stripe ID prefixes', async () => {
+    const schema = { body: { priceId: f.id('price', { required: true }) } };
+
+    assert.ok((await validate(schema, { body: { priceId: 'price_123abc' } })).req);
+    const { error } = await validate(schema, { body: { priceId: 'prod_123abc' } });
+    assert.deepEqual(error.details, [{ location: 'body', field: 'priceId', message: 'must be a price_ ID' }]);
+  });
+
+  it('checks array items and nested objects', async () => {
+    const schema = {
+      body: {
+        items: f.array(f.object({ priceId: f.id('price', { required: true }), quantity: f.integer({ min: 1 }) }), { max: 2 })
+      }
+    };
+
+    const { req } = await validate(schema, { body: { items: [{ priceId: 'price_a', quantity: '3' }] } });
+    assert.deepEqual(req.body.items, [{ priceId: 'price_a', quantity: 3 }]);
+
+    const nested = await validate(schema, { body: { items: [{ priceId: 'price_a', seats: 3 }] } });
+    assert.equal(nested.error.details[0].message, 'item 0 seats is not allowed');
+
+    const tooMany = await validate(schema, { body: { items: [{ priceId: 'price_a' }, { priceId: 'price_b' }, { priceId: 'price_c' }] } });
+    assert.equal(tooMany.error.details[0].message, 'must have at most 2 items');
+  });
+
+  it('rejects reserved and oversized metadata', async () => {
+    const schema = { body: { metadata: f.metadata({ reserved: ['userId'] }) } };
+
+    assert.ok((await validate(schema, { body: { metadata: { plan: 'pro' } } })).req);
+    assert.equal((await validate(schema, { body: { metadata: { userId: 'user_2' } } })).error.details[0].message, 'key "userId" is reserved');
+    assert.match((await validate(schema, { body: { metadata: { plan: 'x'.repeat(501) } } })).error.details[0].message, /at most 500/);
+  });
+});
+
+describe('request validation', () => {
+  it('rejects unknown body and params fields but drops unknown query parameters', async () => {
+    const schema = { params: { customerId: f.id('cus') }, body: { name: f.string() }, query: { limit: f.integer() } };
+
+    const { error } = await validate(schema, {
+      params: { customerId: 'cus_1', extra: 'x' },
+      body: { name: 'Ada', role: 'admin' }
+    });
+    assert.deepEqual(error.details.map(detail => `${detail.location}.${detail.field}`), ['params.extra', 'body.role']);
+
+    const { req } = await validate(schema, { query: { limit: '5', debug: 'true' } });
+    assert.deepEqual(req.query, { limit: 5 });
+  });
+
+  it('reports every failing field at once', async () => {
+    const { error } = await validate({
+      body: {
+        email: f.email({ required: true }),
+        quantity: f.integer({ min: 1 })
+      }
+    }, { body: { quantity: 0 } });
+
+    assert.equal(error.code, 'validation_failed');
+    assert.deepEqual(error.details, [
+      { location: 'body', field: 'email', message: 'is required' },
+      { location: 'body', field: 'quantity', message: 'must be at least 1' }
+    ]);
+  });
+});
+
+describe('route schemas', () => {
+  const admin = token({ sub: 'user_admin', role: 'admin' });
+  const customer = token({ sub: 'user_1', stripe_customer_id: 'cus_mine' });
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  afterEach(restoreStubs);
+
+  it('rejects a malformed price ID before calling Stripe', async () => {
+    const response = await api.request('POST', '/api/stripe/create-subscription', {
+      auth: customer,
+      body: { customerId: 'cus_mine', priceId: 'pro-monthly' }
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [{ location: 'body', field: 'priceId', message: 'must be a price_ ID' }]);
+  });
+
+  it('passes the clamped limit to Stripe', async () => {
+    let params;
+    stub('customers', 'list', async query => {
+      params = query;
+      return { object: 'list', data: [], has_more: false };
+    });
+
+    const response = await api.request('GET', '/api/stripe/all-customers?limit=500', { auth: admin });
+
+    assert.equal(response.status, 200);
+    assert.equal(params.limit, 100);
+  });
+});
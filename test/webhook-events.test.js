@@ -0,0 +1,156 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { createWebhookLog } = require('../webhook-events');
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function event(id, type = 'invoice.paid', created = now()) {
+  return { id, object: 'event', type, created, data: { object: { id: `in_${id}` } } };
+}
+
+describe('webhook event log', () => {
+  let db;
+  let handled;
+  let failures;
+  let webhookLog;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    handled = [];
+    failures = 0;
+    webhookLog = createWebhookLog(db, {
+      'invoice.paid': async (object, received) => handled.push(received.id),
+      'invoice.payment_failed': async () => {
+        if (failures > 0) {
+          failures -= 1;
+          throw new Error('Mirror unavailable');
+        }
+        handled.push('payment_failed');
+      }
+    });
+  });
+
+  function dueNow(id) {
+    db.prepare('UPDATE webhook_events SET next_attempt_at = ? WHERE id = ?').run(now(), id);
+  }
+
+  it('handles a redelivered event once', async () => {
+    assert.deepEqual(await webhookLog.receive(event('evt_1')), { status: 'processed', duplicate: false });
+    assert.deepEqual(await webhookLog.receive(event('evt_1')), { status: 'processed', duplicate: true });
+    assert.deepEqual(handled, ['evt_1']);
+  });
+
+  it('ignores events without a handler', async () => {
+    assert.equal((await webhookLog.receive(event('evt_1', 'customer.created'))).status, 'ignored');
+  });
+
+  it('retries failed events with exponential backoff', async () => {
+    failures = 2;
+
+    assert.equal((await webhookLog.receive(event('evt_1', 'invoice.payment_failed'))).status, 'failed');
+    let stored = webhookLog.get('evt_1');
+    assert.equal(stored.lastError, 'Mirror unavailable');
+    assert.ok(stored.nextAttemptAt - now() >= 29 && stored.nextAttemptAt - now() <= 30);
+
+    await webhookLog.retryDue();
+    assert.equal(webhookLog.get('evt_1').attempts, 1);
+
+    dueNow('evt_1');
+    await webhookLog.retryDue();
+    stored = webhookLog.get('evt_1');
+    assert.equal(stored.attempts, 2);
+    assert.ok(stored.nextAttemptAt - now() >= 59 && stored.nextAttemptAt - now() <= 60);
+
+    dueNow('evt_1');
+    await webhookLog.retryDue();
+    stored = webhookLog.get('evt_1');
+    assert.equal(stored.status, 'processed');
+    assert.equal(stored.lastError, null);
+    assert.equal(stored.nextAttemptAt, null);
+    assert.deepEqual(handled, ['payment_failed']);
+  });
+
+  it('stops retrying once the attempts are spent', async () => {
+    failures = Infinity;
+    await webhookLog.receive(event('evt_1', 'invoice.payment_failed'));
+
+    for (let attempt = 1; attempt < 8; attempt += 1) {
+      dueNow('evt_1');
+      await webhookLog.retryDue();
+    }
+
+    const stored = webhookLog.get('evt_1');
+    assert.equal(stored.status, 'failed');
+    assert.equal(stored.attempts, 8);
+    assert.equal(stored.nextAttemptAt, null);
+  });
+
+  it('fails events left processing by a previous process', async () => {
+    await webhookLog.receive(event('evt_1'));
+    db.prepare("UPDATE webhook_events SET status = 'processing'").run();
+
+    webhookLog = createWebhookLog(db, {});
+
+    assert.equal(webhookLog.get('evt_1').status, 'failed');
+  });
+
+  it('replays processed events, alone or by time range', async () => {
+    await webhookLog.receive(event('evt_late', 'invoice.paid', now() - 10));
+    await webhookLog.receive(event('evt_early', 'invoice.paid', now() - 20));
+    await webhookLog.receive(event('evt_other', 'customer.created', now() - 15));
+
+    assert.equal(await webhookLog.replay('evt_late'), 'processed');
+    assert.equal(await webhookLog.replay('evt_missing'), null);
+
+    const results = await webhookLog.replayRange({ from: now() - 60, to: now(), type: 'invoice.paid' });
+    assert.deepEqual(results, [{ id: 'evt_early', status: 'processed' }, { id: 'evt_late', status: 'processed' }]);
+    assert.deepEqual(handled, ['evt_late', 'evt_early', 'evt_late', 'evt_early', 'evt_late']);
+    assert.equal(webhookLog.get('evt_late').attempts, 3);
+  });
+
+  it('drops expired payloads but still catches redeliveries', async () => {
+    await webhookLog.receive(event('evt_old'));
+    await webhookLog.receive(event('evt_new'));
+    db.prepare('UPDATE webhook_events SET processed_at = ? WHERE id = ?').run(now() - 31 * 24 * 60 * 60, 'evt_old');
+
+    assert.equal(webhookLog.purgeExpired(), 1);
+    assert.equal(webhookLog.get('evt_old').payload, null);
+    assert.equal(webhookLog.get('evt_new').payload.id, 'evt_new');
+    assert.equal(await webhookLog.replay('evt_old'), 'expired');
+    assert.deepEqual(await webhookLog.receive(event('evt_old')), { status: 'processed', duplicate: true });
+    assert.deepEqual(handled, ['evt_old', 'evt_new']);
+  });
+
+  it('returns stored events in the same shape from list and get', async () => {
+    const created = now() - 5;
+    await webhookLog.receive(event('evt_1', 'invoice.paid', created));
+
+    const [listed] = webhookLog.list();
+    const { payload, ...fetched } = webhookLog.get('evt_1');
+
+    assert.deepEqual(fetched, listed);
+    assert.equal(listed.created, created);
+    assert.equal(listed.status, 'processed');
+    assert.ok(listed.receivedAt);
+    assert.ok(listed.processedAt);
+    assert.equal(payload.type, 'invoice.paid');
+  });
+
+  it('pages through events newest first', async () => {
+    for (const id of ['evt_a', 'evt_b', 'evt_c']) {
+      await webhookLog.receive(event(id));
+    }
+
+    const first = webhookLog.list({ limit: 2 });
+    const rest = webhookLog.list({ limit: 2, startingAfter: first.at(-1).id });
+
+    assert.deepEqual(first.map(stored => stored.id), ['evt_c', 'evt_b']);
+    assert.deepEqual(rest.map(stored => stored.id), ['evt_a']);
+    assert.deepEqual(webhookLog.list({ status: 'failed' }), []);
+  });
+});
@@ -0,0 +1,413 @@
+/**
+ * Metered usage reporting for inventory volume billing
+ *
+ * The inventory app reports usage quantities per customer and metric. Each
+ * report carries a client-chosen reportId, so a report sent twice is stored
+ * once. Reports are queued locally and flushed to Stripe in batches, per
+ * customer and metric in the order they arrived. Each run of consecutive
+ * reports with the same action becomes one batch:
+ *
+ *   increment  the run's increments are summed into one record
+ *   set        only the run's latest value is sent (earlier ones are
+ *              superseded)
+ *
+ * so a set followed by an increment is applied in that order. A batch that
+ * has to be retried holds back the later reports of its customer and metric.
+ *
+ * A metric is billed on the customer's metered subscription item whose price
+ * has `usage_metric` metadata (or a lookup_key) equal to the metric name.
+ * Prices attached to a Stripe Billing meter get meter events; older metered
+ * prices get usage records on the subscription item.
+ *
+ * A batch keeps its ID until Stripe accepts it, and that ID is the Stripe
+ * idempotency key, so a batch interrupted by a crash or network error is
+ * resent without double counting. Batches Stripe rejects (or with no
+ * metered item to bill) are marked failed.
+ *
+ * Environment variables:
+ * USAGE_FLUSH_INTERVAL_MS=60000   (optional, default shown)
+ */
+
+const crypto = require('crypto');
+const { toMajorUnits, formatMoney } = require('./money');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'usage' });
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.USAGE_FLUSH_INTERVAL_MS || '60000', 10);
+
+const USAGE_METRICS = ['inventory_items', 'locations'];
+
+// Subscription statuses that are still billed for usage
+const BILLABLE_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Aggregations whose period total keeps growing, so it can be extrapolated
+const CUMULATIVE_AGGREGATIONS = ['sum', 'count'];
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function tierUnitAmount(tier) {
+  return tier.unit_amount ?? parseFloat(tier.unit_amount_decimal || '0');
+}
+
+/**
+ * Charge (minor units) for a quantity of a metered price, including
+ * transform_quantity and per-unit, volume and graduated tiers
+ */
+function priceCost(price, quantity) {
+  let units = quantity;
+  if (price.transform_quantity) {
+    units /= price.transform_quantity.divide_by;
+    units = price.transform_quantity.round === 'down' ? Math.floor(units) : Math.ceil(units);
+  }
+
+  if (price.billing_scheme !== 'tiered') {
+    return units * tierUnitAmount(price);
+  }
+
+  const tiers = price.tiers || [];
+  if (price.tiers_mode === 'volume') {
+    const tier = tiers.find(candidate => candidate.up_to === null || units <= candidate.up_to);
+    return tier ? units * tierUnitAmount(tier) + (tier.flat_amount || 0) : 0;
+  }
+
+  let total = 0;
+  let previous = 0;
+  for (const tier of tiers) {
+    if (units <= previous) break;
+    const upTo = tier.up_to === null ? units : Math.min(units, tier.up_to);
+    total += (upTo - previous) * tierUnitAmount(tier) + (tier.flat_amount || 0);
+    previous = upTo;
+  }
+  return total;
+}
+
+function isMeteredFor(price, metric) {
+  return price.recurring?.usage_type === 'metered' &&
+    (price.metadata?.usage_metric === metric || price.lookup_key === metric);
+}
+
+/**
+ * Build usage reporting on a better-sqlite3 database
+ */
+function createUsage(db, stripe) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS usage_events (
+      id TEXT PRIMARY KEY,
+      customer_id TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      action TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      timestamp INTEGER NOT NULL,
+      received_at INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      batch_id TEXT,
+      subscription_item_id TEXT,
+      stripe_reference TEXT,
+      reported_at INTEGER,
+      last_error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS usage_events_status ON usage_events (status, customer_id, metric);
+    CREATE INDEX IF NOT EXISTS usage_events_batch ON usage_events (batch_id);
+  `);
+
+  const statements = {
+    insert: db.prepare(`
+      INSERT OR IGNORE INTO usage_events (id, customer_id, metric, action, quantity, timestamp, received_at, status)
+      VALUES (@id, @customer_id, @metric, @action, @quantity, @timestamp, @received_at, 'pending')
+    `),
+    get: db.prepare('SELECT * FROM usage_events WHERE id = ?'),
+    pendingGroups: db.prepare(`
+      SELECT DISTINCT customer_id, metric FROM usage_events WHERE status = 'pending'
+    `),
+    // Arrival order: reports received in the same second keep their insert order
+    pendingForGroup: db.prepare(`
+      SELECT id, action FROM usage_events
+      WHERE status = 'pending' AND customer_id = ? AND metric = ?
+      ORDER BY received_at, rowid
+    `),
+    sendingBatches: db.prepare(`
+      SELECT batch_id, customer_id, metric FROM usage_events WHERE status = 'sending'
+      GROUP BY batch_id ORDER BY MIN(rowid)
+    `),
+    claim: db.prepare(`
+      UPDATE usage_events SET status = 'sending', batch_id = @batch_id
+      WHERE status = 'pending' AND id = @id
+    `),
+    batchEvents: db.prepare('SELECT * FROM usage_events WHERE batch_id = ? ORDER BY received_at, rowid'),
+    markReported: db.prepare(`
+      UPDATE usage_events
+      SET status = 'reported', subscription_item_id = @subscription_item_id, stripe_reference = @stripe_reference,
+        reported_at = @reported_at, last_error = NULL
+      WHERE batch_id = @batch_id
+    `),
+    markFailed: db.prepare(`
+      UPDATE usage_events SET status = 'failed', last_error = @last_error WHERE batch_id = @batch_id
+    `),
+    unreported: db.prepare(`
+      SELECT metric, action, status, quantity, timestamp FROM usage_events
+      WHERE customer_id = ? AND status IN ('pending', 'sending', 'failed')
+      ORDER BY received_at, rowid
+    `)
+  };
+
+  /**
+   * Store one usage report. Returns { id, status, duplicate }.
+   */
+  function record({ customerId, reportId, metric, quantity, action = 'increment', timestamp = now() }) {
+    const id = `${customerId}:${reportId}`;
+    const inserted = statements.insert.run({
+      id,
+      customer_id: customerId,
+      metric,
+      action,
+      quantity,
+      timestamp,
+      received_at: now()
+    });
+
+    const row = statements.get.get(id);
+    return { id: reportId, status: row.status, duplicate: inserted.changes === 0 };
+  }
+
+  /**
+   * Billable subscriptions and their metered items for a customer
+   */
+  async function meteredItems(customerId) {
+    const items = [];
+    for await (const subscription of stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100 })) {
+      if (!BILLABLE_STATUSES.includes(subscription.status)) continue;
+
+      subscription.items.data.forEach(item => {
+        const metric = USAGE_METRICS.find(candidate => isMeteredFor(item.price, candidate));
+        if (metric) items.push({ subscription, item, metric });
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Send one claimed batch. Resolves to false if it is still unsent and has
+   * to be retried.
+   */
+  async function sendBatch(batchId) {
+    const rows = statements.batchEvents.all(batchId);
+    if (rows.length === 0) return true;
+
+    const { customer_id: customerId, metric, action } = rows[0];
+    const latest = rows[rows.length - 1];
+    const quantity = action === 'set' ? latest.quantity : rows.reduce((sum, row) => sum + row.quantity, 0);
+    const timestamp = Math.min(latest.timestamp, now());
+
+    try {
+      const metered = (await meteredItems(customerId)).find(candidate => candidate.metric === metric);
+      if (!metered) {
+        statements.markFailed.run({ batch_id: batchId, last_error: `No metered subscription item for ${metric}` });
+        return true;
+      }
+
+      const { item } = metered;
+      let reference;
+
+      if (item.price.recurring.meter) {
+        const meter = await stripe.billing.meters.retrieve(item.price.recurring.meter);
+        const event = await stripe.billing.meterEvents.create({
+          event_name: meter.event_name,
+          identifier: batchId,
+          timestamp: timestamp,
+          payload: {
+            [meter.customer_mapping?.event_payload_key || 'stripe_customer_id']: customerId,
+            [meter.value_settings?.event_payload_key || 'value']: String(quantity)
+          }
+        });
+        reference = event.identifier;
+      } else {
+        const usageRecord = await stripe.subscriptionItems.createUsageRecord(item.id, {
+          quantity,
+          timestamp,
+          action
+        }, { idempotencyKey: `usage-${batchId}` });
+        reference = usageRecord.id;
+      }
+
+      statements.markReported.run({
+        batch_id: batchId,
+        subscription_item_id: item.id,
+        stripe_reference: reference,
+        reported_at: now()
+      });
+      return true;
+    } catch (error) {
+      // Stripe rejecting the batch (e.g. a timestamp before the current
+      // period) will not change on retry; anything else is retried as-is
+      if (error.type === 'StripeInvalidRequestError') {
+        statements.markFailed.run({ batch_id: batchId, last_error: error.message });
+        return true;
+      }
+      log.error('Usage batch failed, will retry', { batchId, customerId, reason: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Split pending reports into runs of consecutive reports with the same
+   * action and claim each run as a batch. Returns the batch IDs in order.
+   */
+  const claimRuns = db.transaction((customerId, metric) => {
+    const batchIds = [];
+    let previousAction = null;
+
+    for (const { id, action } of statements.pendingForGroup.all(customerId, metric)) {
+      if (action !== previousAction) {
+        batchIds.push(crypto.randomUUID());
+        previousAction = action;
+      }
+      statements.claim.run({ batch_id: batchIds[batchIds.length - 1], id });
+    }
+    return batchIds;
+  });
+
+  /**
+   * Send every pending report to Stripe. Unfinished batches from earlier
+   * runs go first, with their original idempotency keys; a customer and
+   * metric with a batch still unsent gets nothing newer sent.
+   */
+  async function flush() {
+    const blocked = new Set();
+
+    for (const { batch_id: batchId, customer_id: customerId, metric } of statements.sendingBatches.all()) {
+      if (blocked.has(`${customerId}:${metric}`)) continue;
+      if (!(await sendBatch(batchId))) {
+        blocked.add(`${customerId}:${metric}`);
+      }
+    }
+
+    for (const { customer_id: customerId, metric } of statements.pendingGroups.all()) {
+      if (blocked.has(`${customerId}:${metric}`)) continue;
+
+      for (const batchId of claimRuns(customerId, metric)) {
+        if (!(await sendBatch(batchId))) break;
+      }
+    }
+  }
+
+  function startLoop() {
+    let running = false;
+    const timer = setInterval(() => {
+      if (running) return;
+      running = true;
+      flush()
+        .catch(error => log.error('Usage flush failed', { error }))
+        .finally(() => {
+          running = false;
+        });
+    }, FLUSH_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Usage Stripe has recorded for an item in its current period
+   */
+  async function reportedUsage(customerId, item, periodStart) {
+    if (item.price.recurring.meter) {
+      // Meter summaries need minute-aligned bounds
+      const summaries = await stripe.billing.meters.listEventSummaries(item.price.recurring.meter, {
+        customer: customerId,
+        start_time: periodStart - (periodStart % 60),
+        end_time: now() - (now() % 60) + 60
+      });
+      return summaries.data.reduce((sum, summary) => sum + summary.aggregated_value, 0);
+    }
+
+    const summaries = await stripe.subscriptionItems.listUsageRecordSummaries(item.id, { limit: 1 });
+    return summaries.data[0]?.total_usage || 0;
+  }
+
+  /**
+   * Current-period usage and projected charges for each metered item of a
+   * customer. Projections extrapolate cumulative usage linearly to the end
+   * of the period; "last"/"max" style usage is projected as-is.
+   */
+  async function summary(customerId) {
+    const unreported = statements.unreported.all(customerId);
+    const at = now();
+    const items = [];
+
+    for (const { subscription, item, metric } of await meteredItems(customerId)) {
+      const price = item.price.billing_scheme === 'tiered' && !item.price.tiers
+        ? await stripe.prices.retrieve(item.price.id, { expand: ['tiers'] })
+        : item.price;
+
+      const periodStart = subscription.current_period_start;
+      const periodEnd = subscription.current_period_end;
+      const reported = await reportedUsage(customerId, item, periodStart);
+
+      const queued = unreported.filter(row => row.metric === metric && row.status !== 'failed' && row.timestamp >= periodStart);
+      // Increments queued after the latest set are applied on top of it
+      const latestSetIndex = queued.map(row => row.action).lastIndexOf('set');
+      const latestSet = queued[latestSetIndex];
+      const pending = (latestSet ? latestSet.quantity : 0) + queued
+        .slice(latestSetIndex + 1)
+        .reduce((sum, row) => sum + row.quantity, 0);
+
+      const usage = latestSet ? pending : reported + pending;
+      const aggregation = price.recurring.aggregate_usage || 'sum';
+      const elapsed = Math.max(at - periodStart, 1);
+      const projectedUsage = CUMULATIVE_AGGREGATIONS.includes(aggregation) && !latestSet
+        ? Math.round(usage * (periodEnd - periodStart) / elapsed)
+        : usage;
+
+      const currentCharge = Math.round(priceCost(price, usage));
+      const projectedCharge = Math.round(priceCost(price, projectedUsage));
+
+      items.push({
+        subscriptionId: subscription.id,
+        subscriptionItemId: item.id,
+        priceId: price.id,
+        metric: metric,
+        currency: price.currency,
+        periodStart: periodStart,
+        periodEnd: periodEnd,
+        reportedUsage: reported,
+        pendingUsage: pending,
+        usage: usage,
+        projectedUsage: projectedUsage,
+        currentCharge: toMajorUnits(currentCharge, price.currency),
+        projectedCharge: toMajorUnits(projectedCharge, price.currency),
+        formatted: {
+          currentCharge: formatMoney(currentCharge, price.currency),
+          projectedCharge: formatMoney(projectedCharge, price.currency)
+        }
+      });
+    }
+
+    return {
+      items,
+      failedReports: unreported.filter(row => row.status === 'failed').length
+    };
+  }
+
+  /**
+   * IDs among priceIds that are not metered prices (for create-subscription)
+   */
+  async function nonMeteredPrices(priceIds) {
+    const prices = await Promise.all(priceIds.map(priceId => stripe.prices.retrieve(priceId)));
+    return prices.filter(price => price.recurring?.usage_type !== 'metered').map(price => price.id);
+  }
+
+  return {
+    record,
+    flush,
+    startLoop,
+    summary,
+    nonMeteredPrices
+  };
+}
+
+module.exports = {
+  USAGE_METRICS,
+  createUsage
+};
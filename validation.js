@@ -0,0 +1,280 @@
+/**
+ * Declarative request validation for TrackVentories
+ *
+ * Routes describe their body, params and query with the field builders
+ * below (see schemas.js). Values are coerced to their declared types,
+ * defaults are filled in, and unknown body/params fields are rejected so a
+ * client can only send what a route allowlists. Unknown query parameters are
+ * dropped.
+ *
+ * Failures return 400 with one entry per field:
+ * { success: false, error: 'Validation failed', code: 'validation_failed',
+ *   details: [{ location, field, message }] }
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function ok(value) {
+  return { value };
+}
+
+function fail(message) {
+  return { error: message };
+}
+
+function field(options, check) {
+  return {
+    required: !!options.required,
+    default: options.default,
+    check
+  };
+}
+
+/**
+ * String with optional length limits and pattern
+ */
+function string(options = {}) {
+  return field(options, (value) => {
+    if (typeof value !== 'string') return fail('must be a string');
+    if (options.min !== undefined && value.length < options.min) {
+      return fail(`must be at least ${options.min} characters`);
+    }
+    if (options.max !== undefined && value.length > options.max) {
+      return fail(`must be at most ${options.max} characters`);
+    }
+    if (options.pattern && !options.pattern.test(value)) {
+      return fail(options.patternMessage || 'has an invalid format');
+    }
+    return ok(value);
+  });
+}
+
+function email(options = {}) {
+  return string({ ...options, max: 512, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address' });
+}
+
+/**
+ * Stripe object ID with the given prefix, e.g. id('cus') for customers
+ */
+function id(prefix, options = {}) {
+  return string({
+    ...options,
+    max: 255,
+    pattern: new RegExp(`^${prefix}_[A-Za-z0-9]+$`),
+    patternMessage: `must be a ${prefix}_ ID`
+  });
+}
+
+/**
+ * One of a fixed set of string values
+ */
+function oneOf(values, options = {}) {
+  return field(options, (value) => {
+    if (!values.includes(value)) return fail(`must be one of: ${values.join(', ')}`);
+    return ok(value);
+  });
+}
+
+/**
+ * Integer, coerced from numeric strings. With clamp, out-of-range values are
+ * pulled into [min, max] instead of rejected (useful for `limit`).
+ */
+function integer(options = {}) {
+  return field(options, (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isInteger(number)) return fail('must be an integer');
+
+    if (options.clamp) {
+      return ok(Math.min(Math.max(number, options.min ?? number), options.max ?? number));
+    }
+    if (options.min !== undefined && number < options.min) return fail(`must be at least ${options.min}`);
+    if (options.max !== undefined && number > options.max) return fail(`must be at most ${options.max}`);
+    return ok(number);
+  });
+}
+
+/**
+ * Finite number, coerced from numeric strings
+ */
+function number(options = {}) {
+  return field(options, (value) => {
+    const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return fail('must be a number');
+    if (options.min !== undefined && parsed < options.min) return fail(`must be at least ${options.min}`);
+    if (options.exclusiveMin !== undefined && parsed <= options.exclusiveMin) {
+      return fail(`must be greater than ${options.exclusiveMin}`);
+    }
+    if (options.max !== undefined && parsed > options.max) return fail(`must be at most ${options.max}`);
+    return ok(parsed);
+  });
+}
+
+/**
+ * Boolean, coerced from "true"/"false" strings
+ */
+function boolean(options = {}) {
+  return field(options, (value) => {
+    if (value === true || value === 'true') return ok(true);
+    if (value === false || value === 'false') return ok(false);
+    return fail('must be true or false');
+  });
+}
+
+/**
+ * Unix timestamp in seconds, also accepted as an ISO 8601 date string
+ */
+function timestamp(options = {}) {
+  return field(options, (value) => {
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      const seconds = Number(value);
+      return Number.isInteger(seconds) ? ok(seconds) : fail('must be a unix timestamp or ISO date');
+    }
+    const ms = typeof value === 'string' ? Date.parse(value) : NaN;
+    if (Number.isNaN(ms)) return fail('must be a unix timestamp or ISO date');
+    return ok(Math.floor(ms / 1000));
+  });
+}
+
+/**
+ * Stripe metadata: up to 50 string keys (40 chars) with string values (500 chars).
+ * Keys listed in options.reserved are set by the server and rejected.
+ */
+function metadata(options = {}) {
+  const reserved = options.reserved || [];
+  return field(options, (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+
+    const entries = Object.entries(value);
+    if (entries.length > 50) return fail('must have at most 50 keys');
+    for (const [key, entry] of entries) {
+      if (reserved.includes(key)) return fail(`key "${key}" is reserved`);
+      if (key.length > 40) return fail(`key "${key}" must be at most 40 characters`);
+      if (typeof entry !== 'string' || entry.length > 500) {
+        return fail(`value for "${key}" must be a string of at most 500 characters`);
+      }
+    }
+    return ok(value);
+  });
+}
+
+/**
+ * Array whose entries are each checked by another field builder, e.g.
+ * array(id('price'), { max: 20 })
+ */
+function array(itemField, options = {}) {
+  return field(options, (value) => {
+    if (!Array.isArray(value)) return fail('must be an array');
+    if (options.min !== undefined && value.length < options.min) return fail(`must have at least ${options.min} items`);
+    if (options.max !== undefined && value.length > options.max) return fail(`must have at most ${options.max} items`);
+
+    const output = [];
+    for (const [index, entry] of value.entries()) {
+      const result = itemField.check(entry);
+      if (result.error) return fail(`item ${index} ${result.error}`);
+      output.push(result.value);
+    }
+    return ok(output);
+  });
+}
+
+/**
+ * Nested object described by its own field schema; unknown keys are
+ * rejected like top-level body fields
+ */
+function object(shape, options = {}) {
+  return field(options, (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+
+    const errors = [];
+    const output = validateSection(shape, value, 'body', errors);
+    if (errors.length > 0) return fail(`${errors[0].field} ${errors[0].message}`);
+    return ok(output);
+  });
+}
+
+/**
+ * Validate one request location against its schema. Returns the coerced
+ * values; problems are appended to `errors`.
+ */
+function validateSection(schema, input, location, errors, { allowUnknown = false } = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const output = {};
+
+  if (!allowUnknown) {
+    for (const key of Object.keys(source)) {
+      if (!schema[key]) {
+        errors.push({ location, field: key, message: 'is not allowed' });
+      }
+    }
+  }
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const raw = source[key];
+    const missing = raw === undefined || raw === null || (location !== 'body' && raw === '');
+
+    if (missing) {
+      if (spec.required) {
+        errors.push({ location, field: key, message: 'is required' });
+      } else if (spec.default !== undefined) {
+        output[key] = spec.default;
+      }
+      continue;
+    }
+
+    const result = spec.check(raw);
+    if (result.error) {
+      errors.push({ location, field: key, message: result.error });
+    } else {
+      output[key] = result.value;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Build middleware that validates each request against the schema found by
+ * lookup(method, path) (see route-map.js). Routes without a schema accept no
+ * body or params fields.
+ */
+function createValidator(lookup) {
+  return function validateRequest(req, res, next) {
+    const match = lookup(req.method, req.baseUrl + req.path);
+    const schema = match ? match.value : {};
+    const errors = [];
+
+    validateSection(schema.params || {}, match ? match.params : {}, 'params', errors);
+    const query = validateSection(schema.query || {}, req.query, 'query', errors, { allowUnknown: true });
+    const body = validateSection(schema.body || {}, req.body, 'body', errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        code: 'validation_failed',
+        details: errors
+      });
+    }
+
+    req.query = query;
+    req.body = body;
+    next();
+  };
+}
+
+module.exports = {
+  createValidator,
+  fields: {
+    string,
+    email,
+    id,
+    oneOf,
+    integer,
+    number,
+    boolean,
+    timestamp,
+    metadata,
+    array,
+    object
+  }
+};
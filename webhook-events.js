@@ -0,0 +1,310 @@
+/**
+ * Durable webhook event log for TrackVentories
+ *
+ * Every verified Stripe event is stored before it is handled. Events that
+ * were already processed are skipped, failed events are retried with
+ * exponential backoff, and any event (or a time range of events) can be
+ * replayed by an admin.
+ *
+ * Event status: pending -> processing -> processed | failed | ignored
+ * ("ignored" means no handler is registered for the event type)
+ *
+ * Payloads of processed and ignored events are dropped WEBHOOK_EVENT_TTL_DAYS
+ * after processing, so customer data doesn't pile up. The rest of the row
+ * stays: it still catches redeliveries and feeds failed-payment analytics.
+ * Those events can no longer be replayed.
+ *
+ * Environment variables:
+ * WEBHOOK_MAX_ATTEMPTS=8            (optional, default shown)
+ * WEBHOOK_RETRY_BASE_SECONDS=30     (optional, default shown)
+ * WEBHOOK_RETRY_INTERVAL_MS=15000   (optional, default shown)
+ * WEBHOOK_EVENT_TTL_DAYS=30         (optional, default shown)
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'webhooks' });
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10);
+const RETRY_INTERVAL_MS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS || '15000', 10);
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+const PAYLOAD_TTL_SECONDS = parseInt(process.env.WEBHOOK_EVENT_TTL_DAYS || '30', 10) * 24 * 60 * 60;
+const PURGE_INTERVAL_SECONDS = 60 * 60;
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Seconds to wait before the next attempt after `attempts` failures
+ */
+function backoffSeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Build the event log on a better-sqlite3 database, dispatching events to
+ * handlers keyed by Stripe event type
+ */
+function createWebhookLog(db, handlers) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      created INTEGER NOT NULL,
+      received_at INTEGER NOT NULL,
+      processed_at INTEGER,
+      next_attempt_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS webhook_events_status ON webhook_events (status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS webhook_events_created ON webhook_events (created);
+  `);
+
+  // An event left "processing" belonged to a process that died mid-handler
+  db.prepare(`
+    UPDATE webhook_events SET status = 'failed', next_attempt_at = ?
+    WHERE status = 'processing'
+  `).run(now());
+
+  const statements = {
+    insert: db.prepare(`
+      INSERT OR IGNORE INTO webhook_events (id, type, payload, status, created, received_at)
+      VALUES (@id, @type, @payload, 'pending', @created, @received_at)
+    `),
+    get: db.prepare('SELECT * FROM webhook_events WHERE id = ?'),
+    // Claiming is a single UPDATE so two deliveries of one event cannot both run it
+    claim: db.prepare(`
+      UPDATE webhook_events SET status = 'processing', attempts = attempts + 1
+      WHERE id = ? AND status IN ('pending', 'failed')
+    `),
+    claimForReplay: db.prepare(`
+      UPDATE webhook_events SET status = 'processing', attempts = attempts + 1
+      WHERE id = ? AND status != 'processing'
+    `),
+    markProcessed: db.prepare(`
+      UPDATE webhook_events
+      SET status = @status, processed_at = @processed_at, last_error = NULL, next_attempt_at = NULL
+      WHERE id = @id
+    `),
+    markFailed: db.prepare(`
+      UPDATE webhook_events
+      SET status = 'failed', last_error = @last_error, next_attempt_at = @next_attempt_at
+      WHERE id = @id
+    `),
+    due: db.prepare(`
+      SELECT id FROM webhook_events
+      WHERE status = 'failed' AND next_attempt_at IS NOT NULL AND next_attempt_at <= ?
+      ORDER BY next_attempt_at LIMIT 50
+    `),
+    createdTimes: db.prepare(`
+      SELECT created FROM webhook_events WHERE type = ? AND created >= ? AND created < ?
+    `),
+    inRange: db.prepare(`
+      SELECT id FROM webhook_events
+      WHERE created >= @from AND created <= @to AND (@type IS NULL OR type = @type)
+      ORDER BY created
+    `),
+    purgeExpired: db.prepare(`
+      UPDATE webhook_events SET payload = ''
+      WHERE status IN ('processed', 'ignored') AND processed_at < ? AND payload != ''
+    `)
+  };
+
+  function format(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      created: row.created,
+      receivedAt: row.received_at,
+      processedAt: row.processed_at,
+      nextAttemptAt: row.next_attempt_at
+    };
+  }
+
+  /**
+   * Run the handler for a claimed event and record the outcome
+   */
+  async function runClaimed(row) {
+    const event = JSON.parse(row.payload);
+    const handler = handlers[event.type];
+
+    if (!handler) {
+      statements.markProcessed.run({ id: event.id, status: 'ignored', processed_at: now() });
+      return 'ignored';
+    }
+
+    try {
+      await handler(event.data.object, event);
+      statements.markProcessed.run({ id: event.id, status: 'processed', processed_at: now() });
+      return 'processed';
+    } catch (error) {
+      const attempts = row.attempts + 1;
+      log.error('Webhook event failed', { eventId: event.id, eventType: event.type, attempts, error });
+      statements.markFailed.run({
+        id: event.id,
+        last_error: error.message,
+        // Stop scheduling retries once the attempt budget is spent
+        next_attempt_at: attempts < MAX_ATTEMPTS ? now() + backoffSeconds(attempts) : null
+      });
+      return 'failed';
+    }
+  }
+
+  async function processEvent(eventId, { force = false } = {}) {
+    const row = statements.get.get(eventId);
+    if (!row) return null;
+    if (!row.payload) return force ? 'expired' : row.status;
+
+    const claimed = (force ? statements.claimForReplay : statements.claim).run(eventId);
+    if (claimed.changes === 0) {
+      return row.status;
+    }
+    return runClaimed(row);
+  }
+
+  /**
+   * Store a verified event and process it unless it was already handled.
+   * Returns { status, duplicate }.
+   */
+  async function receive(event) {
+    const inserted = statements.insert.run({
+      id: event.id,
+      type: event.type,
+      payload: JSON.stringify(event),
+      created: event.created,
+      received_at: now()
+    });
+
+    const status = await processEvent(event.id);
+    return { status, duplicate: inserted.changes === 0 };
+  }
+
+  /**
+   * Reprocess one stored event, even if it already succeeded
+   */
+  function replay(eventId) {
+    return processEvent(eventId, { force: true });
+  }
+
+  /**
+   * Reprocess every stored event created within [from, to] (unix seconds),
+   * optionally of a single type, in the order Stripe created them
+   */
+  async function replayRange({ from, to, type = null }) {
+    const results = [];
+    for (const { id } of statements.inRange.all({ from, to, type })) {
+      results.push({ id, status: await replay(id) });
+    }
+    return results;
+  }
+
+  async function retryDue() {
+    for (const { id } of statements.due.all(now())) {
+      await processEvent(id);
+    }
+  }
+
+  /**
+   * List stored events, newest first, with optional status/type filters
+   */
+  function list({ status, type, limit = 50, startingAfter } = {}) {
+    const conditions = [];
+    const params = { limit };
+    if (status) {
+      conditions.push('status = @status');
+      params.status = status;
+    }
+    if (type) {
+      conditions.push('type = @type');
+      params.type = type;
+    }
+    if (startingAfter) {
+      const cursor = statements.get.get(startingAfter);
+      if (cursor) {
+        conditions.push('(received_at < @cursor_received_at OR (received_at = @cursor_received_at AND id < @cursor_id))');
+        params.cursor_received_at = cursor.received_at;
+        params.cursor_id = cursor.id;
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = db.prepare(`
+      SELECT id, type, status, attempts, last_error, created, received_at, processed_at, next_attempt_at
+      FROM webhook_events ${where}
+      ORDER BY received_at DESC, id DESC
+      LIMIT @limit
+    `).all(params);
+
+    return rows.map(format);
+  }
+
+  /**
+   * Creation times of stored events of one type in [from, to)
+   */
+  function eventTimes(type, from, to) {
+    return statements.createdTimes.all(type, from, to).map(row => row.created);
+  }
+
+  /**
+   * A stored event; payload is null once it has expired
+   */
+  function get(eventId) {
+    const row = statements.get.get(eventId);
+    return row ? { ...format(row), payload: row.payload ? JSON.parse(row.payload) : null } : null;
+  }
+
+  /**
+   * Drop payloads of events processed more than WEBHOOK_EVENT_TTL_DAYS ago.
+   * Returns how many were dropped.
+   */
+  function purgeExpired() {
+    const purged = statements.purgeExpired.run(now() - PAYLOAD_TTL_SECONDS).changes;
+    if (purged > 0) {
+      log.info('Expired webhook event payloads purged', { purged });
+    }
+    return purged;
+  }
+
+  /**
+   * Periodically retry failed events whose backoff has elapsed, and purge
+   * expired payloads about once an hour
+   */
+  function startRetryLoop() {
+    let lastPurgeAt = 0;
+    const timer = setInterval(() => {
+      if (now() - lastPurgeAt >= PURGE_INTERVAL_SECONDS) {
+        lastPurgeAt = now();
+        try {
+          purgeExpired();
+        } catch (error) {
+          log.error('Webhook event purge failed', { error });
+        }
+      }
+      retryDue().catch(error => log.error('Webhook retry loop failed', { error }));
+    }, RETRY_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+
+  return {
+    receive,
+    replay,
+    replayRange,
+    retryDue,
+    list,
+    get,
+    eventTimes,
+    purgeExpired,
+    startRetryLoop
+  };
+}
+
+module.exports = { createWebhookLog };